@@ -6,6 +6,45 @@
 
 const appInsights = require('applicationinsights');
 const os = require('os');
+const {
+  TelemetryDispatcher,
+  ConsoleJsonExporter,
+  InMemoryExporter,
+  createExporters
+} = require('./telemetry-exporters');
+const { TelemetryRedactor } = require('./telemetry-redaction');
+const { OpenAICostAccountant } = require('./openai-cost-accountant');
+const { TraceContext, spanIdForExecution } = require('./trace-context');
+const { createVolumeControls } = require('./telemetry-sampling');
+const { ProspectFunnelTracker } = require('./prospect-funnel');
+const { SyntheticMonitor, createN8nWebhookProbes } = require('./synthetic-monitor');
+const {
+  userDimensions,
+  resolveExpressRoute,
+  resolveFastifyRoute,
+  resolveKoaRoute,
+  contentLength,
+  countResponseBytes,
+  createRequestEnrichmentProcessor
+} = require('./request-tracking');
+const { SecurityAnomalyDetector } = require('./security-anomaly-detector');
+const { AuditTrail } = require('./audit-trail');
+const { PostgresTelemetrySink } = require('./postgres-telemetry-sink');
+const {
+  getCrmProvider,
+  resolveProviderHost,
+  classifyCrmResult,
+  resultCategory,
+  CRMHealthTracker
+} = require('./crm-providers');
+const {
+  ACTIVITY_TYPES,
+  DEFAULT_DELIVERABILITY_THRESHOLDS,
+  computeCampaignRates,
+  assessDeliverability,
+  LeadTemperatureTracker,
+  BounceSpikeDetector
+} = require('./email-engagement');
 
 class ProspectIntelligenceMonitoring {
   constructor(options = {}) {
@@ -14,10 +53,196 @@ class ProspectIntelligenceMonitoring {
     this.environment = process.env.NODE_ENV || 'production';
     this.serviceName = options.serviceName || 'prospect-intelligence-engine';
     this.version = options.version || '2.1.0';
+    this.performanceCounterIntervalMs = options.performanceCounterIntervalMs || 30000;
+    this.handleSignals = options.handleSignals !== false;
+    this.performanceCounterTimer = null;
+    this.signalHandlers = {};
+    this.started = false;
+
+    // PII redaction is on unless explicitly disabled with redaction: false
+    this.redactor = options.redaction === false ? null : new TelemetryRedactor(options.redaction);
+
+    // Per-tenant OpenAI spend rollups and budget alerts (options.costTracking: false disables)
+    this.costAccountant = options.costTracking === false ? null : new OpenAICostAccountant({
+      ...options.costTracking,
+      onBudgetAlert: (alert) => {
+        this.trackOpenAIBudgetAlert(alert);
+        if (options.costTracking && options.costTracking.onBudgetAlert) {
+          options.costTracking.onBudgetAlert(alert);
+        }
+      }
+    });
     
-    this.initializeApplicationInsights();
+    this.funnel = new ProspectFunnelTracker(options.funnel);
+    this.crmHealth = new CRMHealthTracker(options.crmHealth);
+    this.defaultCrmProvider = options.crmProvider || process.env.CRM_PROVIDER || 'instantly';
+    this.deliverabilityThresholds = { ...DEFAULT_DELIVERABILITY_THRESHOLDS, ...options.deliverabilityThresholds };
+    this.leadTemperatures = new LeadTemperatureTracker(options.leadTemperatures);
+    this.bounceSpikes = new BounceSpikeDetector({ ...this.deliverabilityThresholds, ...options.bounceSpikes });
+    this.securityAnomalies = options.anomalyDetection === false ? null : new SecurityAnomalyDetector(options.anomalyDetection);
+    // Hash-chained audit records (options.auditTrail or AUDIT_TRAIL_SINK=postgres|file)
+    this.auditTrail = options.auditTrail instanceof AuditTrail
+      ? options.auditTrail
+      : AuditTrail.fromConfig(options.auditTrail);
+    // Mirror workflow, OpenAI usage and performance counters into PostgreSQL (options.postgresSink or TELEMETRY_POSTGRES_SINK=true)
+    this.telemetrySink = options.postgresSink instanceof PostgresTelemetrySink
+      ? options.postgresSink
+      : PostgresTelemetrySink.fromConfig(options.postgresSink, {
+        environment: this.environment,
+        source: this.serviceName,
+        redactor: this.redactor,
+        onDrop: drop => this.trackTelemetrySinkDrop(drop)
+      });
+    this.syntheticMonitor = new SyntheticMonitor({
+      probes: options.syntheticProbes || createN8nWebhookProbes(),
+      trackAvailability: (availability) => {
+        if (this.client) this.client.trackAvailability(availability);
+      }
+    });
+    this.volumeControlOptions = options.volumeControls;
+    this.volumeControls = [];
+
+    this.initializeTelemetryClient(options.exporters);
     this.setupCustomDimensions();
+
+    if (options.autoStart !== false) {
+      this.start();
+    }
+  }
+
+  /**
+   * Start performance counters and register SIGTERM/SIGINT handlers for graceful shutdown
+   */
+  start() {
+    if (this.started) return this;
+
+    this.started = true;
     this.configurePerformanceCounters();
+
+    if (this.handleSignals) {
+      ['SIGTERM', 'SIGINT'].forEach(signal => {
+        this.signalHandlers[signal] = () => this.handleShutdownSignal(signal);
+        process.once(signal, this.signalHandlers[signal]);
+      });
+    }
+
+    return this;
+  }
+
+  /**
+   * Stop timers and remove signal handlers without flushing
+   */
+  stop() {
+    this.syntheticMonitor.stop();
+
+    if (this.performanceCounterTimer) {
+      clearInterval(this.performanceCounterTimer);
+      this.performanceCounterTimer = null;
+    }
+
+    Object.keys(this.signalHandlers).forEach(signal => {
+      process.removeListener(signal, this.signalHandlers[signal]);
+    });
+    this.signalHandlers = {};
+    this.started = false;
+
+    return this;
+  }
+
+  /**
+   * Stop, flush pending telemetry and shut down all exporters
+   */
+  async shutdown() {
+    this.stop();
+
+    if (this.auditTrail) {
+      await this.auditTrail.close().catch(error => console.error(`Audit trail shutdown failed: ${error.message}`));
+    }
+
+    if (this.telemetrySink) {
+      await this.telemetrySink.shutdown().catch(error => console.error(`Telemetry sink shutdown failed: ${error.message}`));
+    }
+
+    if (!this.client) return;
+
+    try {
+      await this.client.shutdown();
+    } catch (error) {
+      console.error(`Telemetry shutdown failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Flush telemetry on SIGTERM/SIGINT, then re-raise the signal unless the host app handles it
+   */
+  async handleShutdownSignal(signal) {
+    delete this.signalHandlers[signal];
+    await this.shutdown();
+
+    if (process.listenerCount(signal) === 0) {
+      process.kill(process.pid, signal);
+    }
+  }
+
+  /**
+   * Initialize the telemetry client with the configured exporters
+   * Exporters come from options.exporters, TELEMETRY_EXPORTERS (comma-separated) or the
+   * configured Application Insights / OTLP endpoints
+   */
+  initializeTelemetryClient(exporterSpecs) {
+    let specs = exporterSpecs;
+
+    if (!specs && process.env.TELEMETRY_EXPORTERS) {
+      specs = process.env.TELEMETRY_EXPORTERS.split(',');
+    }
+
+    if (!specs) {
+      specs = [];
+      if (this.connectionString || this.instrumentationKey) specs.push('applicationinsights');
+      if (process.env.OTEL_EXPORTER_OTLP_ENDPOINT) specs.push('otlp');
+    }
+
+    const exporters = createExporters(specs, {
+      serviceName: this.serviceName,
+      version: this.version,
+      environment: this.environment,
+      createApplicationInsightsClient: () => this.initializeApplicationInsights()
+    });
+
+    if (exporters.length === 0) {
+      console.warn('No telemetry exporters configured - monitoring disabled');
+      return;
+    }
+
+    this.volumeControls = this.buildVolumeControls(exporters);
+
+    // Redact first so aggregated series are keyed on redacted dimensions
+    const processors = this.redactor ? [item => this.redactor.redactItem(item)] : [];
+
+    this.client = new TelemetryDispatcher(exporters, {
+      processors: [...processors, ...this.volumeControls],
+      redacted: Boolean(this.redactor)
+    });
+  }
+
+  /**
+   * Build volume controls for the dispatcher (options.volumeControls: false disables them)
+   * Metric aggregation defaults off when every exporter is local (console/memory), so tests and
+   * local runs see metrics as soon as they are tracked; set volumeControls.aggregation to keep it
+   */
+  buildVolumeControls(exporters) {
+    const options = this.volumeControlOptions;
+    if (options === false) return [];
+
+    const localOnly = exporters.every(exporter =>
+      exporter instanceof InMemoryExporter || exporter instanceof ConsoleJsonExporter
+    );
+
+    if (localOnly && (!options || options.aggregation === undefined)) {
+      return createVolumeControls({ ...options, aggregation: false });
+    }
+
+    return createVolumeControls(options);
   }
 
   /**
@@ -25,8 +250,8 @@ class ProspectIntelligenceMonitoring {
    */
   initializeApplicationInsights() {
     if (!this.connectionString && !this.instrumentationKey) {
-      console.warn('Application Insights not configured - monitoring disabled');
-      return;
+      console.warn('Application Insights not configured - exporter skipped');
+      return null;
     }
 
     // Initialize with connection string (preferred) or instrumentation key
@@ -50,13 +275,22 @@ class ProspectIntelligenceMonitoring {
       .start();
 
     // Get telemetry client for custom metrics
-    this.client = appInsights.defaultClient;
+    const client = appInsights.defaultClient;
+
+    // Add user/tenant/role and route templates to auto-collected requests (before redaction)
+    client.addTelemetryProcessor(createRequestEnrichmentProcessor());
+
+    // Auto-collected requests, exceptions, dependencies and console output bypass the dispatcher
+    if (this.redactor) {
+      client.addTelemetryProcessor(this.redactor.createApplicationInsightsProcessor());
+    }
     
     // Set cloud role name and instance
-    this.client.context.tags[this.client.context.keys.cloudRole] = this.serviceName;
-    this.client.context.tags[this.client.context.keys.cloudRoleInstance] = os.hostname();
+    client.context.tags[client.context.keys.cloudRole] = this.serviceName;
+    client.context.tags[client.context.keys.cloudRoleInstance] = os.hostname();
     
     console.log(`Application Insights initialized for ${this.serviceName}`);
+    return client;
   }
 
   /**
@@ -80,47 +314,53 @@ class ProspectIntelligenceMonitoring {
    * Configure custom performance counters
    */
   configurePerformanceCounters() {
-    if (!this.client) return;
+    if ((!this.client && !this.telemetrySink) || this.performanceCounterTimer) return;
 
     // Track custom performance counters
-    setInterval(() => {
+    this.performanceCounterTimer = setInterval(() => {
       const memUsage = process.memoryUsage();
       const cpuUsage = process.cpuUsage();
-      
-      // Memory metrics
-      this.client.trackMetric({
-        name: 'Memory_RSS_MB',
-        value: Math.round(memUsage.rss / 1024 / 1024)
-      });
-      
-      this.client.trackMetric({
-        name: 'Memory_HeapUsed_MB',
-        value: Math.round(memUsage.heapUsed / 1024 / 1024)
-      });
-      
-      this.client.trackMetric({
-        name: 'Memory_External_MB',
-        value: Math.round(memUsage.external / 1024 / 1024)
-      });
 
-      // CPU metrics
-      this.client.trackMetric({
-        name: 'CPU_User_Microseconds',
-        value: cpuUsage.user
-      });
-      
-      this.client.trackMetric({
-        name: 'CPU_System_Microseconds',
-        value: cpuUsage.system
+      const counters = [
+        // Memory metrics
+        { name: 'Memory_RSS_MB', value: Math.round(memUsage.rss / 1024 / 1024), unit: 'MB', metricType: 'memory' },
+        { name: 'Memory_HeapUsed_MB', value: Math.round(memUsage.heapUsed / 1024 / 1024), unit: 'MB', metricType: 'memory' },
+        { name: 'Memory_External_MB', value: Math.round(memUsage.external / 1024 / 1024), unit: 'MB', metricType: 'memory' },
+        // CPU metrics
+        { name: 'CPU_User_Microseconds', value: cpuUsage.user, unit: 'microseconds', metricType: 'cpu' },
+        { name: 'CPU_System_Microseconds', value: cpuUsage.system, unit: 'microseconds', metricType: 'cpu' }
+      ];
+
+      counters.forEach(({ name, value, unit, metricType }) => {
+        if (this.client) this.client.trackMetric({ name, value });
+        if (this.telemetrySink) {
+          this.telemetrySink.recordPerformanceMetric({ name, value, unit, metricType, dimensions: { host: os.hostname() } });
+        }
       });
 
-    }, 30000); // Every 30 seconds
+      this.trackCRMHealth();
+
+    }, this.performanceCounterIntervalMs); // Every 30 seconds by default
+
+    // Never keep the process alive just for performance counters
+    this.performanceCounterTimer.unref();
+  }
+
+  /**
+   * Start a trace for a prospect analysis, continuing the caller's traceparent when present
+   * Without one the trace id is derived from the analysis id, matching what the n8n workflows forward
+   */
+  startProspectTrace({ traceparent, tracestate, analysisId } = {}) {
+    return TraceContext.fromTraceparent(traceparent, { tracestate }) || TraceContext.start({ analysisId });
   }
 
   /**
    * Track n8n workflow execution metrics
+   * With traceparent/traceContext the execution is also recorded as a request span,
+   * and each entry in nodes ({ name, type, startTime, executionTime, status, error }) as a child span
    */
   trackWorkflowExecution(workflowData) {
+    if (this.telemetrySink) this.telemetrySink.recordWorkflowExecution(workflowData);
     if (!this.client) return;
 
     const {
@@ -133,9 +373,16 @@ class ProspectIntelligenceMonitoring {
       triggerType,
       companyId,
       tenantId,
-      errorDetails
+      errorDetails,
+      startTime,
+      nodes,
+      traceparent,
+      traceContext
     } = workflowData;
 
+    const executionSpanId = executionId !== undefined ? spanIdForExecution(executionId) : undefined;
+    const span = traceContext || TraceContext.fromTraceparent(traceparent, { spanId: executionSpanId });
+
     // Track execution as custom event
     this.client.trackEvent({
       name: 'WorkflowExecution',
@@ -147,6 +394,7 @@ class ProspectIntelligenceMonitoring {
         triggerType,
         companyId,
         tenantId,
+        traceId: span?.traceId,
         nodeCount: nodeCount?.toString(),
         errorMessage: errorDetails?.message,
         errorStack: errorDetails?.stack
@@ -154,9 +402,14 @@ class ProspectIntelligenceMonitoring {
       measurements: {
         duration: duration || 0,
         nodesExecuted: nodeCount || 0
-      }
+      },
+      tagOverrides: span ? { 'ai.operation.id': span.traceId, 'ai.operation.parentId': span.spanId } : undefined
     });
 
+    if (span) {
+      this.trackWorkflowSpans(span, workflowData);
+    }
+
     // Track execution duration
     this.client.trackMetric({
       name: 'WorkflowExecutionDuration',
@@ -180,26 +433,130 @@ class ProspectIntelligenceMonitoring {
     });
   }
 
+  /**
+   * Record a workflow execution as a request span with one dependency span per n8n node
+   */
+  trackWorkflowSpans(span, workflowData) {
+    const { workflowId, workflowName, executionId, status, duration, companyId, tenantId, startTime, nodes } = workflowData;
+
+    this.client.trackRequest({
+      id: span.spanId,
+      name: workflowName,
+      url: `n8n://workflows/${workflowId || workflowName}/executions/${executionId}`,
+      time: startTime ? new Date(startTime) : new Date(Date.now() - (duration || 0)),
+      duration: duration || 0,
+      resultCode: status,
+      success: status === 'success',
+      source: span.parentSpanId,
+      properties: {
+        workflowId,
+        executionId,
+        companyId,
+        tenantId,
+        traceId: span.traceId
+      },
+      tagOverrides: span.toTagOverrides()
+    });
+
+    (nodes || []).forEach(node => {
+      const nodeSpan = span.child();
+      const failed = Boolean(node.error) || node.status === 'error';
+
+      this.client.trackDependency({
+        id: nodeSpan.spanId,
+        target: workflowName,
+        name: node.name,
+        data: node.type,
+        time: node.startTime ? new Date(node.startTime) : undefined,
+        duration: node.executionTime || 0,
+        resultCode: node.status || (failed ? 'error' : 'success'),
+        success: !failed,
+        dependencyTypeName: 'n8n.node',
+        properties: {
+          executionId,
+          nodeType: node.type,
+          errorMessage: node.error?.message,
+          traceId: span.traceId
+        },
+        tagOverrides: nodeSpan.toTagOverrides()
+      });
+    });
+  }
+
+  /**
+   * Track an execution as returned by the n8n API (GET /executions/{id}?includeData=true)
+   * The traceparent is read from the webhook trigger's request headers unless given explicitly
+   */
+  trackN8nExecution(execution, context = {}) {
+    const runData = execution.data?.resultData?.runData || {};
+    const workflowNodes = execution.workflowData?.nodes || [];
+    const nodeTypes = workflowNodes.reduce((types, node) => ({ ...types, [node.name]: node.type }), {});
+
+    const nodes = [];
+    Object.keys(runData).forEach(name => {
+      runData[name].forEach(run => {
+        nodes.push({
+          name,
+          type: nodeTypes[name],
+          startTime: run.startTime,
+          executionTime: run.executionTime,
+          status: run.executionStatus,
+          error: run.error
+        });
+      });
+    });
+
+    const trigger = workflowNodes.find(node => /\.webhook$/.test(node.type));
+    const triggerOutput = trigger && runData[trigger.name]?.[0]?.data?.main?.[0]?.[0]?.json;
+    const startedAt = new Date(execution.startedAt);
+    const stoppedAt = execution.stoppedAt ? new Date(execution.stoppedAt) : new Date();
+
+    this.trackWorkflowExecution({
+      workflowId: execution.workflowId,
+      workflowName: execution.workflowData?.name,
+      executionId: execution.id,
+      status: execution.status || (execution.finished ? 'success' : 'error'),
+      duration: stoppedAt - startedAt,
+      startTime: startedAt,
+      nodeCount: nodes.length,
+      triggerType: execution.mode,
+      errorDetails: execution.data?.resultData?.error,
+      nodes,
+      traceparent: context.traceparent || triggerOutput?.headers?.traceparent,
+      ...context
+    });
+  }
+
   /**
    * Track Azure OpenAI API usage and costs
    */
   trackOpenAIUsage(usageData) {
-    if (!this.client) return;
-
     const {
       model,
       promptTokens,
       completionTokens,
       totalTokens,
-      costUSD,
       responseTime,
       operationType,
       companyId,
+      tenantId,
       workflowExecutionId,
       errorCode,
       errorMessage
     } = usageData;
 
+    // Accounting runs even without exporters so budget alerts still reach callbacks/webhooks
+    let costUSD = usageData.costUSD;
+    let costSource = 'caller';
+    if (this.costAccountant) {
+      const accounting = this.costAccountant.record(usageData);
+      costUSD = accounting.costUSD;
+      costSource = typeof usageData.costUSD === 'number' ? 'caller' : (accounting.priced ? 'pricing_table' : 'unpriced');
+    }
+
+    if (this.telemetrySink) this.telemetrySink.recordApiUsage(usageData, costUSD);
+    if (!this.client) return;
+
     // Track API usage event
     this.client.trackEvent({
       name: 'OpenAIAPIUsage',
@@ -207,7 +564,9 @@ class ProspectIntelligenceMonitoring {
         model,
         operationType,
         companyId,
+        tenantId,
         workflowExecutionId,
+        costSource,
         errorCode,
         errorMessage,
         success: errorCode ? 'false' : 'true'
@@ -227,7 +586,8 @@ class ProspectIntelligenceMonitoring {
       value: costUSD || 0,
       properties: {
         model,
-        operationType
+        operationType,
+        tenantId
       }
     });
 
@@ -261,11 +621,63 @@ class ProspectIntelligenceMonitoring {
   }
 
   /**
-   * Track business intelligence metrics
+   * Track a tenant crossing a soft or hard OpenAI budget limit
    */
-  trackBusinessMetrics(businessData) {
+  trackOpenAIBudgetAlert(alert) {
     if (!this.client) return;
 
+    const { tenantId, window, level, limitUSD, spendUSD, utilization } = alert;
+
+    this.client.trackEvent({
+      name: 'OpenAIBudgetAlert',
+      properties: {
+        tenantId,
+        window,
+        level
+      },
+      measurements: {
+        limitUSD,
+        spendUSD,
+        utilization: utilization || 0
+      }
+    });
+
+    this.client.trackTrace({
+      message: `OpenAI ${level} budget exceeded for tenant ${tenantId}: $${spendUSD.toFixed(2)} of $${limitUSD.toFixed(2)} (${window})`,
+      severity: level === 'hard'
+        ? appInsights.Contracts.SeverityLevel.Critical
+        : appInsights.Contracts.SeverityLevel.Warning,
+      properties: {
+        tenantId,
+        window,
+        level
+      }
+    });
+  }
+
+  /**
+   * OpenAI spend rollup for dashboards and cost reviews
+   * e.g. getOpenAISpend({ window: 'month', filter: { tenantId }, groupBy: ['model', 'operationType'] })
+   */
+  getOpenAISpend(query) {
+    if (!this.costAccountant) return [];
+
+    return this.costAccountant.getRollup(query);
+  }
+
+  /**
+   * Cost guard - true once the tenant has crossed any hard OpenAI budget limit
+   */
+  isOpenAIBudgetExceeded(tenantId) {
+    if (!this.costAccountant) return false;
+
+    return this.costAccountant.isHardLimitExceeded(tenantId);
+  }
+
+  /**
+   * Track business intelligence metrics
+   */
+  trackBusinessMetrics(businessData) {
     const {
       eventType,
       companyId,
@@ -275,9 +687,18 @@ class ProspectIntelligenceMonitoring {
       potentialSavings,
       recommendedPackageTier,
       conversionStage,
-      analysisQualityScore
+      analysisQualityScore,
+      timestamp
     } = businessData;
 
+    const funnelStage = ProspectFunnelTracker.resolveStage(conversionStage)
+      || ProspectFunnelTracker.resolveStage(eventType);
+    if (funnelStage) {
+      this.trackFunnelStage({ companyId, tenantId, stage: funnelStage, timestamp });
+    }
+
+    if (!this.client) return;
+
     this.client.trackEvent({
       name: 'BusinessIntelligenceEvent',
       properties: {
@@ -320,6 +741,69 @@ class ProspectIntelligenceMonitoring {
     }
   }
 
+  /**
+   * Record a company reaching a funnel stage and emit transition, time-in-stage and conversion metrics
+   */
+  trackFunnelStage({ companyId, tenantId, stage, timestamp }) {
+    const transition = this.funnel.recordStage({ companyId, tenantId, stage, timestamp });
+    if (!transition || !this.client) return transition;
+
+    const { fromStage, toStage, timeInStageMs, skippedStages } = transition;
+
+    this.client.trackEvent({
+      name: 'FunnelStageTransition',
+      properties: {
+        companyId,
+        tenantId: transition.tenantId,
+        fromStage: fromStage || 'none',
+        toStage,
+        skippedStages: skippedStages.length ? skippedStages.join(',') : undefined
+      },
+      measurements: {
+        timeInStageMs: timeInStageMs || 0
+      }
+    });
+
+    this.client.trackMetric({
+      name: 'Funnel_Stage_Entered',
+      value: 1,
+      properties: {
+        stage: toStage,
+        tenantId: transition.tenantId
+      }
+    });
+
+    if (fromStage) {
+      this.client.trackMetric({
+        name: 'Funnel_TimeInStage_Ms',
+        value: timeInStageMs,
+        properties: {
+          stage: fromStage,
+          tenantId: transition.tenantId
+        }
+      });
+
+      this.client.trackMetric({
+        name: 'Funnel_Conversion_Rate',
+        value: this.funnel.getConversionRate(fromStage, toStage, { tenantId: transition.tenantId }) || 0,
+        properties: {
+          fromStage,
+          toStage,
+          tenantId: transition.tenantId
+        }
+      });
+    }
+
+    return transition;
+  }
+
+  /**
+   * Funnel drop-off report (stage counts, conversion rates, time in stage), optionally per tenant
+   */
+  getFunnelReport(options) {
+    return this.funnel.getReport(options);
+  }
+
   /**
    * Track database performance metrics
    */
@@ -375,46 +859,87 @@ class ProspectIntelligenceMonitoring {
   }
 
   /**
-   * Track ConvertKit integration health
+   * Track CRM integration metrics
+   * provider selects the registry entry (instantly, hubspot, salesforce, convertkit; default CRM_PROVIDER or instantly)
+   * statusCode/errorDetails are classified into result codes (duplicate, invalid_email, rate_limited, ...)
+   * Sync lag comes from syncLagMs, or from sourceUpdatedAt (when the lead changed upstream) to now
    */
   trackCRMIntegration(crmData) {
-    if (!this.client) return;
-
     const {
       operation,
       success,
+      statusCode,
       responseTime,
       subscriberCount,
       syncStatus,
       errorDetails,
-      companyId
+      companyId,
+      tenantId,
+      sourceUpdatedAt
     } = crmData;
 
+    const provider = getCrmProvider(crmData.provider || this.defaultCrmProvider);
+    const resultCode = classifyCrmResult(provider, { success, statusCode, errorDetails });
+    const category = resultCategory(resultCode);
+    const syncLagMs = typeof crmData.syncLagMs === 'number'
+      ? crmData.syncLagMs
+      : (sourceUpdatedAt && resultCode === 'success' ? Date.now() - new Date(sourceUpdatedAt).getTime() : undefined);
+
+    // Health rollups are kept even without exporters so getCRMHealth() stays accurate
+    this.crmHealth.record({ provider: provider.displayName, resultCode, responseTime, syncLagMs });
+
+    if (!this.client) return;
+
     this.client.trackDependency({
-      target: 'api.convertkit.com',
-      name: `ConvertKit_${operation}`,
+      target: resolveProviderHost(provider, crmData),
+      name: `${provider.displayName}_${operation}`,
       data: operation,
       duration: responseTime || 0,
-      resultCode: success ? 'Success' : 'Error',
-      success: success,
-      dependencyTypeName: 'ConvertKit'
+      resultCode,
+      // Duplicates and invalid emails are data problems, not dependency failures
+      success: category === 'success' || category === 'data',
+      dependencyTypeName: provider.dependencyType,
+      properties: {
+        provider: provider.displayName,
+        operation,
+        statusCode: statusCode !== undefined ? String(statusCode) : undefined,
+        resultCategory: category,
+        syncStatus,
+        companyId,
+        tenantId,
+        errorMessage: errorDetails?.message
+      }
     });
 
-    // Track integration health
+    // Track integration health, classified the same way as the getCRMHealth() success rate
     this.client.trackMetric({
       name: 'CRM_Integration_Success_Rate',
-      value: success ? 1 : 0,
+      value: category === 'success' ? 1 : 0,
       properties: {
         operation,
-        provider: 'ConvertKit'
+        provider: provider.displayName,
+        resultCode,
+        resultCategory: category
       }
     });
 
+    if (syncLagMs !== undefined) {
+      this.client.trackMetric({
+        name: 'CRM_Sync_Lag_Ms',
+        value: syncLagMs,
+        properties: {
+          provider: provider.displayName,
+          operation
+        }
+      });
+    }
+
     if (subscriberCount !== undefined) {
       this.client.trackMetric({
         name: 'CRM_Subscriber_Count',
         value: subscriberCount,
         properties: {
+          provider: provider.displayName,
           companyId
         }
       });
@@ -422,25 +947,342 @@ class ProspectIntelligenceMonitoring {
   }
 
   /**
-   * Track report generation metrics
+   * Per-provider health rollups (status, availability, data error rate, result codes, sync lag)
    */
-  trackReportGeneration(reportData) {
+  getCRMHealth(provider) {
+    return provider
+      ? this.crmHealth.getHealth(getCrmProvider(provider).displayName)
+      : this.crmHealth.getAllHealth();
+  }
+
+  /**
+   * Emit the current health rollup of every provider - called with the performance counters
+   */
+  trackCRMHealth() {
     if (!this.client) return;
 
+    this.crmHealth.getAllHealth().forEach(health => {
+      if (health.requests === 0) return;
+
+      this.client.trackEvent({
+        name: 'CRMProviderHealth',
+        properties: {
+          provider: health.provider,
+          status: health.status,
+          resultCodes: JSON.stringify(health.resultCodes)
+        },
+        measurements: {
+          requests: health.requests,
+          successRate: health.successRate,
+          availability: health.availability,
+          dataErrorRate: health.dataErrorRate,
+          throttledRate: health.throttledRate,
+          p95ResponseTimeMs: health.p95ResponseTimeMs || 0,
+          syncLagAvgMs: health.syncLagMs ? health.syncLagMs.avg : 0,
+          syncLagMaxMs: health.syncLagMs ? health.syncLagMs.max : 0
+        }
+      });
+
+      this.client.trackMetric({
+        name: 'CRM_Provider_Availability',
+        value: health.availability,
+        properties: { provider: health.provider, status: health.status }
+      });
+    });
+  }
+
+  /**
+   * Track one Instantly email activity (instantly_email_activities row)
+   * Replies advance the prospect funnel, temperature changes are tracked as LeadTemperatureTransition
+   * and sent/bounced activity feeds per-campaign bounce spike detection
+   */
+  trackEmailActivity(activityData) {
     const {
-      reportType,
-      companyId,
+      activityType,
       tenantId,
-      generationTime,
-      fileSize,
-      success,
-      errorDetails,
-      templateVersion
+      companyId,
+      integrationId,
+      campaignId,
+      sendingDomain,
+      emailStep,
+      deviceType,
+      replySentiment,
+      replyIntent,
+      needsHumanReview,
+      leadTemperature,
+      activityTimestamp
+    } = activityData;
+
+    if (!ACTIVITY_TYPES.includes(activityType)) {
+      console.warn(`Unknown email activity type: ${activityType}`);
+      return;
+    }
+
+    // Unattributed activity is counted, never folded into another tenant's funnel or temperatures
+    if (!tenantId) {
+      console.warn(`Email activity without tenant dropped: ${activityType} (campaign ${campaignId || 'unknown'})`);
+      if (this.client) {
+        this.client.trackMetric({
+          name: 'Email_Activity_Unattributed',
+          value: 1,
+          properties: { activityType, campaignId }
+        });
+      }
+      return;
+    }
+
+    if (activityType === 'replied') {
+      this.trackFunnelStage({ companyId, tenantId, stage: 'replied', timestamp: activityTimestamp });
+    }
+
+    const transition = this.leadTemperatures.apply(integrationId, activityData, leadTemperature);
+    // Each alert carries only the dimension of the window that spiked
+    const campaignSpike = this.bounceSpikes.observe(campaignId && `campaign:${campaignId}`, activityType);
+    const domainSpike = this.bounceSpikes.observe(sendingDomain && `domain:${sendingDomain}`, activityType);
+    const spikeAlerts = [
+      campaignSpike && { ...campaignSpike, tenantId, campaignId },
+      domainSpike && { ...domainSpike, tenantId, sendingDomain }
+    ].filter(Boolean);
+
+    if (!this.client) return;
+
+    this.client.trackEvent({
+      name: 'EmailActivity',
+      properties: {
+        activityType,
+        tenantId,
+        companyId,
+        integrationId,
+        campaignId,
+        emailStep: emailStep !== undefined ? String(emailStep) : undefined,
+        deviceType,
+        replySentiment,
+        replyIntent,
+        needsHumanReview: needsHumanReview ? 'true' : undefined
+      }
+    });
+
+    this.client.trackMetric({
+      name: 'Email_Activity_Count',
+      value: 1,
+      properties: {
+        activityType,
+        tenantId,
+        campaignId
+      }
+    });
+
+    if (transition) {
+      this.client.trackEvent({
+        name: 'LeadTemperatureTransition',
+        properties: {
+          tenantId,
+          companyId,
+          integrationId,
+          campaignId,
+          activityType,
+          fromTemperature: transition.fromTemperature,
+          toTemperature: transition.toTemperature
+        }
+      });
+
+      this.client.trackMetric({
+        name: 'Lead_Temperature_Transitions',
+        value: 1,
+        properties: {
+          fromTemperature: transition.fromTemperature,
+          toTemperature: transition.toTemperature
+        }
+      });
+    }
+
+    spikeAlerts.forEach(alert => this.trackDeliverabilityAlert(alert));
+  }
+
+  /**
+   * Track campaign totals and rates (instantly_campaigns row or Instantly campaign stats)
+   * Rates are percentages; click rate is per open
+   */
+  trackCampaignPerformance(campaignData) {
+    if (!this.client) return;
+
+    const {
+      tenantId,
+      campaignId,
+      campaignName,
+      campaignType,
+      campaignStatus,
+      targetServiceTier,
+      performanceScore,
+      stats
+    } = campaignData;
+
+    const rates = computeCampaignRates(stats || campaignData);
+    const dimensions = { campaignId, campaignName, targetServiceTier };
+
+    this.client.trackEvent({
+      name: 'CampaignPerformance',
+      properties: {
+        tenantId,
+        campaignId,
+        campaignName,
+        campaignType,
+        campaignStatus,
+        targetServiceTier
+      },
+      measurements: {
+        emailsSent: rates.sent,
+        opens: rates.opened,
+        clicks: rates.clicked,
+        replies: rates.replied,
+        bounces: rates.bounced,
+        unsubscribes: rates.unsubscribed,
+        openRate: rates.openRate,
+        clickRate: rates.clickRate,
+        replyRate: rates.replyRate,
+        bounceRate: rates.bounceRate,
+        unsubscribeRate: rates.unsubscribeRate,
+        ...(performanceScore !== undefined ? { performanceScore: Number(performanceScore) } : {})
+      }
+    });
+
+    [
+      ['Campaign_Open_Rate', rates.openRate],
+      ['Campaign_Click_Rate', rates.clickRate],
+      ['Campaign_Reply_Rate', rates.replyRate],
+      ['Campaign_Bounce_Rate', rates.bounceRate],
+      ['Campaign_Unsubscribe_Rate', rates.unsubscribeRate]
+    ].forEach(([name, value]) => {
+      this.client.trackMetric({ name, value, properties: dimensions });
+    });
+
+    if (performanceScore !== undefined) {
+      this.client.trackMetric({
+        name: 'Campaign_Performance_Score',
+        value: Number(performanceScore),
+        properties: dimensions
+      });
+    }
+
+    const { bounceRateWarning, bounceRateCritical } = this.deliverabilityThresholds;
+    if (rates.sent > 0 && rates.bounceRate > bounceRateWarning) {
+      this.trackDeliverabilityAlert({
+        alertType: 'campaign_bounce_rate',
+        level: rates.bounceRate > bounceRateCritical ? 'critical' : 'warning',
+        value: rates.bounceRate,
+        threshold: rates.bounceRate > bounceRateCritical ? bounceRateCritical : bounceRateWarning,
+        tenantId,
+        campaignId
+      });
+    }
+  }
+
+  /**
+   * Track sending domain/account health (instantly_deliverability row)
+   * Rates and health_status are derived when not supplied; threshold breaches raise DeliverabilityAlert
+   */
+  trackDeliverability(deliverabilityData) {
+    if (!this.client) return;
+
+    const assessment = assessDeliverability(deliverabilityData, this.deliverabilityThresholds);
+    const tenantId = deliverabilityData.tenantId || deliverabilityData.tenant_id;
+    const sendingDomain = deliverabilityData.sendingDomain || deliverabilityData.sending_domain;
+    const accountId = deliverabilityData.instantlyAccountId || deliverabilityData.instantly_account_id;
+
+    this.client.trackEvent({
+      name: 'EmailDeliverability',
+      properties: {
+        tenantId,
+        sendingDomain,
+        accountId,
+        trackingPeriod: deliverabilityData.trackingPeriod || deliverabilityData.tracking_period,
+        healthStatus: assessment.healthStatus
+      },
+      measurements: {
+        deliveryRate: assessment.deliveryRate,
+        bounceRate: assessment.bounceRate,
+        spamRate: assessment.spamRate,
+        ...(assessment.domainReputationScore !== undefined ? { domainReputationScore: assessment.domainReputationScore } : {})
+      }
+    });
+
+    [
+      ['Deliverability_Delivery_Rate', assessment.deliveryRate],
+      ['Deliverability_Bounce_Rate', assessment.bounceRate],
+      ['Deliverability_Spam_Rate', assessment.spamRate],
+      ['Deliverability_Domain_Reputation', assessment.domainReputationScore]
+    ].forEach(([name, value]) => {
+      if (value === undefined || value === null) return;
+      this.client.trackMetric({ name, value, properties: { sendingDomain, healthStatus: assessment.healthStatus } });
+    });
+
+    assessment.alerts.forEach(alert => this.trackDeliverabilityAlert({ ...alert, tenantId, sendingDomain }));
+
+    return assessment;
+  }
+
+  /**
+   * Track a deliverability threshold breach or bounce spike
+   */
+  trackDeliverabilityAlert(alert) {
+    if (!this.client) return;
+
+    const { alertType, level, value, threshold, tenantId, campaignId, sendingDomain } = alert;
+    const scope = campaignId ? `campaign ${campaignId}` : sendingDomain ? `domain ${sendingDomain}` : `tenant ${tenantId}`;
+
+    this.client.trackEvent({
+      name: 'DeliverabilityAlert',
+      properties: {
+        alertType,
+        level,
+        tenantId,
+        campaignId,
+        sendingDomain
+      },
+      measurements: {
+        value,
+        threshold
+      }
+    });
+
+    this.client.trackTrace({
+      message: `Email deliverability ${level}: ${alertType} at ${value} (threshold ${threshold}) for ${scope}`,
+      severity: level === 'critical'
+        ? appInsights.Contracts.SeverityLevel.Critical
+        : appInsights.Contracts.SeverityLevel.Warning,
+      properties: {
+        alertType,
+        level,
+        tenantId,
+        campaignId,
+        sendingDomain
+      }
+    });
+  }
+
+  /**
+   * Track report generation metrics
+   */
+  trackReportGeneration(reportData) {
+    if (this.auditTrail) this.auditTrail.recordReportGeneration(reportData);
+    if (!this.client) return;
+
+    const {
+      reportId,
+      reportType,
+      companyId,
+      tenantId,
+      generationTime,
+      fileSize,
+      success,
+      errorDetails,
+      templateVersion
     } = reportData;
 
     this.client.trackEvent({
       name: 'ReportGeneration',
       properties: {
+        reportId,
         reportType,
         companyId,
         tenantId,
@@ -475,152 +1317,415 @@ class ProspectIntelligenceMonitoring {
 
   /**
    * Track security events and anomalies
+   * Events also feed the anomaly detector; detections are tracked as derived critical events
    */
   trackSecurityEvent(securityData) {
-    if (!this.client) return;
+    if (this.auditTrail) this.auditTrail.recordSecurityEvent(securityData);
 
-    const {
-      eventType,
-      severity,
-      userId,
-      ipAddress,
-      userAgent,
-      resource,
-      action,
-      success,
-      details
-    } = securityData;
+    // Detection does not depend on an exporter, so derived events still reach the audit trail;
+    // derived events are never re-analysed
+    const anomalies = this.securityAnomalies && !securityData.derived
+      ? this.securityAnomalies.observe({ ...securityData, requestId: securityData.requestId || this.getCurrentRequestId() })
+      : [];
 
-    this.client.trackEvent({
-      name: 'SecurityEvent',
-      properties: {
+    if (this.client) {
+      const {
         eventType,
         severity,
         userId,
+        tenantId,
+        userRole,
         ipAddress,
         userAgent,
         resource,
         action,
-        success: success ? 'true' : 'false',
-        details: JSON.stringify(details)
-      }
-    });
-
-    // Track security metrics
-    this.client.trackMetric({
-      name: 'Security_Events_Count',
-      value: 1,
-      properties: {
-        eventType,
-        severity,
-        success: success ? 'true' : 'false'
-      }
-    });
+        success,
+        details,
+        derived
+      } = securityData;
 
-    // Alert on high severity events
-    if (severity === 'high' || severity === 'critical') {
-      this.client.trackTrace({
-        message: `High severity security event: ${eventType}`,
-        severity: appInsights.Contracts.SeverityLevel.Critical,
+      this.client.trackEvent({
+        name: 'SecurityEvent',
         properties: {
           eventType,
           severity,
           userId,
+          tenantId,
+          userRole,
           ipAddress,
+          userAgent,
           resource,
-          action
+          action,
+          success: success ? 'true' : 'false',
+          derived: derived ? 'true' : undefined,
+          details: JSON.stringify(details)
+        }
+      });
+
+      // Track security metrics
+      this.client.trackMetric({
+        name: 'Security_Events_Count',
+        value: 1,
+        properties: {
+          eventType,
+          severity,
+          success: success ? 'true' : 'false'
         }
       });
+
+      // Alert on high severity events
+      if (severity === 'high' || severity === 'critical') {
+        this.client.trackTrace({
+          message: `High severity security event: ${eventType}`,
+          severity: appInsights.Contracts.SeverityLevel.Critical,
+          properties: {
+            eventType,
+            severity,
+            userId,
+            tenantId,
+            ipAddress,
+            resource,
+            action
+          }
+        });
+      }
+
     }
+
+    anomalies.forEach(anomaly => this.trackSecurityEvent(anomaly));
   }
 
   /**
-   * Create custom availability test
+   * Track access to tenant data (reads, exports, deletes) - always written to the audit trail
    */
-  createAvailabilityTest(testName, url, testLocations = ['us-west-2']) {
+  trackDataAccess(accessData) {
+    if (this.auditTrail) this.auditTrail.recordDataAccess(accessData);
     if (!this.client) return;
 
-    // This would be configured in Azure Portal or via ARM templates
-    const availabilityTest = {
-      name: testName,
-      url: url,
-      frequency: 300, // 5 minutes
-      timeout: 120, // 2 minutes
-      locations: testLocations,
-      successCriteria: {
-        checkHttpStatus: true,
-        httpStatusCode: 200
+    const {
+      tenantId,
+      userId,
+      resourceType,
+      resourceId,
+      action,
+      recordCount
+    } = accessData;
+
+    this.client.trackEvent({
+      name: 'DataAccess',
+      properties: {
+        tenantId,
+        userId,
+        resourceType,
+        resourceId,
+        action: action || 'read'
+      },
+      measurements: {
+        recordCount: recordCount || 0
       }
-    };
+    });
+  }
 
-    console.log(`Availability test configured: ${JSON.stringify(availabilityTest)}`);
-    return availabilityTest;
+  /**
+   * Register a synthetic availability probe - runs in-process and reports via trackAvailability
+   * options accept any probe field (method, expectedStatus, maxLatencyMs, bodyContains, ...)
+   */
+  createAvailabilityTest(testName, url, testLocations, options = {}) {
+    return this.syntheticMonitor.addProbe({
+      name: testName,
+      url,
+      timeoutSeconds: 120,
+      ...(testLocations ? { locations: testLocations } : {}),
+      ...options
+    });
+  }
+
+  /**
+   * Start running registered probes on their schedules (n8n webhook probes when N8N_BASE_URL is set)
+   */
+  startSyntheticMonitoring() {
+    this.syntheticMonitor.start();
+  }
+
+  /**
+   * Export probe definitions as an ARM template or Bicep module of Application Insights web tests
+   */
+  exportAvailabilityTests(format = 'arm') {
+    return format === 'bicep' ? this.syntheticMonitor.toBicep() : this.syntheticMonitor.toArmTemplate();
+  }
+
+  /**
+   * Get a configured exporter by name (e.g. 'memory' for asserting on telemetry in tests)
+   */
+  getExporter(name) {
+    if (!this.client) return undefined;
+
+    return this.client.getExporter(name);
   }
 
   /**
    * Flush all telemetry (useful for serverless functions)
    */
   async flush() {
+    if (this.telemetrySink) await this.telemetrySink.flush();
     if (!this.client) return;
 
-    return new Promise((resolve) => {
-      this.client.flush({
-        callback: () => {
-          resolve();
-        }
-      });
+    await this.client.flush();
+  }
+
+  /**
+   * Report rows the PostgreSQL sink dropped (queue full, missing tenant or rejected by the database)
+   */
+  trackTelemetrySinkDrop({ table, reason, count }) {
+    if (!this.client) {
+      process.stderr.write(`Telemetry sink: dropped ${count} ${table} rows (${reason})\n`);
+      return;
+    }
+
+    this.client.trackMetric({
+      name: 'Telemetry_Postgres_Rows_Dropped',
+      value: count,
+      properties: { table, reason }
     });
   }
 
   /**
    * Create Express middleware for automatic request tracking
+   * Route templates include the mount path of nested routers (req.baseUrl + req.route.path)
    */
   createRequestTrackingMiddleware() {
-    if (!this.client) {
+    if (!this.tracksRequests()) {
       return (req, res, next) => next();
     }
 
     return (req, res, next) => {
-      // Add custom properties to the request telemetry
-      if (req.user) {
-        req.properties = {
-          ...req.properties,
-          userId: req.user.id,
-          tenantId: req.user.tenant_id,
-          userRole: req.user.role
-        };
-      }
-
-      // Track API endpoint usage
       const startTime = Date.now();
-      
+      const operation = this.getOperationTags();
+      const response = countResponseBytes(res);
+
       res.on('finish', () => {
-        const duration = Date.now() - startTime;
-        
-        this.client.trackMetric({
-          name: 'API_Request_Duration_Ms',
-          value: duration,
-          properties: {
-            method: req.method,
-            route: req.route?.path || req.path,
-            statusCode: res.statusCode.toString(),
-            success: res.statusCode < 400 ? 'true' : 'false'
-          }
+        this.trackApiRequest({
+          framework: 'express',
+          method: req.method,
+          route: resolveExpressRoute(req),
+          statusCode: res.statusCode,
+          duration: Date.now() - startTime,
+          requestBytes: contentLength(req.headers),
+          responseBytes: response.bytes,
+          operation,
+          ...userDimensions(req.user)
         });
       });
 
       next();
     };
   }
+
+  /**
+   * Create a Fastify plugin for automatic request tracking (registered without encapsulation)
+   */
+  createFastifyPlugin() {
+    const monitoring = this;
+
+    async function prospectIntelligenceRequestTracking(fastify) {
+      if (!monitoring.tracksRequests()) return;
+
+      fastify.addHook('onRequest', async (request) => {
+        request.telemetryOperation = monitoring.getOperationTags();
+      });
+
+      // Expose route and user to the auto-collected request, which only sees the raw Node request
+      fastify.addHook('preHandler', async (request) => {
+        request.raw.telemetryRoute = resolveFastifyRoute(request);
+        request.raw.telemetryDimensions = userDimensions(request.user);
+      });
+
+      fastify.addHook('onResponse', async (request, reply) => {
+        monitoring.trackApiRequest({
+          framework: 'fastify',
+          method: request.method,
+          route: resolveFastifyRoute(request),
+          statusCode: reply.statusCode,
+          duration: typeof reply.elapsedTime === 'number' ? reply.elapsedTime : reply.getResponseTime(),
+          requestBytes: contentLength(request.headers),
+          responseBytes: Number(reply.getHeader('content-length')) || 0,
+          operation: request.telemetryOperation,
+          ...userDimensions(request.user)
+        });
+      });
+    }
+
+    // Equivalent of wrapping with fastify-plugin so the hooks apply to every route
+    prospectIntelligenceRequestTracking[Symbol.for('skip-override')] = true;
+    return prospectIntelligenceRequestTracking;
+  }
+
+  /**
+   * Create Koa middleware for automatic request tracking (route templates from koa-router)
+   */
+  createKoaMiddleware() {
+    if (!this.tracksRequests()) {
+      return (ctx, next) => next();
+    }
+
+    return async (ctx, next) => {
+      const startTime = Date.now();
+      const operation = this.getOperationTags();
+
+      try {
+        await next();
+      } finally {
+        const route = resolveKoaRoute(ctx);
+        const dimensions = userDimensions(ctx.state.user);
+
+        ctx.req.telemetryRoute = route;
+        ctx.req.telemetryDimensions = dimensions;
+
+        this.trackApiRequest({
+          framework: 'koa',
+          method: ctx.method,
+          route,
+          statusCode: ctx.status,
+          duration: Date.now() - startTime,
+          requestBytes: ctx.request.length || 0,
+          responseBytes: ctx.response.length || 0,
+          operation,
+          ...dimensions
+        });
+      }
+    };
+  }
+
+  /**
+   * Id of the request being handled in the current async context (matches trackApiRequest's operation tags)
+   */
+  getCurrentRequestId() {
+    const operation = this.getOperationTags();
+    return operation ? operation['ai.operation.parentId'] || operation['ai.operation.id'] : undefined;
+  }
+
+  /**
+   * Operation tags of the auto-collected request in the current async context, if any
+   */
+  getOperationTags() {
+    const context = appInsights.getCorrelationContext && appInsights.getCorrelationContext();
+    if (!context || !context.operation) return undefined;
+
+    return {
+      'ai.operation.id': context.operation.id,
+      'ai.operation.parentId': context.operation.parentId
+    };
+  }
+
+  /**
+   * Request adapters are needed for telemetry or, without an exporter, for 403 spike detection
+   */
+  tracksRequests() {
+    return Boolean(this.client || this.securityAnomalies);
+  }
+
+  /**
+   * Track an API request from any framework adapter
+   * When Application Insights auto-collection is not active the request itself is tracked too
+   */
+  trackApiRequest(requestData) {
+    const {
+      framework,
+      method,
+      route,
+      statusCode,
+      duration,
+      requestBytes,
+      responseBytes,
+      userId,
+      tenantId,
+      userRole,
+      operation
+    } = requestData;
+
+    // 403s feed the per-tenant spike detector without emitting one security event per response;
+    // the request id lets the detector skip the same denial reported through trackSecurityEvent
+    if (statusCode === 403 && this.securityAnomalies) {
+      const requestId = requestData.requestId || (operation && (operation['ai.operation.parentId'] || operation['ai.operation.id']));
+      this.securityAnomalies
+        .observe({ eventType: 'access_denied', statusCode, requestId, tenantId, userId, userRole, resource: route, action: method })
+        .forEach(anomaly => this.trackSecurityEvent(anomaly));
+    }
+
+    if (!this.client) return;
+
+    const success = statusCode < 400;
+    const dimensions = {
+      method,
+      route,
+      statusCode: String(statusCode),
+      success: success ? 'true' : 'false',
+      tenantId,
+      userRole
+    };
+
+    this.client.trackMetric({
+      name: 'API_Request_Duration_Ms',
+      value: duration,
+      properties: dimensions,
+      tagOverrides: operation
+    });
+
+    this.client.trackMetric({
+      name: 'API_Request_Size_Bytes',
+      value: requestBytes || 0,
+      properties: { method, route, tenantId },
+      tagOverrides: operation
+    });
+
+    this.client.trackMetric({
+      name: 'API_Response_Size_Bytes',
+      value: responseBytes || 0,
+      properties: { method, route, statusCode: String(statusCode), tenantId },
+      tagOverrides: operation
+    });
+
+    if (!this.getExporter('applicationinsights')) {
+      this.client.trackRequest({
+        name: `${method} ${route}`,
+        url: route,
+        duration,
+        resultCode: String(statusCode),
+        success,
+        properties: {
+          framework,
+          routeTemplate: route,
+          userId,
+          tenantId,
+          userRole
+        },
+        measurements: {
+          requestBytes: requestBytes || 0,
+          responseBytes: responseBytes || 0
+        },
+        tagOverrides: operation
+      });
+    }
+  }
 }
 
-// Export singleton instance
-const monitoring = new ProspectIntelligenceMonitoring({
-  serviceName: 'prospect-intelligence-engine',
-  version: process.env.npm_package_version || '2.1.0'
-});
+// Singleton instance - created on first access so requiring this module has no side effects
+let monitoring = null;
+
+function getMonitoring() {
+  if (!monitoring) {
+    monitoring = new ProspectIntelligenceMonitoring({
+      serviceName: 'prospect-intelligence-engine',
+      version: process.env.npm_package_version || '2.1.0'
+    });
+  }
+  return monitoring;
+}
 
 module.exports = {
   ProspectIntelligenceMonitoring,
-  monitoring
+  getMonitoring,
+  get monitoring() {
+    return getMonitoring();
+  }
 };
\ No newline at end of file
@@ -0,0 +1,451 @@
+/**
+ * Immutable Audit Trail for Prospect Intelligence Engine
+ * Writes security, report generation and data-access events to audit_logs (or an append-only
+ * JSON lines file) as a SHA-256 hash chain per tenant so any edited, deleted or reordered entry is
+ * detectable, while offboarding a tenant (ON DELETE CASCADE) removes its whole chain and leaves the others intact
+ *
+ * Verify: node audit-trail.js verify [--file <path>]   (defaults to AUDIT_TRAIL_SINK / AUDIT_TRAIL_FILE)
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const net = require('net');
+const { createPostgresPool } = require('./postgres-connection');
+
+const GENESIS_HASH = '0'.repeat(64);
+const CHAIN_LOCK_KEY = 'audit_logs_hash_chain';
+const RISK_LEVELS = ['low', 'medium', 'high', 'critical'];
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+class AuditTrail {
+  /**
+   * store - FileAuditStore or PostgresAuditStore
+   * options.defaultTenantId - tenant for events without one (AUDIT_DEFAULT_TENANT_ID)
+   */
+  constructor(store, options = {}) {
+    this.store = store;
+    this.defaultTenantId = options.defaultTenantId || process.env.AUDIT_DEFAULT_TENANT_ID;
+    this.pending = Promise.resolve();
+  }
+
+  /**
+   * Build from { sink: 'postgres' | 'file', path, pool } or AUDIT_TRAIL_SINK / AUDIT_TRAIL_FILE
+   * Returns null when no sink is configured
+   */
+  static fromConfig(config = {}) {
+    const sink = config.sink || process.env.AUDIT_TRAIL_SINK;
+
+    switch (sink) {
+      case 'postgres':
+        return new AuditTrail(new PostgresAuditStore(config), config);
+      case 'file':
+        return new AuditTrail(new FileAuditStore(config.path || process.env.AUDIT_TRAIL_FILE || 'audit-trail.jsonl'), config);
+      case undefined:
+      case '':
+        return null;
+      default:
+        throw new Error(`Unknown audit trail sink: ${sink} (expected postgres or file)`);
+    }
+  }
+
+  /**
+   * Queue an entry - writes are serialized so the chain order matches call order
+   */
+  record(entry) {
+    const record = normalizeEntry({ ...entry, tenantId: entry.tenantId || this.defaultTenantId });
+
+    if (!record.tenantId) {
+      process.stderr.write(`Audit entry ${record.action} skipped: no tenant id\n`);
+      return this.pending;
+    }
+
+    this.pending = this.pending
+      .then(() => this.store.append(record))
+      .catch(error => {
+        process.stderr.write(`Audit trail write failed for ${record.action}: ${error.message}\n`);
+      });
+
+    return this.pending;
+  }
+
+  recordSecurityEvent(securityData) {
+    const { eventType, severity, userId, tenantId, userEmail, ipAddress, userAgent, resource, action, success, details, derived } = securityData;
+
+    return this.record({
+      tenantId,
+      action: `security.${eventType}`,
+      resourceType: resource || 'security_event',
+      userId,
+      userEmail,
+      ipAddress,
+      userAgent,
+      riskLevel: RISK_LEVELS.includes(severity) ? severity : 'low',
+      requiresReview: severity === 'high' || severity === 'critical',
+      actionDetails: { action, success: Boolean(success), derived: Boolean(derived), details }
+    });
+  }
+
+  recordReportGeneration(reportData) {
+    const { reportId, reportType, companyId, tenantId, userId, success, errorDetails, templateVersion, fileSize } = reportData;
+
+    return this.record({
+      tenantId,
+      action: success ? 'report.generated' : 'report.generation_failed',
+      resourceType: 'report',
+      resourceId: reportId,
+      userId,
+      riskLevel: 'low',
+      actionDetails: { reportType, companyId, templateVersion, fileSize, errorMessage: errorDetails?.message }
+    });
+  }
+
+  recordDataAccess(accessData) {
+    const { tenantId, userId, userEmail, ipAddress, userAgent, resourceType, resourceId, action, recordCount, sessionId, requestId } = accessData;
+
+    return this.record({
+      tenantId,
+      action: `data.${action || 'read'}`,
+      resourceType,
+      resourceId,
+      userId,
+      userEmail,
+      ipAddress,
+      userAgent,
+      sessionId,
+      requestId,
+      riskLevel: action === 'export' || action === 'delete' ? 'medium' : 'low',
+      actionDetails: { recordCount }
+    });
+  }
+
+  async verify() {
+    await this.pending;
+    return this.store.verify();
+  }
+
+  async close() {
+    await this.pending;
+    if (this.store.close) await this.store.close();
+  }
+}
+
+/**
+ * Append-only JSON lines file - one chained entry per line, chained per tenant
+ */
+class FileAuditStore {
+  constructor(path) {
+    this.path = path;
+    this.heads = null;
+  }
+
+  readEntries() {
+    if (!fs.existsSync(this.path)) return [];
+
+    return fs.readFileSync(this.path, 'utf8')
+      .split('\n')
+      .filter(line => line.trim())
+      .map(line => JSON.parse(line));
+  }
+
+  async append(record) {
+    if (!this.heads) {
+      this.heads = new Map();
+      this.readEntries().forEach(entry => this.heads.set(entry.tenantId, { sequence: entry.sequence, hash: entry.entryHash }));
+    }
+
+    const head = this.heads.get(record.tenantId) || { sequence: 0, hash: GENESIS_HASH };
+    const sequence = head.sequence + 1;
+    const entryHash = computeEntryHash(sequence, head.hash, record);
+
+    fs.appendFileSync(this.path, `${JSON.stringify({ sequence, previousHash: head.hash, entryHash, ...record })}\n`, { flag: 'a' });
+    this.heads.set(record.tenantId, { sequence, hash: entryHash });
+  }
+
+  async verify() {
+    const chains = new Map();
+
+    this.readEntries().forEach(({ sequence, previousHash, entryHash, ...record }) => {
+      if (!chains.has(record.tenantId)) chains.set(record.tenantId, []);
+      chains.get(record.tenantId).push({ sequence, previousHash, entryHash, record });
+    });
+
+    return combineChainResults([...chains].map(([tenantId, entries]) => ({ tenantId, ...verifyChain(entries) })));
+  }
+}
+
+/**
+ * audit_logs table - a per-tenant advisory lock serializes writers across processes so no chain forks
+ */
+class PostgresAuditStore {
+  constructor(options = {}) {
+    this.pool = options.pool || createPostgresPool(options.postgres);
+    this.ownsPool = !options.pool;
+    this.pageSize = options.pageSize || 1000;
+  }
+
+  async append(record) {
+    const client = await this.pool.connect();
+
+    try {
+      await client.query('BEGIN');
+      await client.query('SELECT pg_advisory_xact_lock(hashtext($1))', [`${CHAIN_LOCK_KEY}:${record.tenantId}`]);
+      // Scope the transaction to the tenant so the RLS-protected users lookup and insert can see its rows
+      await client.query(`SELECT set_config('app.current_tenant_id', $1, true)`, [record.tenantId]);
+
+      // Hash the address the way INET reads it back (e.g. compressed IPv6), or verify would flag the entry
+      if (record.ipAddress) {
+        const { rows: [inet] } = await client.query('SELECT $1::inet AS ip_address', [record.ipAddress]);
+        record = { ...record, ipAddress: inet.ip_address };
+      }
+
+      // An unknown user would fail the users FK and lose the entry; keep the id in the details instead
+      if (record.userId) {
+        const user = await client.query('SELECT 1 FROM users WHERE id = $1', [record.userId]);
+        if (user.rows.length === 0) {
+          record = { ...record, userId: null, actionDetails: { ...record.actionDetails, userRef: record.userId } };
+        }
+      }
+
+      const { rows } = await client.query(
+        `SELECT sequence_number, entry_hash FROM audit_logs
+         WHERE tenant_id = $1 AND sequence_number IS NOT NULL
+         ORDER BY sequence_number DESC LIMIT 1`,
+        [record.tenantId]
+      );
+      const sequence = rows.length ? Number(rows[0].sequence_number) + 1 : 1;
+      const previousHash = rows.length ? rows[0].entry_hash : GENESIS_HASH;
+      const entryHash = computeEntryHash(sequence, previousHash, record);
+
+      await client.query(
+        `INSERT INTO audit_logs (
+          tenant_id, action, resource_type, resource_id, user_id, user_email, ip_address, user_agent,
+          action_details, session_id, request_id, risk_level, requires_review, created_at,
+          sequence_number, previous_hash, entry_hash
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17)`,
+        [
+          record.tenantId, record.action, record.resourceType, record.resourceId, record.userId, record.userEmail,
+          record.ipAddress, record.userAgent, JSON.stringify(record.actionDetails), record.sessionId, record.requestId,
+          record.riskLevel, record.requiresReview, record.createdAt, sequence, previousHash, entryHash
+        ]
+      );
+
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK').catch(() => {});
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  async verify() {
+    const { rows: tenants } = await this.pool.query(
+      'SELECT DISTINCT tenant_id FROM audit_logs WHERE sequence_number IS NOT NULL ORDER BY tenant_id'
+    );
+    const results = [];
+
+    for (const { tenant_id: tenantId } of tenants) {
+      const verifier = createChainVerifier();
+      let after = 0;
+
+      // Each page is checked and discarded; only the previous hash is carried to the next page
+      for (;;) {
+        const { rows } = await this.pool.query(
+          `SELECT * FROM audit_logs WHERE tenant_id = $1 AND sequence_number > $2 ORDER BY sequence_number LIMIT $3`,
+          [tenantId, after, this.pageSize]
+        );
+        if (rows.length === 0) break;
+
+        const failed = rows.some(row => !verifier.check({
+          sequence: Number(row.sequence_number),
+          previousHash: row.previous_hash,
+          entryHash: row.entry_hash,
+          record: rowToRecord(row)
+        }));
+        if (failed) break;
+
+        after = Number(rows[rows.length - 1].sequence_number);
+      }
+
+      const result = { tenantId, ...verifier.result() };
+      results.push(result);
+      if (!result.valid) break;
+    }
+
+    return combineChainResults(results);
+  }
+
+  async close() {
+    if (this.ownsPool) await this.pool.end();
+  }
+}
+
+function normalizeEntry(entry) {
+  const actionDetails = { ...entry.actionDetails };
+
+  // Non-UUID identifiers cannot go into the UUID columns; keep them in the details instead
+  const resourceId = isUuid(entry.resourceId) ? entry.resourceId : null;
+  if (entry.resourceId && !resourceId) actionDetails.resourceRef = String(entry.resourceId);
+
+  const userId = isUuid(entry.userId) ? entry.userId : null;
+  if (entry.userId && !userId) actionDetails.userRef = String(entry.userId);
+
+  return {
+    tenantId: entry.tenantId || null,
+    action: truncate(entry.action, 100),
+    resourceType: truncate(entry.resourceType || 'unknown', 100),
+    resourceId,
+    userId,
+    userEmail: truncate(entry.userEmail || null, 255),
+    ipAddress: entry.ipAddress && net.isIP(String(entry.ipAddress)) ? String(entry.ipAddress) : null,
+    userAgent: entry.userAgent || null,
+    // Round-trip through JSON so the hashed value matches what JSONB stores
+    actionDetails: JSON.parse(JSON.stringify(actionDetails)),
+    sessionId: truncate(entry.sessionId || null, 255),
+    requestId: truncate(entry.requestId || null, 255),
+    riskLevel: RISK_LEVELS.includes(entry.riskLevel) ? entry.riskLevel : 'low',
+    requiresReview: Boolean(entry.requiresReview),
+    createdAt: entry.createdAt || new Date().toISOString()
+  };
+}
+
+function rowToRecord(row) {
+  return {
+    tenantId: row.tenant_id,
+    action: row.action,
+    resourceType: row.resource_type,
+    resourceId: row.resource_id,
+    userId: row.user_id,
+    userEmail: row.user_email,
+    ipAddress: row.ip_address,
+    userAgent: row.user_agent,
+    actionDetails: row.action_details || {},
+    sessionId: row.session_id,
+    requestId: row.request_id,
+    riskLevel: row.risk_level,
+    requiresReview: row.requires_review,
+    createdAt: new Date(row.created_at).toISOString()
+  };
+}
+
+function computeEntryHash(sequence, previousHash, record) {
+  return crypto.createHash('sha256')
+    .update(canonicalJson({ sequence, previousHash, record }))
+    .digest('hex');
+}
+
+/**
+ * Incremental chain walk: sequence numbers must be contiguous, each entry must link to the previous
+ * hash and its own hash must match its content. check() returns false once the chain is broken
+ */
+function createChainVerifier() {
+  let previousHash = GENESIS_HASH;
+  let expectedSequence = 1;
+  let failure = null;
+
+  const fail = (entry, reason) => {
+    failure = { valid: false, checked: expectedSequence - 1, failedSequence: entry.sequence, reason };
+    return false;
+  };
+
+  return {
+    check(entry) {
+      if (failure) return false;
+      if (entry.sequence !== expectedSequence) {
+        return fail(entry, `Expected sequence ${expectedSequence}, found ${entry.sequence} (entries missing or reordered)`);
+      }
+      if (entry.previousHash !== previousHash) return fail(entry, 'Previous hash does not match the preceding entry');
+      if (computeEntryHash(entry.sequence, entry.previousHash, entry.record) !== entry.entryHash) {
+        return fail(entry, 'Entry content does not match its hash');
+      }
+
+      previousHash = entry.entryHash;
+      expectedSequence += 1;
+      return true;
+    },
+
+    result() {
+      return failure || { valid: true, checked: expectedSequence - 1, headHash: previousHash };
+    }
+  };
+}
+
+/**
+ * Verify one tenant's chain held in memory
+ */
+function verifyChain(entries) {
+  const verifier = createChainVerifier();
+  entries.every(entry => verifier.check(entry));
+  return verifier.result();
+}
+
+/**
+ * Fold per-tenant results: valid only when every chain is, reporting the first broken one
+ */
+function combineChainResults(results) {
+  const failed = results.find(result => !result.valid);
+  const checked = results.reduce((total, result) => total + result.checked, 0);
+
+  if (failed) return { ...failed, checked };
+  return { valid: true, checked, tenants: results.length, heads: Object.fromEntries(results.map(result => [result.tenantId, result.headHash])) };
+}
+
+function canonicalJson(value) {
+  if (Array.isArray(value)) return `[${value.map(canonicalJson).join(',')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value === undefined ? null : value);
+}
+
+// Clip to the audit_logs VARCHAR length so an oversized value cannot make the insert fail and drop the entry
+function truncate(value, length) {
+  return value === null || value === undefined ? value : String(value).slice(0, length);
+}
+
+function isUuid(value) {
+  return typeof value === 'string' && UUID_PATTERN.test(value);
+}
+
+module.exports = {
+  AuditTrail,
+  FileAuditStore,
+  PostgresAuditStore,
+  createChainVerifier,
+  verifyChain,
+  computeEntryHash
+};
+
+// Verify command
+if (require.main === module) {
+  const [command, ...args] = process.argv.slice(2);
+  const fileIndex = args.indexOf('--file');
+
+  if (command !== 'verify') {
+    console.error('Usage: node audit-trail.js verify [--file <path>]');
+    process.exit(2);
+  }
+
+  const config = fileIndex >= 0 ? { sink: 'file', path: args[fileIndex + 1] } : {};
+  const trail = AuditTrail.fromConfig(config);
+  if (!trail) {
+    console.error('No audit trail configured - set AUDIT_TRAIL_SINK or pass --file');
+    process.exit(2);
+  }
+
+  trail.verify()
+    .then(async (result) => {
+      await trail.close();
+      if (result.valid) {
+        console.log(`Audit trail intact: ${result.checked} entries verified across ${result.tenants} tenant chain(s)`);
+        process.exit(0);
+      }
+      console.error(`Audit trail TAMPERED for tenant ${result.tenantId} at sequence ${result.failedSequence}: ${result.reason} (${result.checked} entries verified before it)`);
+      process.exit(1);
+    })
+    .catch(async (error) => {
+      console.error(`Audit trail verification failed: ${error.message}`);
+      await trail.close().catch(() => {});
+      process.exit(2);
+    });
+}
@@ -0,0 +1,295 @@
+/**
+ * Campaign Routing for Prospect Intelligence Engine
+ * Picks the Instantly campaign and sequence for a scored lead from a per-tenant routing table kept in
+ * instantly_campaigns / instantly_sequences: ordered match rules, daily capacity per campaign and
+ * weighted A/B splits that hash the lead, so a lead always lands in the same arm
+ *
+ * Tenants without routing rows use DEFAULT_ROUTES, the campaign chain that used to be hard-coded in the
+ * CRM integration workflow's "Determine Campaign Assignment" node
+ *
+ * Daily capacity is a soft cap: assigned_today is counted before the lead is created, so executions
+ * running at the same time can each take a campaign's last slot
+ */
+
+const crypto = require('crypto');
+
+const HIGH_TOUCH_INDUSTRIES = ['legal services', 'healthcare', 'financial services'];
+
+/**
+ * Match rule shape (every listed condition must hold; anyOf needs at least one of its rules):
+ * { leadScoreMin, leadScoreMax, packages: [], roiAbove, opportunitiesMin, industries: [], companySizes: [],
+ *   actionTypes: [], anyOf: [rule, ...] }
+ * industries match by case-insensitive substring, as the workflow always has
+ */
+function matchesRule(rule, lead) {
+  if (!rule) return true;
+
+  const checks = [
+    rule.leadScoreMin === undefined || lead.leadScore >= rule.leadScoreMin,
+    rule.leadScoreMax === undefined || lead.leadScore <= rule.leadScoreMax,
+    !hasValues(rule.packages) || rule.packages.includes(lead.recommendedPackage),
+    rule.roiAbove === undefined || lead.totalROI > rule.roiAbove,
+    rule.opportunitiesMin === undefined || lead.opportunitiesCount >= rule.opportunitiesMin,
+    !hasValues(rule.industries) || rule.industries.some(industry => String(lead.industry || '').toLowerCase().includes(industry.toLowerCase())),
+    !hasValues(rule.companySizes) || rule.companySizes.includes(lead.companySize),
+    !hasValues(rule.actionTypes) || rule.actionTypes.includes(lead.actionType),
+    !hasValues(rule.anyOf) || rule.anyOf.some(alternative => matchesRule(alternative, lead))
+  ];
+
+  return checks.every(Boolean);
+}
+
+function hasValues(list) {
+  return Array.isArray(list) && list.length > 0;
+}
+
+function isSpecific(rule) {
+  return Boolean(rule) && Object.keys(rule).length > 0;
+}
+
+/**
+ * Deterministic bucket in [0, 10000) for a lead within one experiment
+ */
+function hashBucket(leadKey, experimentKey) {
+  return crypto.createHash('sha256').update(`${experimentKey}:${leadKey}`).digest().readUInt32BE(0) % 10000;
+}
+
+/**
+ * Weighted pick by hash; arms with trafficWeight 0 are never picked
+ */
+function pickWeighted(arms, leadKey, experimentKey) {
+  const weighted = arms.filter(arm => (arm.trafficWeight ?? 100) > 0);
+  if (weighted.length <= 1) return { arm: weighted[0] || arms[0], bucket: null };
+
+  const total = weighted.reduce((sum, arm) => sum + (arm.trafficWeight ?? 100), 0);
+  const bucket = hashBucket(leadKey, experimentKey);
+  let threshold = (bucket / 10000) * total;
+
+  for (const arm of weighted) {
+    threshold -= arm.trafficWeight ?? 100;
+    if (threshold < 0) return { arm, bucket };
+  }
+  return { arm: weighted[weighted.length - 1], bucket };
+}
+
+/**
+ * Delay adjustments applied in order after the campaign's (or sequence's) initial delay
+ * Tenants override them with tenants.settings.campaign_routing.delayRules
+ */
+const DEFAULT_DELAY_RULES = [
+  { match: { industries: HIGH_TOUCH_INDUSTRIES }, minDelayHours: 2 },
+  { match: { companySizes: ['enterprise', 'large'] }, minDelayHours: 4 },
+  { match: { actionTypes: ['opportunity-calculated'] }, delayFactor: 0.5, minDelayHours: 0.25 }
+];
+
+const compliance = (sequenceId, sequenceName) => ({
+  sequenceId: `${sequenceId}_compliance`,
+  sequenceName: `${sequenceName} (Compliance Focused)`,
+  match: { industries: HIGH_TOUCH_INDUSTRIES }
+});
+
+const withRoiReportVariant = route => [
+  {
+    ...route,
+    campaignId: `${route.campaignId}_roi_report`,
+    campaignName: `${route.campaignName} (ROI Report Available)`,
+    match: { ...route.match, actionTypes: ['opportunity-calculated'] }
+  },
+  route
+];
+
+const DEFAULT_ROUTES = [
+  ...withRoiReportVariant({
+    campaignId: 'entelech_enterprise_vip',
+    campaignName: 'Enterprise VIP - Executive Outreach',
+    match: { anyOf: [{ leadScoreMin: 80 }, { packages: ['enterprise_15k'] }, { roiAbove: 50000 }] },
+    initialDelayHours: 0.5,
+    maxFollowUps: 7,
+    sequences: [
+      compliance('seq_enterprise_executive', 'Executive Decision Maker Sequence'),
+      { sequenceId: 'seq_enterprise_executive', sequenceName: 'Executive Decision Maker Sequence' }
+    ]
+  }),
+  ...withRoiReportVariant({
+    campaignId: 'entelech_professional_priority',
+    campaignName: 'Professional Priority - High Value Prospects',
+    match: { anyOf: [{ leadScoreMin: 60 }, { packages: ['professional_7_5k'] }, { roiAbove: 25000, opportunitiesMin: 2 }] },
+    initialDelayHours: 1,
+    maxFollowUps: 6,
+    sequences: [
+      compliance('seq_professional_priority', 'Professional Service Automation Sequence'),
+      { sequenceId: 'seq_professional_priority', sequenceName: 'Professional Service Automation Sequence' }
+    ]
+  }),
+  ...withRoiReportVariant({
+    campaignId: 'entelech_warm_prospects',
+    campaignName: 'Warm Prospects - Automation Focused',
+    match: { anyOf: [{ leadScoreMin: 40 }, { opportunitiesMin: 1 }] },
+    initialDelayHours: 4,
+    maxFollowUps: 5,
+    sequences: [
+      compliance('seq_warm_nurture', 'Automation Opportunity Nurture'),
+      { sequenceId: 'seq_warm_nurture', sequenceName: 'Automation Opportunity Nurture' }
+    ]
+  }),
+  ...withRoiReportVariant({
+    campaignId: 'entelech_cold_outreach',
+    campaignName: 'Cold Outreach - Educational',
+    match: {},
+    initialDelayHours: 24,
+    maxFollowUps: 4,
+    sequences: [
+      compliance('seq_cold_education', 'Educational Automation Series'),
+      { sequenceId: 'seq_cold_education', sequenceName: 'Educational Automation Series' }
+    ]
+  })
+].map((route, index) => ({ ...route, priority: (index + 1) * 10 }));
+
+/**
+ * Routes from instantly_campaigns rows (with a sequences array of instantly_sequences rows and an
+ * assigned_today count, as returned by ROUTING_TABLE_QUERY)
+ * A campaign's match rule is routing_rules when set, otherwise its target_* columns
+ * A/B variants (is_ab_test with ab_test_control_campaign_id) become arms of their control's route
+ */
+function routesFromRows(rows) {
+  const toRoute = row => ({
+    campaignId: row.instantly_campaign_id,
+    campaignName: row.campaign_name,
+    priority: row.routing_priority,
+    match: isSpecific(row.routing_rules) ? row.routing_rules : {
+      ...(row.target_lead_score_min !== null && row.target_lead_score_min !== undefined ? { leadScoreMin: row.target_lead_score_min } : {}),
+      ...(row.target_lead_score_max !== null && row.target_lead_score_max !== undefined ? { leadScoreMax: row.target_lead_score_max } : {}),
+      ...(row.target_service_tier ? { packages: [row.target_service_tier] } : {}),
+      ...(hasValues(row.target_industries) ? { industries: row.target_industries } : {})
+    },
+    dailyCapacity: row.daily_lead_capacity ?? null,
+    assignedToday: Number(row.assigned_today) || 0,
+    initialDelayHours: row.initial_delay_hours !== null && row.initial_delay_hours !== undefined ? Number(row.initial_delay_hours) : 2,
+    maxFollowUps: row.max_follow_ups ?? 5,
+    trafficWeight: row.traffic_weight ?? 100,
+    abTestVariant: row.ab_test_variant || null,
+    sequences: (row.sequences || []).map(sequence => ({
+      sequenceId: sequence.instantly_sequence_id,
+      sequenceName: sequence.sequence_name,
+      match: sequence.routing_rules || {},
+      trafficWeight: sequence.traffic_weight ?? 100,
+      abTestVariant: sequence.ab_test_variant || null,
+      initialDelayHours: sequence.initial_delay_hours !== null && sequence.initial_delay_hours !== undefined ? Number(sequence.initial_delay_hours) : null
+    }))
+  });
+
+  const controls = rows.filter(row => !row.is_ab_test && row.routing_priority !== null && row.routing_priority !== undefined);
+  const variants = rows.filter(row => row.is_ab_test && row.ab_test_control_campaign_id);
+
+  return controls
+    .map(row => {
+      const route = toRoute(row);
+      const arms = variants
+        .filter(variant => variant.ab_test_control_campaign_id === row.instantly_campaign_id)
+        .map(variant => ({ ...toRoute(variant), priority: route.priority, match: route.match }));
+      return arms.length ? { ...route, variants: arms } : route;
+    })
+    .sort((a, b) => a.priority - b.priority);
+}
+
+/**
+ * Routing table for a tenant, one row per campaign with its active sequences and today's assignments
+ * ($1 tenant_id, the company's tenant); also returns the tenant's settings.campaign_routing on every row
+ * The CRM integration workflow's "Fetch Campaign Routing Table" node runs this query verbatim
+ */
+const ROUTING_TABLE_QUERY = `SELECT c.*,
+  COALESCE((SELECT json_agg(s ORDER BY s.created_at) FROM instantly_sequences s
+            WHERE s.campaign_id = c.id AND s.sequence_status = 'active'), '[]'::json) AS sequences,
+  (SELECT COUNT(*) FROM instantly_integrations i
+   WHERE i.tenant_id = c.tenant_id AND i.instantly_campaign_id = c.instantly_campaign_id
+     AND i.created_at >= date_trunc('day', NOW())) AS assigned_today,
+  (SELECT t.settings->'campaign_routing' FROM tenants t WHERE t.id = c.tenant_id) AS tenant_routing
+FROM instantly_campaigns c
+WHERE c.tenant_id = $1 AND c.campaign_status = 'active'
+  AND (c.routing_priority IS NOT NULL OR c.is_ab_test)
+ORDER BY c.routing_priority NULLS LAST`;
+
+/**
+ * Assign a lead: the first route (by priority) whose rule matches and that has capacity left
+ * lead: { leadKey, leadScore, recommendedPackage, totalROI, opportunitiesCount, industry, companySize, actionType }
+ * campaignId is null (skipped lists full campaigns) when nothing matches or every matching campaign is full
+ */
+function routeLead(lead, routes = DEFAULT_ROUTES, options = {}) {
+  const delayRules = options.delayRules || DEFAULT_DELAY_RULES;
+  const skipped = [];
+
+  for (const route of [...routes].sort((a, b) => a.priority - b.priority)) {
+    if (!matchesRule(route.match, lead)) continue;
+
+    const arms = [{ ...route, variants: undefined }, ...(route.variants || [])];
+    const { arm: campaign, bucket: campaignBucket } = pickWeighted(arms, lead.leadKey, `campaign:${route.campaignId}`);
+
+    // A full A/B arm skips the whole route: moving its leads to another arm would skew the experiment
+    if (!hasCapacity(campaign)) {
+      skipped.push({ campaignId: campaign.campaignId, reason: 'capacity' });
+      continue;
+    }
+
+    const sequence = selectSequence(campaign, lead);
+    if (!sequence) {
+      skipped.push({ campaignId: campaign.campaignId, reason: 'no_sequence' });
+      continue;
+    }
+
+    const baseDelay = sequence.initialDelayHours ?? campaign.initialDelayHours;
+    return {
+      campaignId: campaign.campaignId,
+      campaignName: campaign.campaignName,
+      sequenceId: sequence.sequenceId,
+      sequenceName: sequence.sequenceName,
+      delayHours: applyDelayRules(baseDelay, delayRules, lead),
+      maxFollowUps: campaign.maxFollowUps,
+      routePriority: route.priority,
+      abTest: {
+        campaignVariant: arms.length > 1 ? (campaign.abTestVariant || 'control') : null,
+        campaignBucket,
+        sequenceVariant: sequence.abTestVariant,
+        sequenceBucket: sequence.bucket
+      },
+      skipped
+    };
+  }
+
+  return { campaignId: null, skipped };
+}
+
+function hasCapacity(campaign) {
+  return campaign.dailyCapacity === null || campaign.dailyCapacity === undefined
+    || (campaign.assignedToday || 0) < campaign.dailyCapacity;
+}
+
+/**
+ * Sequences whose own rule matches the lead win over catch-all sequences; ties split by weight
+ */
+function selectSequence(campaign, lead) {
+  const sequences = campaign.sequences || [];
+  const specific = sequences.filter(sequence => isSpecific(sequence.match) && matchesRule(sequence.match, lead));
+  const candidates = specific.length ? specific : sequences.filter(sequence => !isSpecific(sequence.match));
+  if (candidates.length === 0) return null;
+
+  const { arm, bucket } = pickWeighted(candidates, lead.leadKey, `sequence:${campaign.campaignId}`);
+  return { ...arm, abTestVariant: candidates.length > 1 ? (arm.abTestVariant || arm.sequenceId) : null, bucket };
+}
+
+function applyDelayRules(baseDelay, delayRules, lead) {
+  return delayRules.reduce((delay, rule) => {
+    if (!matchesRule(rule.match, lead)) return delay;
+    const scaled = rule.delayFactor !== undefined ? delay * rule.delayFactor : delay;
+    return rule.minDelayHours !== undefined ? Math.max(scaled, rule.minDelayHours) : scaled;
+  }, baseDelay);
+}
+
+module.exports = {
+  DEFAULT_ROUTES,
+  DEFAULT_DELAY_RULES,
+  ROUTING_TABLE_QUERY,
+  matchesRule,
+  hashBucket,
+  routesFromRows,
+  routeLead
+};
@@ -0,0 +1,204 @@
+/**
+ * Campaign Routing Tests
+ * The built-in routes must keep reproducing the campaign chain that used to be hard-coded in the
+ * "Determine Campaign Assignment" node; A/B arms are stable per lead and never take another arm's leads
+ *
+ * Run: node --test campaign-routing.test.js
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  DEFAULT_ROUTES,
+  hashBucket,
+  routesFromRows,
+  routeLead
+} = require('./campaign-routing');
+
+/**
+ * The pre-module "Determine Campaign Assignment" chain, kept verbatim in behaviour as the reference
+ */
+function legacyCampaignAssignment({ leadScore, recommendedPackage, totalROI, industry, companySize, opportunitiesCount, actionType }) {
+  let campaignId;
+  let sequenceId;
+  let delayHours;
+  let maxFollowUps;
+
+  if (leadScore >= 80 || recommendedPackage === 'enterprise_15k' || totalROI > 50000) {
+    [campaignId, sequenceId, delayHours, maxFollowUps] = ['entelech_enterprise_vip', 'seq_enterprise_executive', 0.5, 7];
+  } else if (leadScore >= 60 || recommendedPackage === 'professional_7_5k' || (totalROI > 25000 && opportunitiesCount >= 2)) {
+    [campaignId, sequenceId, delayHours, maxFollowUps] = ['entelech_professional_priority', 'seq_professional_priority', 1, 6];
+  } else if (leadScore >= 40 || opportunitiesCount >= 1) {
+    [campaignId, sequenceId, delayHours, maxFollowUps] = ['entelech_warm_prospects', 'seq_warm_nurture', 4, 5];
+  } else {
+    [campaignId, sequenceId, delayHours, maxFollowUps] = ['entelech_cold_outreach', 'seq_cold_education', 24, 4];
+  }
+
+  if (['legal services', 'healthcare', 'financial services'].some(ind => industry?.toLowerCase().includes(ind))) {
+    sequenceId += '_compliance';
+    delayHours = Math.max(delayHours, 2);
+  }
+  if (companySize === 'enterprise' || companySize === 'large') {
+    delayHours = Math.max(delayHours, 4);
+  }
+  if (actionType === 'opportunity-calculated') {
+    campaignId += '_roi_report';
+    delayHours = Math.max(delayHours / 2, 0.25);
+  }
+
+  return { campaignId, sequenceId, delayHours, maxFollowUps };
+}
+
+function lead(overrides = {}) {
+  return {
+    leadKey: 'company-1',
+    leadScore: 50,
+    recommendedPackage: 'basic_2_5k',
+    totalROI: 0,
+    opportunitiesCount: 0,
+    industry: 'Retail',
+    companySize: 'small',
+    actionType: 'analysis-completed',
+    ...overrides
+  };
+}
+
+function campaign(campaignId, overrides = {}) {
+  return {
+    campaignId,
+    campaignName: campaignId,
+    priority: 10,
+    match: {},
+    initialDelayHours: 2,
+    maxFollowUps: 5,
+    sequences: [{ sequenceId: `${campaignId}_seq`, sequenceName: `${campaignId} sequence`, match: {} }],
+    ...overrides
+  };
+}
+
+test('default routes reproduce the previous hard-coded campaign chain', () => {
+  const leads = [];
+  [85, 79, 60, 59, 40, 39, 0].forEach(leadScore => {
+    ['basic_2_5k', 'professional_7_5k', 'enterprise_15k'].forEach(recommendedPackage => {
+      [[0, 0], [30000, 1], [30000, 2], [60000, 3]].forEach(([totalROI, opportunitiesCount]) => {
+        [['Retail', 'small'], ['Healthcare', 'medium'], ['Legal Services', 'enterprise'], [null, 'large']].forEach(([industry, companySize]) => {
+          ['analysis-completed', 'opportunity-calculated'].forEach(actionType => {
+            leads.push(lead({ leadScore, recommendedPackage, totalROI, opportunitiesCount, industry, companySize, actionType }));
+          });
+        });
+      });
+    });
+  });
+
+  leads.forEach(candidate => {
+    const { campaignId, sequenceId, delayHours, maxFollowUps } = routeLead(candidate, DEFAULT_ROUTES);
+    assert.deepEqual({ campaignId, sequenceId, delayHours, maxFollowUps }, legacyCampaignAssignment(candidate), JSON.stringify(candidate));
+  });
+});
+
+test('hash buckets are stable per lead and experiment', () => {
+  assert.equal(hashBucket('company-1', 'campaign:test'), 9655);
+  assert.equal(hashBucket('company-2', 'campaign:test'), 4444);
+  assert.notEqual(hashBucket('company-1', 'campaign:other'), hashBucket('company-1', 'campaign:test'));
+});
+
+test('A/B arms split by traffic weight and a lead always gets the same arm', () => {
+  const routes = [campaign('control', { trafficWeight: 50, variants: [campaign('variant', { trafficWeight: 50, abTestVariant: 'B' })] })];
+  const assignments = Array.from({ length: 1000 }, (_, index) => routeLead(lead({ leadKey: `company-${index}` }), routes));
+  const variantShare = assignments.filter(route => route.campaignId === 'variant').length / assignments.length;
+
+  assert.ok(variantShare > 0.45 && variantShare < 0.55, `variant share ${variantShare}`);
+  assert.deepEqual(routeLead(lead(), routes), routeLead(lead(), routes));
+  assert.deepEqual(
+    [...new Set(assignments.map(route => route.abTest.campaignVariant))].sort(),
+    ['B', 'control']
+  );
+});
+
+test('arms with traffic weight 0 never receive leads', () => {
+  const routes = [campaign('control', { variants: [campaign('paused-variant', { trafficWeight: 0 })] })];
+
+  for (let index = 0; index < 200; index++) {
+    assert.equal(routeLead(lead({ leadKey: `company-${index}` }), routes).campaignId, 'control');
+  }
+});
+
+test('a full campaign passes the lead to the next matching route', () => {
+  const routes = [
+    campaign('vip', { priority: 10, match: { leadScoreMin: 80 }, dailyCapacity: 5, assignedToday: 5 }),
+    campaign('priority', { priority: 20, match: { leadScoreMin: 60 }, dailyCapacity: 5, assignedToday: 4 }),
+    campaign('catch-all', { priority: 30 })
+  ];
+
+  const route = routeLead(lead({ leadScore: 90 }), routes);
+  assert.equal(route.campaignId, 'priority');
+  assert.deepEqual(route.skipped, [{ campaignId: 'vip', reason: 'capacity' }]);
+
+  routes[1].assignedToday = 5;
+  assert.equal(routeLead(lead({ leadScore: 90 }), routes).campaignId, 'catch-all');
+});
+
+test('a full A/B arm skips the route instead of overflowing into the other arm', () => {
+  const routes = [
+    campaign('control', {
+      priority: 10,
+      dailyCapacity: 100,
+      assignedToday: 100,
+      variants: [campaign('variant', { abTestVariant: 'B', dailyCapacity: 100, assignedToday: 0 })]
+    }),
+    campaign('catch-all', { priority: 20 })
+  ];
+
+  for (let index = 0; index < 200; index++) {
+    const candidate = lead({ leadKey: `company-${index}` });
+    const arm = routeLead(candidate, [{ ...routes[0], dailyCapacity: null }]).campaignId;
+    const route = routeLead(candidate, routes);
+
+    if (arm === 'control') {
+      assert.equal(route.campaignId, 'catch-all');
+      assert.deepEqual(route.skipped, [{ campaignId: 'control', reason: 'capacity' }]);
+    } else {
+      assert.equal(route.campaignId, 'variant');
+    }
+  }
+});
+
+test('leads no route takes come back without a campaign, and the default chain always takes them', () => {
+  const route = routeLead(lead({ leadScore: 10 }), [campaign('vip', { match: { leadScoreMin: 80 } })]);
+
+  assert.equal(route.campaignId, null);
+  assert.deepEqual(route.skipped, []);
+  assert.equal(routeLead(lead({ leadScore: 10 }), DEFAULT_ROUTES).campaignId, 'entelech_cold_outreach');
+});
+
+test('routesFromRows turns A/B variant rows into arms of their control', () => {
+  const rows = [
+    {
+      instantly_campaign_id: 'control',
+      campaign_name: 'Control',
+      routing_priority: 10,
+      routing_rules: {},
+      target_lead_score_min: 60,
+      daily_lead_capacity: 50,
+      assigned_today: '12',
+      sequences: [{ instantly_sequence_id: 'seq', sequence_name: 'Sequence', routing_rules: {} }]
+    },
+    {
+      instantly_campaign_id: 'variant',
+      campaign_name: 'Variant',
+      routing_priority: null,
+      is_ab_test: true,
+      ab_test_control_campaign_id: 'control',
+      ab_test_variant: 'B',
+      traffic_weight: 20,
+      sequences: []
+    }
+  ];
+  const [route] = routesFromRows(rows);
+
+  assert.deepEqual(route.match, { leadScoreMin: 60 });
+  assert.equal(route.assignedToday, 12);
+  assert.equal(route.variants.length, 1);
+  assert.deepEqual(route.variants[0].match, route.match);
+  assert.equal(route.variants[0].trafficWeight, 20);
+});
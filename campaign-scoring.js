@@ -0,0 +1,347 @@
+/**
+ * Campaign Performance Scoring for Prospect Intelligence Engine
+ * Rate calculation, performance scoring, urgency/scaling/improvement classification and summary
+ * aggregation shared by the "Analyze Campaign Performance" and "Generate Performance Summary"
+ * Code nodes of the campaign optimization workflow
+ *
+ * Deliberately dependency-free: n8n loads it with require('campaign-scoring') once the file is copied
+ * into a node_modules directory on the n8n module path and listed in NODE_FUNCTION_ALLOW_EXTERNAL
+ */
+
+// Bump the major version whenever a change can flip needsImprovement, requiresUrgentAttention or readyForScaling
+// for the same input; every analysis and summary carries the version that produced it
+const SCORING_VERSION = '1.0.0';
+
+// Rates are percentages rounded to two decimals
+const DEFAULT_SCORING_CONFIG = {
+  score: {
+    openRateWeight: 2,
+    openRateMaxPoints: 50,
+    clickRateWeight: 5,
+    clickRateMaxPoints: 25,
+    replyRateWeight: 10,
+    replyRateMaxPoints: 25,
+    bounceRatePenalty: 2,
+    unsubscribeRatePenalty: 5
+  },
+  status: {
+    excellent: 80,
+    good: 60,
+    average: 40
+  },
+  deliveryHealth: {
+    criticalBounceRate: 10,
+    criticalUnsubscribeRate: 3,
+    warningBounceRate: 5,
+    warningUnsubscribeRate: 1.5
+  },
+  recommendations: {
+    minOpenRate: 20,
+    minClickRate: 3,
+    minOpensForClickRate: 50,
+    minReplyRate: 1,
+    minSentForReplyRate: 100,
+    maxBounceRate: 5,
+    maxUnsubscribeRate: 2
+  },
+  abTests: {
+    subjectLinesBelowOpenRate: 25,
+    emailContentBelowClickRate: 3,
+    personalizationBelowReplyRate: 1.5
+  },
+  actions: {
+    improvementBelowScore: 50,
+    scalingAboveScore: 70
+  },
+  summary: {
+    lowOpenRate: 20,
+    lowReplyRate: 1.5
+  }
+};
+
+/**
+ * Merge threshold overrides (object or JSON string, e.g. $env.CAMPAIGN_SCORING_CONFIG) over the defaults
+ */
+function resolveScoringConfig(overrides) {
+  let parsed = overrides || {};
+
+  if (typeof parsed === 'string') {
+    try {
+      parsed = JSON.parse(parsed);
+    } catch (error) {
+      throw new Error(`CAMPAIGN_SCORING_CONFIG is not valid JSON: ${error.message}`);
+    }
+  }
+
+  const config = {};
+  Object.keys(DEFAULT_SCORING_CONFIG).forEach(section => {
+    config[section] = { ...DEFAULT_SCORING_CONFIG[section], ...(parsed[section] || {}) };
+  });
+  return config;
+}
+
+/**
+ * Totals and rates from Instantly campaign stats; click rate is per open
+ */
+function computeRates(stats = {}) {
+  const totalSent = Number(stats.total_sent ?? stats.totalSent) || 0;
+  const totalOpened = Number(stats.total_opened ?? stats.totalOpened) || 0;
+  const totalClicked = Number(stats.total_clicked ?? stats.totalClicked) || 0;
+  const totalReplied = Number(stats.total_replied ?? stats.totalReplied) || 0;
+  const totalBounced = Number(stats.total_bounced ?? stats.totalBounced) || 0;
+  const totalUnsubscribed = Number(stats.total_unsubscribed ?? stats.totalUnsubscribed) || 0;
+
+  return {
+    totalSent,
+    totalOpened,
+    totalClicked,
+    totalReplied,
+    totalBounced,
+    totalUnsubscribed,
+    openRate: percentage(totalOpened, totalSent),
+    clickRate: percentage(totalClicked, totalOpened),
+    replyRate: percentage(totalReplied, totalSent),
+    bounceRate: percentage(totalBounced, totalSent),
+    unsubscribeRate: percentage(totalUnsubscribed, totalSent)
+  };
+}
+
+/**
+ * 0-100 score: capped points for opens, clicks and replies less bounce and unsubscribe penalties
+ * Unrounded, so action thresholds compare against the exact score
+ */
+function scoreCampaign(rates, config = DEFAULT_SCORING_CONFIG) {
+  const weights = config.score;
+  let score = 0;
+
+  score += Math.min(rates.openRate * weights.openRateWeight, weights.openRateMaxPoints);
+  score += Math.min(rates.clickRate * weights.clickRateWeight, weights.clickRateMaxPoints);
+  score += Math.min(rates.replyRate * weights.replyRateWeight, weights.replyRateMaxPoints);
+  score -= rates.bounceRate * weights.bounceRatePenalty;
+  score -= rates.unsubscribeRate * weights.unsubscribeRatePenalty;
+
+  return Math.max(0, score);
+}
+
+function performanceStatus(score, config = DEFAULT_SCORING_CONFIG) {
+  if (score >= config.status.excellent) return 'excellent';
+  if (score >= config.status.good) return 'good';
+  if (score >= config.status.average) return 'average';
+  return 'poor';
+}
+
+function assessDeliveryHealth(rates, config = DEFAULT_SCORING_CONFIG) {
+  const limits = config.deliveryHealth;
+
+  if (rates.bounceRate > limits.criticalBounceRate || rates.unsubscribeRate > limits.criticalUnsubscribeRate) {
+    return 'critical';
+  }
+  if (rates.bounceRate > limits.warningBounceRate || rates.unsubscribeRate > limits.warningUnsubscribeRate) {
+    return 'warning';
+  }
+  return 'good';
+}
+
+function buildRecommendations(rates, config = DEFAULT_SCORING_CONFIG) {
+  const limits = config.recommendations;
+  const recommendations = [];
+
+  if (rates.openRate < limits.minOpenRate) {
+    recommendations.push('Improve subject lines - open rate below industry average');
+  }
+  if (rates.clickRate < limits.minClickRate && rates.totalOpened > limits.minOpensForClickRate) {
+    recommendations.push('Optimize email content and CTAs - low click-through rate');
+  }
+  if (rates.replyRate < limits.minReplyRate && rates.totalSent > limits.minSentForReplyRate) {
+    recommendations.push('Personalize outreach and improve value proposition');
+  }
+  if (rates.bounceRate > limits.maxBounceRate) {
+    recommendations.push('URGENT: Review email list quality - high bounce rate affecting deliverability');
+  }
+  if (rates.unsubscribeRate > limits.maxUnsubscribeRate) {
+    recommendations.push('Review targeting and message relevance - high unsubscribe rate');
+  }
+
+  return recommendations;
+}
+
+function findAbTestOpportunities(rates, config = DEFAULT_SCORING_CONFIG) {
+  const limits = config.abTests;
+  const opportunities = [];
+
+  if (rates.openRate < limits.subjectLinesBelowOpenRate) opportunities.push('subject_lines');
+  if (rates.clickRate < limits.emailContentBelowClickRate) opportunities.push('email_content');
+  if (rates.replyRate < limits.personalizationBelowReplyRate) opportunities.push('personalization');
+
+  return opportunities;
+}
+
+/**
+ * Action flags driving the workflow's IF nodes (urgent campaigns are alerted on and auto-paused)
+ */
+function classifyCampaign({ score, deliveryHealth }, config = DEFAULT_SCORING_CONFIG) {
+  const limits = config.actions;
+
+  return {
+    needsImprovement: score < limits.improvementBelowScore,
+    requiresUrgentAttention: deliveryHealth === 'critical',
+    readyForScaling: score > limits.scalingAboveScore && deliveryHealth === 'good'
+  };
+}
+
+/**
+ * Full analysis for one Instantly campaign and its instantly_campaigns row
+ */
+function analyzeCampaign(campaign, localData, config = DEFAULT_SCORING_CONFIG, now = new Date()) {
+  const rates = computeRates(campaign.stats);
+  const score = scoreCampaign(rates, config);
+  const deliveryHealth = assessDeliveryHealth(rates, config);
+
+  return {
+    campaignId: campaign.id,
+    campaignName: campaign.name,
+    localCampaignId: localData.id,
+    targetServiceTier: localData.target_service_tier,
+
+    ...rates,
+
+    performanceScore: Math.round(score),
+    performanceStatus: performanceStatus(score, config),
+    deliveryHealth,
+    recommendations: buildRecommendations(rates, config),
+    abTestOpportunities: findAbTestOpportunities(rates, config),
+
+    ...classifyCampaign({ score, deliveryHealth }, config),
+
+    scoringVersion: SCORING_VERSION,
+    analysisTimestamp: now.toISOString(),
+    lastUpdated: campaign.updated_at
+  };
+}
+
+/**
+ * Analyze every Instantly campaign that has a local row, lowest score first
+ */
+function analyzeCampaigns(instantlyCampaigns, localCampaigns, config = DEFAULT_SCORING_CONFIG, now = new Date()) {
+  const localById = new Map((localCampaigns || []).map(local => [local.instantly_campaign_id, local]));
+
+  return (instantlyCampaigns || [])
+    .filter(campaign => localById.has(campaign.id))
+    .map(campaign => analyzeCampaign(campaign, localById.get(campaign.id), config, now))
+    .sort((a, b) => a.performanceScore - b.performanceScore);
+}
+
+/**
+ * Portfolio summary over campaign analyses; accepts the array, a single analysis or the
+ * { data: [...] } item from "Aggregate Campaign Results", ignores non-analysis items (API responses)
+ * and counts each campaign once although several IF branches pass it to the aggregate
+ */
+function summarizeCampaigns(input, config = DEFAULT_SCORING_CONFIG, now = new Date()) {
+  const items = Array.isArray(input) ? input : Array.isArray(input?.data) ? input.data : [input];
+  const uniqueCampaigns = new Map();
+  items
+    .filter(item => item && item.campaignId && typeof item.performanceScore === 'number')
+    .forEach(item => uniqueCampaigns.set(item.campaignId, item));
+
+  const campaigns = Array.from(uniqueCampaigns.values());
+  const totalCampaigns = campaigns.length;
+
+  const count = predicate => campaigns.filter(predicate).length;
+  const average = field => (totalCampaigns > 0
+    ? campaigns.reduce((sum, campaign) => sum + (Number(campaign[field]) || 0), 0) / totalCampaigns
+    : 0);
+
+  const problematicCampaigns = count(campaign => campaign.requiresUrgentAttention);
+  const highPerformingCampaigns = count(campaign => campaign.readyForScaling);
+  const avgOpenRate = round(average('openRate'));
+  const avgReplyRate = round(average('replyRate'));
+
+  const byScore = [...campaigns].sort((a, b) => b.performanceScore - a.performanceScore);
+  const performer = campaign => (campaign
+    ? { name: campaign.campaignName, score: campaign.performanceScore, replyRate: campaign.replyRate }
+    : null);
+
+  const insights = [];
+  if (totalCampaigns > 0 && avgOpenRate < config.summary.lowOpenRate) {
+    insights.push('Overall open rates below industry standard - focus on subject line optimization');
+  }
+  if (totalCampaigns > 0 && avgReplyRate < config.summary.lowReplyRate) {
+    insights.push('Low reply rates across campaigns - improve personalization and value propositions');
+  }
+  if (problematicCampaigns > 0) {
+    insights.push(`${problematicCampaigns} campaign(s) require immediate attention due to deliverability issues`);
+  }
+  if (highPerformingCampaigns > 0) {
+    insights.push(`${highPerformingCampaigns} campaign(s) ready for scaling - consider increasing volume`);
+  }
+
+  const tierPerformance = {};
+  campaigns.forEach(campaign => {
+    const tier = campaign.targetServiceTier || 'unknown';
+    const data = tierPerformance[tier] || { count: 0, totalScore: 0, totalReplies: 0, totalSent: 0 };
+
+    data.count += 1;
+    data.totalScore += campaign.performanceScore;
+    data.totalReplies += Number(campaign.totalReplied) || 0;
+    data.totalSent += Number(campaign.totalSent) || 0;
+    tierPerformance[tier] = data;
+  });
+
+  Object.values(tierPerformance).forEach(data => {
+    data.avgScore = Math.round(data.totalScore / data.count);
+    data.avgReplyRate = percentage(data.totalReplies, data.totalSent);
+  });
+
+  return {
+    totalCampaigns,
+    activeCampaigns: totalCampaigns - problematicCampaigns,
+    problematicCampaigns,
+    highPerformingCampaigns,
+    needImprovementCampaigns: count(campaign => campaign.needsImprovement),
+
+    avgPerformanceScore: Math.round(average('performanceScore')),
+    avgOpenRate,
+    avgReplyRate,
+    avgBounceRate: round(average('bounceRate')),
+
+    topPerformer: performer(byScore[0]),
+    bottomPerformer: performer(byScore[byScore.length - 1]),
+
+    tierPerformance,
+    insights,
+    tierBreakdown: Object.keys(tierPerformance).map(tier => ({
+      tier,
+      campaigns: tierPerformance[tier].count,
+      avgScore: tierPerformance[tier].avgScore,
+      avgReplyRate: tierPerformance[tier].avgReplyRate
+    })),
+
+    scoringVersion: SCORING_VERSION,
+    analysisDate: now.toISOString(),
+    nextAnalysis: new Date(now.getTime() + 4 * 60 * 60 * 1000).toISOString()
+  };
+}
+
+function percentage(part, total) {
+  return total > 0 ? round((part / total) * 100) : 0;
+}
+
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+module.exports = {
+  SCORING_VERSION,
+  DEFAULT_SCORING_CONFIG,
+  resolveScoringConfig,
+  computeRates,
+  scoreCampaign,
+  performanceStatus,
+  assessDeliveryHealth,
+  buildRecommendations,
+  findAbTestOpportunities,
+  classifyCampaign,
+  analyzeCampaign,
+  analyzeCampaigns,
+  summarizeCampaigns
+};
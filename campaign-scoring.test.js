@@ -0,0 +1,158 @@
+/**
+ * Campaign Scoring Tests
+ * Fixture campaigns pinning the scores and action flags the optimization workflow acts on,
+ * in particular which campaigns are flagged urgent (alerted on and auto-paused)
+ *
+ * Run: node --test campaign-scoring.test.js
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  SCORING_VERSION,
+  resolveScoringConfig,
+  computeRates,
+  scoreCampaign,
+  classifyCampaign,
+  analyzeCampaign,
+  analyzeCampaigns,
+  summarizeCampaigns
+} = require('./campaign-scoring');
+
+const NOW = new Date('2025-08-25T10:00:00.000Z');
+
+// Instantly campaign stats as returned by /campaign/analytics
+const FIXTURE_STATS = {
+  healthy: { total_sent: 1000, total_opened: 400, total_clicked: 40, total_replied: 30, total_bounced: 10, total_unsubscribed: 2 },
+  bouncing: { total_sent: 1000, total_opened: 100, total_clicked: 2, total_replied: 5, total_bounced: 150, total_unsubscribed: 10 },
+  newAndBouncing: { total_sent: 50, total_opened: 10, total_clicked: 0, total_replied: 0, total_bounced: 10, total_unsubscribed: 0 },
+  notStarted: { total_sent: 0, total_opened: 0, total_clicked: 0, total_replied: 0, total_bounced: 0, total_unsubscribed: 0 }
+};
+
+function fixtureCampaign(id, stats, tier = 'growth_8k') {
+  return {
+    campaign: { id, name: `Campaign ${id}`, stats, updated_at: '2025-08-25T09:00:00.000Z' },
+    local: { id: `local-${id}`, instantly_campaign_id: id, target_service_tier: tier }
+  };
+}
+
+function analyze(id, stats, config) {
+  const { campaign, local } = fixtureCampaign(id, stats);
+  return analyzeCampaign(campaign, local, config, NOW);
+}
+
+test('scoreCampaign caps positive points and floors the score at zero', () => {
+  // 40% opens, 10% clicks per open and 3% replies all hit their caps (50 + 25 + 25), less 2 + 1 in penalties
+  assert.equal(scoreCampaign(computeRates(FIXTURE_STATS.healthy)), 97);
+  assert.equal(scoreCampaign(computeRates(FIXTURE_STATS.bouncing)), 0);
+  assert.equal(scoreCampaign(computeRates(FIXTURE_STATS.notStarted)), 0);
+});
+
+test('computeRates measures clicks per open and tolerates campaigns that have not sent', () => {
+  const rates = computeRates(FIXTURE_STATS.healthy);
+  assert.equal(rates.openRate, 40);
+  assert.equal(rates.clickRate, 10);
+  assert.equal(rates.replyRate, 3);
+
+  const empty = computeRates(FIXTURE_STATS.notStarted);
+  assert.deepEqual(
+    [empty.openRate, empty.clickRate, empty.replyRate, empty.bounceRate, empty.unsubscribeRate],
+    [0, 0, 0, 0, 0]
+  );
+  assert.equal(computeRates(undefined).totalSent, 0);
+});
+
+test('healthy campaign is ready for scaling and not urgent', () => {
+  const analysis = analyze('healthy', FIXTURE_STATS.healthy);
+
+  assert.equal(analysis.performanceScore, 97);
+  assert.equal(analysis.performanceStatus, 'excellent');
+  assert.equal(analysis.deliveryHealth, 'good');
+  assert.equal(analysis.readyForScaling, true);
+  assert.equal(analysis.needsImprovement, false);
+  assert.equal(analysis.requiresUrgentAttention, false);
+  assert.equal(analysis.scoringVersion, SCORING_VERSION);
+});
+
+test('critical delivery health requires urgent attention at any volume', () => {
+  const established = analyze('bouncing', FIXTURE_STATS.bouncing);
+  const fresh = analyze('new', FIXTURE_STATS.newAndBouncing);
+
+  assert.equal(established.deliveryHealth, 'critical');
+  assert.equal(established.requiresUrgentAttention, true);
+  assert.equal(fresh.deliveryHealth, 'critical');
+  assert.equal(fresh.requiresUrgentAttention, true);
+});
+
+test('critical bounce rate is strict and can be lowered through CAMPAIGN_SCORING_CONFIG', () => {
+  const config = resolveScoringConfig('{"deliveryHealth":{"criticalBounceRate":8}}');
+  const atLimit = { total_sent: 100, total_bounced: 10 };
+  const overLimit = { total_sent: 100, total_bounced: 11 };
+
+  assert.equal(config.deliveryHealth.criticalUnsubscribeRate, 3);
+  assert.equal(analyze('at-limit', atLimit).requiresUrgentAttention, false);
+  assert.equal(analyze('over-limit', overLimit).requiresUrgentAttention, true);
+  assert.equal(analyze('lowered', atLimit, config).requiresUrgentAttention, true);
+  assert.throws(() => resolveScoringConfig('{'), /CAMPAIGN_SCORING_CONFIG is not valid JSON/);
+});
+
+test('classifyCampaign thresholds are strict at the configured scores', () => {
+  assert.equal(classifyCampaign({ score: 50, deliveryHealth: 'good' }).needsImprovement, false);
+  assert.equal(classifyCampaign({ score: 49.99, deliveryHealth: 'good' }).needsImprovement, true);
+  assert.equal(classifyCampaign({ score: 70, deliveryHealth: 'good' }).readyForScaling, false);
+  assert.equal(classifyCampaign({ score: 70.01, deliveryHealth: 'good' }).readyForScaling, true);
+  assert.equal(classifyCampaign({ score: 95, deliveryHealth: 'warning' }).readyForScaling, false);
+  assert.equal(classifyCampaign({ score: 95, deliveryHealth: 'warning' }).requiresUrgentAttention, false);
+});
+
+test('zero-sent campaign needs improvement but is healthy and not urgent', () => {
+  const analysis = analyze('not-started', FIXTURE_STATS.notStarted);
+
+  assert.equal(analysis.performanceScore, 0);
+  assert.equal(analysis.performanceStatus, 'poor');
+  assert.equal(analysis.deliveryHealth, 'good');
+  assert.equal(analysis.needsImprovement, true);
+  assert.equal(analysis.requiresUrgentAttention, false);
+});
+
+test('analyzeCampaigns skips campaigns without a local row and sorts lowest score first', () => {
+  const healthy = fixtureCampaign('healthy', FIXTURE_STATS.healthy);
+  const bouncing = fixtureCampaign('bouncing', FIXTURE_STATS.bouncing);
+  const untracked = fixtureCampaign('untracked', FIXTURE_STATS.healthy);
+
+  const analyses = analyzeCampaigns(
+    [healthy.campaign, untracked.campaign, bouncing.campaign],
+    [healthy.local, bouncing.local],
+    undefined,
+    NOW
+  );
+
+  assert.deepEqual(analyses.map(analysis => analysis.campaignId), ['bouncing', 'healthy']);
+});
+
+test('summarizeCampaigns handles an empty portfolio', () => {
+  const summary = summarizeCampaigns([], undefined, NOW);
+
+  assert.equal(summary.totalCampaigns, 0);
+  assert.equal(summary.avgPerformanceScore, 0);
+  assert.equal(summary.topPerformer, null);
+  assert.equal(summary.bottomPerformer, null);
+  assert.deepEqual(summary.insights, []);
+  assert.deepEqual(summary.tierBreakdown, []);
+  assert.equal(summarizeCampaigns({ data: [] }, undefined, NOW).totalCampaigns, 0);
+});
+
+test('summarizeCampaigns reads the aggregate { data: [...] } item and counts each campaign once', () => {
+  const healthy = analyze('healthy', FIXTURE_STATS.healthy);
+  const bouncing = analyze('bouncing', FIXTURE_STATS.bouncing);
+  // Urgent campaigns reach the aggregate from several branches, next to Instantly API responses
+  const summary = summarizeCampaigns({ data: [bouncing, healthy, bouncing, { status: 'paused' }] }, undefined, NOW);
+
+  assert.equal(summary.totalCampaigns, 2);
+  assert.equal(summary.problematicCampaigns, 1);
+  assert.equal(summary.highPerformingCampaigns, 1);
+  assert.equal(summary.topPerformer.name, 'Campaign healthy');
+  assert.equal(summary.bottomPerformer.name, 'Campaign bouncing');
+  assert.equal(summary.tierPerformance.growth_8k.avgReplyRate, 1.75);
+  assert.equal(summary.scoringVersion, SCORING_VERSION);
+});
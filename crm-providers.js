@@ -0,0 +1,235 @@
+/**
+ * CRM Provider Registry for Prospect Intelligence Engine
+ * Maps Instantly, HubSpot, Salesforce and ConvertKit API outcomes onto common result codes so
+ * CRM telemetry separates provider outages (availability) from bad lead data (data quality),
+ * and rolls results up into per-provider health and sync-lag statistics
+ */
+
+// Common result codes and the category each one counts against
+const RESULT_CATEGORIES = {
+  success: 'success',
+  duplicate: 'data',
+  invalid_email: 'data',
+  validation_error: 'data',
+  not_found: 'data',
+  rate_limited: 'throttling',
+  auth_failed: 'configuration',
+  timeout: 'availability',
+  provider_error: 'availability'
+};
+
+const NETWORK_ERROR_CODES = ['ECONNREFUSED', 'ECONNRESET', 'ENOTFOUND', 'EAI_AGAIN', 'EPIPE'];
+const TIMEOUT_ERROR_CODES = ['ETIMEDOUT', 'ESOCKETTIMEDOUT', 'ECONNABORTED'];
+
+/**
+ * Provider shape:
+ * { displayName, host | resolveHost(crmData), dependencyType, patterns: { duplicate, invalid_email, rate_limited } }
+ * patterns are matched against the provider's error code/message when the HTTP status alone is ambiguous
+ */
+const CRM_PROVIDERS = {
+  instantly: {
+    displayName: 'Instantly',
+    host: 'api.instantly.ai',
+    dependencyType: 'Instantly',
+    patterns: {
+      duplicate: /already exists|duplicate lead|skipped.*(campaign|workspace)/i,
+      invalid_email: /invalid email|email.*(not valid|invalid)|undeliverable/i,
+      rate_limited: /rate limit|too many requests/i
+    }
+  },
+  hubspot: {
+    displayName: 'HubSpot',
+    host: 'api.hubapi.com',
+    dependencyType: 'HubSpot',
+    patterns: {
+      duplicate: /CONTACT_EXISTS|already exists|CONFLICT/i,
+      invalid_email: /INVALID_EMAIL|Email address .* is invalid/i,
+      rate_limited: /RATE_LIMIT|SECONDLY|DAILY.*limit/i
+    }
+  },
+  salesforce: {
+    displayName: 'Salesforce',
+    // Instance hosts differ per org, e.g. acme.my.salesforce.com
+    resolveHost: crmData => hostFromUrl(crmData.instanceUrl || process.env.SALESFORCE_INSTANCE_URL) || 'login.salesforce.com',
+    dependencyType: 'Salesforce',
+    patterns: {
+      duplicate: /DUPLICATES_DETECTED|DUPLICATE_VALUE/i,
+      invalid_email: /INVALID_EMAIL_ADDRESS/i,
+      rate_limited: /REQUEST_LIMIT_EXCEEDED|API_CURRENTLY_DISABLED/i
+    }
+  },
+  convertkit: {
+    displayName: 'ConvertKit',
+    host: 'api.convertkit.com',
+    dependencyType: 'ConvertKit',
+    patterns: {
+      duplicate: /already subscribed|already exists/i,
+      invalid_email: /email.*(invalid|is not valid)/i,
+      rate_limited: /rate limit/i
+    }
+  }
+};
+
+/**
+ * Registry key for a provider key or display name ('HubSpot', 'hub-spot' and 'hubspot' are the same provider)
+ */
+function normalizeProviderKey(name) {
+  return String(name || '').toLowerCase().replace(/[^a-z]/g, '');
+}
+
+/**
+ * Add or replace a provider definition
+ */
+function registerCrmProvider(key, definition) {
+  CRM_PROVIDERS[normalizeProviderKey(key)] = {
+    displayName: key,
+    dependencyType: definition.displayName || key,
+    patterns: {},
+    ...definition
+  };
+}
+
+/**
+ * Look up a provider by key or display name; unknown providers fall back to a generic definition
+ */
+function getCrmProvider(name) {
+  const key = normalizeProviderKey(name);
+  if (CRM_PROVIDERS[key]) return { key, ...CRM_PROVIDERS[key] };
+
+  return { key: key || 'unknown', displayName: name || 'Unknown', host: 'unknown', dependencyType: 'CRM', patterns: {} };
+}
+
+function resolveProviderHost(provider, crmData = {}) {
+  return provider.resolveHost ? provider.resolveHost(crmData) : provider.host;
+}
+
+/**
+ * Classify an operation into a common result code from success, HTTP status and provider error text
+ */
+function classifyCrmResult(provider, { success, statusCode, errorDetails } = {}) {
+  if (success && (!statusCode || statusCode < 400)) return 'success';
+
+  const status = Number(statusCode || errorDetails?.statusCode || errorDetails?.status || errorDetails?.httpCode) || 0;
+  const errorCode = errorDetails?.code;
+  const text = [errorCode, errorDetails?.errorCode, errorDetails?.category, errorDetails?.message, errorDetails?.description]
+    .filter(Boolean)
+    .join(' ');
+  const patterns = provider.patterns || {};
+
+  if (status === 429 || (patterns.rate_limited && patterns.rate_limited.test(text))) return 'rate_limited';
+  if (patterns.duplicate && patterns.duplicate.test(text)) return 'duplicate';
+  if (patterns.invalid_email && patterns.invalid_email.test(text)) return 'invalid_email';
+  if (status === 409) return 'duplicate';
+  if (status === 401 || status === 403) return 'auth_failed';
+  if (status === 404) return 'not_found';
+  if (status === 400 || status === 422) return 'validation_error';
+  if (TIMEOUT_ERROR_CODES.includes(errorCode) || status === 408 || status === 504) return 'timeout';
+  if (NETWORK_ERROR_CODES.includes(errorCode) || status >= 500 || status === 0) return 'provider_error';
+
+  return 'validation_error';
+}
+
+function resultCategory(resultCode) {
+  return RESULT_CATEGORIES[resultCode] || 'availability';
+}
+
+/**
+ * Per-provider rolling health: success rate, availability (only provider-side failures count),
+ * data error rate, latency and sync lag over a sliding window
+ */
+class CRMHealthTracker {
+  /**
+   * options.windowMs       - rollup window (default 15 minutes)
+   * options.degradedBelow  - availability below this is 'degraded' (default 0.95)
+   * options.downBelow      - availability below this is 'down' (default 0.5)
+   * options.maxSamples     - samples kept per provider (default 5000)
+   */
+  constructor(options = {}) {
+    this.windowMs = options.windowMs || 15 * 60 * 1000;
+    this.degradedBelow = options.degradedBelow || 0.95;
+    this.downBelow = options.downBelow || 0.5;
+    this.maxSamples = options.maxSamples || 5000;
+    this.providers = new Map();
+  }
+
+  record({ provider, resultCode, responseTime, syncLagMs, time }) {
+    const now = time || Date.now();
+    const state = this.providers.get(provider) || { samples: [], lastSuccessAt: null, lastFailureAt: null };
+
+    state.samples.push({ time: now, resultCode, responseTime: responseTime || 0, syncLagMs });
+    if (state.samples.length > this.maxSamples) state.samples.shift();
+
+    if (resultCode === 'success') state.lastSuccessAt = now;
+    else state.lastFailureAt = now;
+
+    this.providers.set(provider, state);
+  }
+
+  getHealth(provider, now = Date.now()) {
+    const state = this.providers.get(provider);
+    if (!state) return null;
+
+    state.samples = state.samples.filter(sample => sample.time > now - this.windowMs);
+    const { samples } = state;
+    const total = samples.length;
+    const resultCodes = {};
+    samples.forEach(sample => {
+      resultCodes[sample.resultCode] = (resultCodes[sample.resultCode] || 0) + 1;
+    });
+
+    const countCategory = category => samples.filter(sample => resultCategory(sample.resultCode) === category).length;
+    const availabilityFailures = countCategory('availability');
+    const availability = total ? (total - availabilityFailures) / total : null;
+    const lags = samples.map(sample => sample.syncLagMs).filter(lag => typeof lag === 'number');
+    const latencies = samples.map(sample => sample.responseTime).sort((a, b) => a - b);
+
+    let status = 'unknown';
+    if (availability !== null) {
+      status = availability < this.downBelow ? 'down' : availability < this.degradedBelow ? 'degraded' : 'healthy';
+    }
+
+    return {
+      provider,
+      status,
+      requests: total,
+      successRate: total ? (resultCodes.success || 0) / total : null,
+      availability,
+      dataErrorRate: total ? countCategory('data') / total : null,
+      throttledRate: total ? countCategory('throttling') / total : null,
+      resultCodes,
+      p95ResponseTimeMs: latencies.length ? latencies[Math.min(latencies.length - 1, Math.floor(latencies.length * 0.95))] : null,
+      syncLagMs: lags.length ? {
+        avg: Math.round(lags.reduce((sum, lag) => sum + lag, 0) / lags.length),
+        max: Math.max(...lags),
+        last: lags[lags.length - 1]
+      } : null,
+      msSinceLastSuccess: state.lastSuccessAt ? now - state.lastSuccessAt : null,
+      lastFailureAt: state.lastFailureAt ? new Date(state.lastFailureAt).toISOString() : null
+    };
+  }
+
+  getAllHealth(now = Date.now()) {
+    return Array.from(this.providers.keys()).map(provider => this.getHealth(provider, now));
+  }
+}
+
+function hostFromUrl(url) {
+  if (!url) return null;
+
+  try {
+    return new URL(url).host;
+  } catch (error) {
+    return null;
+  }
+}
+
+module.exports = {
+  CRM_PROVIDERS,
+  RESULT_CATEGORIES,
+  registerCrmProvider,
+  getCrmProvider,
+  resolveProviderHost,
+  classifyCrmResult,
+  resultCategory,
+  CRMHealthTracker
+};
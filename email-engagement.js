@@ -0,0 +1,220 @@
+/**
+ * Email Engagement Analytics for Prospect Intelligence Engine
+ * Rate calculations, lead temperature transitions and deliverability alerting for the Instantly
+ * integration, mirroring instantly_email_activities, instantly_campaigns and instantly_deliverability
+ */
+
+const ACTIVITY_TYPES = ['sent', 'delivered', 'opened', 'clicked', 'replied', 'bounced', 'unsubscribed', 'complained'];
+const LEAD_TEMPERATURES = ['cold', 'warm', 'hot', 'interested', 'qualified'];
+
+// Percentages, matching instantly_deliverability.bounce_rate / spam_rate
+const DEFAULT_DELIVERABILITY_THRESHOLDS = {
+  bounceRateWarning: 2,
+  bounceRateCritical: 5,
+  spamRateWarning: 0.1,
+  spamRateCritical: 0.3,
+  reputationWarning: 70,
+  reputationCritical: 50
+};
+
+const DEFAULT_SPIKE_OPTIONS = {
+  windowMs: 60 * 60 * 1000,
+  minSent: 50,
+  // A window is a spike when its bounce rate is over the critical threshold,
+  // or over the warning threshold and this many times the baseline of earlier windows
+  spikeFactor: 3,
+  maxTrackedKeys: 5000
+};
+
+/**
+ * Campaign rates as percentages; click rate is per open, as in the campaign optimization workflow
+ * Accepts instantly_campaigns totals or Instantly API stats
+ */
+function computeCampaignRates(stats = {}) {
+  const sent = stats.total_emails_sent ?? stats.total_sent ?? stats.sent ?? 0;
+  const opened = stats.total_opens ?? stats.total_opened ?? stats.opened ?? 0;
+  const clicked = stats.total_clicks ?? stats.total_clicked ?? stats.clicked ?? 0;
+  const replied = stats.total_replies ?? stats.total_replied ?? stats.replied ?? 0;
+  const bounced = stats.total_bounces ?? stats.total_bounced ?? stats.bounced ?? 0;
+  const unsubscribed = stats.total_unsubscribes ?? stats.total_unsubscribed ?? stats.unsubscribed ?? 0;
+
+  return {
+    sent,
+    opened,
+    clicked,
+    replied,
+    bounced,
+    unsubscribed,
+    openRate: percentage(opened, sent),
+    clickRate: percentage(clicked, opened),
+    replyRate: percentage(replied, sent),
+    bounceRate: percentage(bounced, sent),
+    unsubscribeRate: percentage(unsubscribed, sent)
+  };
+}
+
+/**
+ * Lead temperature after an activity - the update_engagement_on_activity trigger's rules: a positive
+ * reply makes the lead hot, a negative reply cold and a click warm; anything else keeps the current value
+ */
+function nextLeadTemperature(current, { activityType, replySentiment }) {
+  const temperature = LEAD_TEMPERATURES.includes(current) ? current : 'cold';
+
+  if (activityType === 'replied' && replySentiment === 'positive') return 'hot';
+  if (activityType === 'replied' && replySentiment === 'negative') return 'cold';
+  if (activityType === 'clicked') return 'warm';
+
+  return temperature;
+}
+
+/**
+ * Deliverability rates, health_status and alerts for an instantly_deliverability row
+ */
+function assessDeliverability(data, thresholds = DEFAULT_DELIVERABILITY_THRESHOLDS) {
+  const sent = data.emails_sent ?? data.emailsSent ?? 0;
+  const delivered = data.emails_delivered ?? data.emailsDelivered ?? 0;
+  const bounced = data.emails_bounced ?? data.emailsBounced ?? 0;
+  const complaints = data.spam_complaints ?? data.spamComplaints ?? 0;
+  const reputation = data.domain_reputation_score ?? data.domainReputationScore;
+  const blacklists = data.blacklist_status ?? data.blacklistStatus ?? {};
+
+  const rates = {
+    deliveryRate: data.delivery_rate ?? data.deliveryRate ?? percentage(delivered, sent),
+    bounceRate: data.bounce_rate ?? data.bounceRate ?? percentage(bounced, sent),
+    spamRate: data.spam_rate ?? data.spamRate ?? percentage(complaints, sent)
+  };
+
+  const alerts = [];
+  const check = (alertType, value, warning, critical, below = false) => {
+    if (value === undefined || value === null) return;
+    const breached = level => (below ? value < level : value > level);
+
+    if (breached(critical)) alerts.push({ alertType, level: 'critical', value, threshold: critical });
+    else if (breached(warning)) alerts.push({ alertType, level: 'warning', value, threshold: warning });
+  };
+
+  check('bounce_rate', rates.bounceRate, thresholds.bounceRateWarning, thresholds.bounceRateCritical);
+  check('spam_rate', rates.spamRate, thresholds.spamRateWarning, thresholds.spamRateCritical);
+  check('domain_reputation', reputation, thresholds.reputationWarning, thresholds.reputationCritical, true);
+
+  const listed = Object.keys(blacklists).filter(list => blacklists[list] === true || blacklists[list] === 'listed');
+  if (listed.length > 0) {
+    alerts.push({ alertType: 'blacklisted', level: 'critical', value: listed.length, threshold: 0, lists: listed });
+  }
+
+  let healthStatus = data.health_status || data.healthStatus;
+  if (!healthStatus) {
+    if (alerts.some(alert => alert.level === 'critical')) healthStatus = 'critical';
+    else if (alerts.length > 0) healthStatus = 'warning';
+    else healthStatus = rates.bounceRate < 1 && rates.spamRate < 0.05 ? 'excellent' : 'good';
+  }
+
+  return { ...rates, domainReputationScore: reputation, healthStatus, alerts };
+}
+
+/**
+ * Last known temperature per lead (instantly_integrations row); callers may pass the stored
+ * lead_temperature as currentTemperature to seed leads this process has not seen yet
+ */
+class LeadTemperatureTracker {
+  constructor(options = {}) {
+    this.maxLeads = options.maxLeads || 50000;
+    this.leads = new Map();
+  }
+
+  /**
+   * Apply an activity; returns { fromTemperature, toTemperature } when the temperature changed, else null
+   */
+  apply(leadKey, activity, currentTemperature) {
+    if (!leadKey) return null;
+
+    const fromTemperature = this.leads.get(leadKey) || currentTemperature || 'cold';
+    const toTemperature = activity.leadTemperature && LEAD_TEMPERATURES.includes(activity.leadTemperature)
+      ? activity.leadTemperature
+      : nextLeadTemperature(fromTemperature, activity);
+
+    this.leads.delete(leadKey);
+    this.leads.set(leadKey, toTemperature);
+    while (this.leads.size > this.maxLeads) {
+      this.leads.delete(this.leads.keys().next().value);
+    }
+
+    return fromTemperature === toTemperature ? null : { fromTemperature, toTemperature };
+  }
+}
+
+/**
+ * Rolling sent/bounced counts per campaign or sending domain
+ * A spike is a window whose bounce rate crosses the critical threshold or a multiple of the earlier windows' baseline
+ */
+class BounceSpikeDetector {
+  constructor(options = {}) {
+    this.options = { ...DEFAULT_SPIKE_OPTIONS, ...options };
+    this.bounceRateWarning = options.bounceRateWarning || DEFAULT_DELIVERABILITY_THRESHOLDS.bounceRateWarning;
+    this.bounceRateCritical = options.bounceRateCritical || DEFAULT_DELIVERABILITY_THRESHOLDS.bounceRateCritical;
+    this.windows = new Map();
+  }
+
+  /**
+   * Count one activity; returns a bounce_spike alert when the current window spikes (once per window)
+   */
+  observe(key, activityType, now = Date.now()) {
+    if (!key || (activityType !== 'sent' && activityType !== 'bounced')) return null;
+
+    const { windowMs, minSent, spikeFactor, maxTrackedKeys } = this.options;
+    const windowStart = now - (now % windowMs);
+    let state = this.windows.get(key);
+
+    if (!state || state.windowStart !== windowStart) {
+      const previousRate = state && state.sent >= minSent ? percentage(state.bounced, state.sent) : null;
+      const baseline = previousRate === null
+        ? (state ? state.baseline : null)
+        : (state.baseline === null ? previousRate : 0.7 * state.baseline + 0.3 * previousRate);
+
+      state = { windowStart, sent: 0, bounced: 0, baseline, alerted: false };
+    }
+
+    if (activityType === 'sent') state.sent += 1;
+    else state.bounced += 1;
+
+    this.windows.delete(key);
+    this.windows.set(key, state);
+    while (this.windows.size > maxTrackedKeys) {
+      this.windows.delete(this.windows.keys().next().value);
+    }
+
+    if (state.alerted || state.sent < minSent) return null;
+
+    const bounceRate = percentage(state.bounced, state.sent);
+    const baselineLimit = state.baseline !== null ? Math.max(state.baseline * spikeFactor, this.bounceRateWarning) : Infinity;
+    if (bounceRate <= this.bounceRateCritical && bounceRate <= baselineLimit) return null;
+
+    state.alerted = true;
+    return {
+      alertType: 'bounce_spike',
+      level: 'critical',
+      key,
+      value: bounceRate,
+      threshold: Math.min(this.bounceRateCritical, baselineLimit),
+      baseline: state.baseline,
+      sent: state.sent,
+      bounced: state.bounced,
+      windowMs
+    };
+  }
+}
+
+function percentage(part, total) {
+  return total > 0 ? Math.round((part / total) * 10000) / 100 : 0;
+}
+
+module.exports = {
+  ACTIVITY_TYPES,
+  LEAD_TEMPERATURES,
+  DEFAULT_DELIVERABILITY_THRESHOLDS,
+  computeCampaignRates,
+  nextLeadTemperature,
+  assessDeliverability,
+  LeadTemperatureTracker,
+  BounceSpikeDetector
+};
@@ -0,0 +1,68 @@
+/**
+ * k6 Scenario Entry Point for Prospect Intelligence Engine
+ * Declares smoke, load, stress, soak and spike profiles as named k6 scenarios
+ * Usage: k6 run -e TEST_SCENARIO=load -e API_BASE_URL=https://staging-api.example.com k6-scenarios.js
+ * Fixture data: TEST_DATA_SEED, TEST_DATA_TENANTS, TEST_DATA_COMPANIES_PER_TENANT (see test-data-factory.js);
+ * rows are seeded through mock-api-server.js's fixtures endpoint for localhost base URLs (TEST_DATA_SEED_MODE=endpoint);
+ * for staging/production load them beforehand with `node test-data-factory.js sql` (TEST_DATA_SEED_MODE=none, the default there)
+ */
+
+const http = require('k6/http');
+const { sleep } = require('k6');
+const { PerformanceTestSuite, executeTestSuite, seedTestData, cleanupTestData } = require('./performance-testing-security-scanning.js');
+const { TestReportGenerator } = require('./test-report-generator.js');
+
+const performanceTest = new PerformanceTestSuite();
+const testScenario = __ENV.TEST_SCENARIO || 'smoke';
+
+// k6 only honours options exported from the init context
+exports.options = performanceTest.getScenarioOptions(testScenario);
+
+/**
+ * Scenario executors - one per PerformanceTestSuite endpoint group
+ */
+exports.prospectAnalysis = function() {
+  performanceTest.testProspectAnalysisEndpoint();
+  sleep(1);
+};
+
+exports.databaseQueries = function() {
+  performanceTest.testDatabaseQueries();
+  sleep(1);
+};
+
+exports.workflowEndpoints = function() {
+  performanceTest.testWorkflowEndpoints();
+  sleep(1);
+};
+
+exports.setup = function() {
+  console.log(`Running ${testScenario} profile against ${performanceTest.baseUrl}`);
+  // Warm up the system
+  http.get(`${performanceTest.baseUrl}/api/v1/health`);
+
+  // Fixture rows must exist before VUs start; ids reach VUs through the SharedArray
+  const testData = seedTestData();
+
+  // Security results travel to handleSummary through setup data for the SARIF report
+  const security = __ENV.RUN_SECURITY_TESTS === 'true'
+    ? executeTestSuite('security').results.security
+    : null;
+
+  return { scenario: testScenario, security, testData };
+};
+
+exports.teardown = function(data) {
+  cleanupTestData(data && data.testData);
+};
+
+exports.handleSummary = function(data) {
+  const reportGenerator = new TestReportGenerator({
+    environment: performanceTest.testEnvironment,
+    scenario: testScenario,
+    targetUrl: performanceTest.baseUrl,
+    outputDir: __ENV.REPORT_DIR
+  });
+
+  return reportGenerator.generateSummaryOutputs(data, data.setup_data && data.setup_data.security);
+};
@@ -0,0 +1,598 @@
+/**
+ * Lead Scoring Engine for Prospect Intelligence Engine
+ * Scores a company and its automation opportunities against a per-tenant scoring model, explains
+ * every score as a breakdown of contributing factors, and replays historical companies to compare
+ * model versions before one is activated
+ *
+ * Models are JSON or YAML (YAML needs the js-yaml package); LEAD_SCORING_MODELS_PATH points at a
+ * model file or a directory of them. The built-in default model reproduces the rules that used to be
+ * inlined in the CRM integration workflow's "Prepare Instantly Data" node
+ *
+ * Usage: node lead-scoring.js validate [path]
+ *        node lead-scoring.js replay --tenant <uuid> --candidate <version> [--baseline <version>] [--limit 500] [--companies <file>] [--models <path>]
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_TENANT = 'default';
+const MODEL_STATUSES = ['active', 'draft', 'retired'];
+
+/**
+ * Factor shape: { id, label, type, field, ...type-specific settings }
+ * Company factors read companies columns; aggregate factors read automation_opportunities rows
+ */
+const DEFAULT_LEAD_SCORING_MODEL = {
+  tenantId: DEFAULT_TENANT,
+  modelId: 'default',
+  version: '1.0.0',
+  status: 'active',
+  description: 'Baseline rules from the original Prepare Instantly Data node',
+  maxScore: 100,
+  factors: [
+    {
+      id: 'company_size',
+      label: 'Company size',
+      type: 'lookup',
+      field: 'company_size_category',
+      values: { startup: 15, small: 18, medium: 22, large: 25, enterprise: 25 },
+      otherwise: 15
+    },
+    {
+      id: 'industry',
+      label: 'Industry fit',
+      type: 'keywords',
+      field: 'industry',
+      keywords: ['professional services', 'consulting', 'financial services', 'healthcare', 'legal services', 'technology services'],
+      points: 20,
+      otherwise: 15
+    },
+    {
+      id: 'automation_opportunities',
+      label: 'Automation opportunity priority',
+      type: 'aggregate',
+      field: 'priority_score',
+      aggregate: 'avg',
+      weight: 0.35
+    },
+    {
+      id: 'analysis_quality',
+      label: 'Website analysis completed',
+      type: 'equals',
+      field: 'status',
+      equals: 'analyzed',
+      points: 10
+    },
+    {
+      id: 'revenue',
+      label: 'Annual revenue',
+      type: 'bands',
+      field: 'annual_revenue_min',
+      bands: [
+        { above: 10000000, points: 10 },
+        { above: 5000000, points: 8 },
+        { above: 1000000, points: 6 }
+      ],
+      otherwise: 4,
+      missing: 0
+    }
+  ],
+  priorityLevels: [
+    { minScore: 80, level: 'high' },
+    { minScore: 60, level: 'medium' },
+    { minScore: 0, level: 'low' }
+  ],
+  leadTemperatures: [
+    { minScore: 85, temperature: 'hot' },
+    { minScore: 70, temperature: 'warm' },
+    { minScore: 50, temperature: 'interested' },
+    { minScore: 0, temperature: 'cold' }
+  ],
+  packages: {
+    highRoiSavingsAbove: 15000,
+    // First tier with any condition met wins
+    tiers: [
+      { package: 'enterprise_15k', totalRoiAbove: 50000, highRoiOpportunitiesAtLeast: 3, complexOpportunitiesAtLeast: 2 },
+      { package: 'professional_7_5k', totalRoiAbove: 25000, highRoiOpportunitiesAtLeast: 1, opportunitiesAtLeast: 3 }
+    ],
+    default: 'basic_2_5k'
+  }
+};
+
+/**
+ * Factor evaluators: (factor, company, opportunities) => { points, value, detail }
+ */
+const FACTOR_TYPES = {
+  lookup(factor, company) {
+    const value = company[factor.field];
+    const key = value === undefined || value === null ? null : String(value).toLowerCase();
+    const matched = key !== null && Object.prototype.hasOwnProperty.call(factor.values, key);
+
+    return {
+      points: matched ? factor.values[key] : (factor.otherwise || 0),
+      value: value ?? null,
+      detail: matched ? `${factor.field} = ${key}` : `${factor.field} not in table`
+    };
+  },
+
+  keywords(factor, company) {
+    const value = company[factor.field];
+    const text = String(value || '').toLowerCase();
+    const keyword = text ? factor.keywords.find(candidate => text.includes(candidate.toLowerCase())) : undefined;
+
+    return {
+      points: keyword ? factor.points : (factor.otherwise || 0),
+      value: value ?? null,
+      detail: keyword ? `matched "${keyword}"` : 'no keyword matched'
+    };
+  },
+
+  equals(factor, company) {
+    const value = company[factor.field];
+    const matched = value === factor.equals;
+
+    return {
+      points: matched ? factor.points : (factor.otherwise || 0),
+      value: value ?? null,
+      detail: `${factor.field} ${matched ? '=' : '!='} ${factor.equals}`
+    };
+  },
+
+  bands(factor, company) {
+    const raw = company[factor.field];
+    const value = raw === undefined || raw === null || raw === '' ? null : Number(raw);
+
+    if (value === null || Number.isNaN(value) || value === 0) {
+      return { points: factor.missing || 0, value: null, detail: `${factor.field} missing` };
+    }
+
+    const band = factor.bands.find(candidate => value > candidate.above);
+    return {
+      points: band ? band.points : (factor.otherwise || 0),
+      value,
+      detail: band ? `${factor.field} > ${band.above}` : `${factor.field} below all bands`
+    };
+  },
+
+  aggregate(factor, company, opportunities) {
+    const values = opportunities.map(opportunity => Number(opportunity[factor.field]) || 0);
+    if (values.length === 0) {
+      return { points: 0, value: null, detail: 'no automation opportunities' };
+    }
+
+    const aggregates = {
+      avg: () => values.reduce((sum, value) => sum + value, 0) / values.length,
+      sum: () => values.reduce((sum, value) => sum + value, 0),
+      max: () => Math.max(...values),
+      count: () => values.length
+    };
+    const value = aggregates[factor.aggregate || 'avg']();
+    const points = Math.round(value * (factor.weight ?? 1));
+
+    return {
+      points: factor.maxPoints !== undefined ? Math.min(points, factor.maxPoints) : points,
+      value: Math.round(value * 100) / 100,
+      detail: `${factor.aggregate || 'avg'}(${factor.field}) x ${factor.weight ?? 1} over ${values.length} opportunities`
+    };
+  }
+};
+
+/**
+ * Add a factor type usable from models
+ */
+function registerFactorType(type, evaluate) {
+  FACTOR_TYPES[type] = evaluate;
+}
+
+/**
+ * Returns the problems with a model (empty when valid)
+ */
+function validateModel(model) {
+  const problems = [];
+
+  if (!model || typeof model !== 'object') return ['model must be an object'];
+  if (!model.modelId) problems.push('modelId is required');
+  if (!parseVersion(model.version)) problems.push(`version "${model.version}" is not semver (major.minor.patch)`);
+  if (model.status && !MODEL_STATUSES.includes(model.status)) {
+    problems.push(`status must be one of ${MODEL_STATUSES.join(', ')}`);
+  }
+  if (!Array.isArray(model.factors) || model.factors.length === 0) problems.push('factors must be a non-empty array');
+
+  const ids = new Set();
+  (model.factors || []).forEach((factor, index) => {
+    const name = factor.id || `factors[${index}]`;
+    if (!factor.id) problems.push(`${name}: id is required`);
+    if (ids.has(factor.id)) problems.push(`${name}: duplicate factor id`);
+    ids.add(factor.id);
+    if (!FACTOR_TYPES[factor.type]) problems.push(`${name}: unknown type "${factor.type}"`);
+    if (!factor.field) problems.push(`${name}: field is required`);
+    if (factor.type === 'lookup' && (!factor.values || typeof factor.values !== 'object')) problems.push(`${name}: values table is required`);
+    if (factor.type === 'keywords' && !Array.isArray(factor.keywords)) problems.push(`${name}: keywords must be an array`);
+    if (factor.type === 'bands' && !Array.isArray(factor.bands)) problems.push(`${name}: bands must be an array`);
+    if (factor.type === 'aggregate' && factor.aggregate && !['avg', 'sum', 'max', 'count'].includes(factor.aggregate)) {
+      problems.push(`${name}: aggregate must be avg, sum, max or count`);
+    }
+  });
+
+  ['priorityLevels', 'leadTemperatures'].forEach(key => {
+    if (!Array.isArray(model[key]) || model[key].length === 0) problems.push(`${key} must be a non-empty array`);
+  });
+  if (!model.packages || !Array.isArray(model.packages.tiers) || !model.packages.default) {
+    problems.push('packages needs tiers and a default package');
+  }
+
+  return problems;
+}
+
+/**
+ * Score one company; the result carries the factor breakdown and the model version that produced it
+ */
+function scoreLead({ company = {}, opportunities = [] }, model = DEFAULT_LEAD_SCORING_MODEL) {
+  const breakdown = model.factors.map(factor => {
+    const { points, value, detail } = FACTOR_TYPES[factor.type](factor, company, opportunities);
+    return { factor: factor.id, label: factor.label || factor.id, points, value, detail };
+  });
+
+  const rawScore = breakdown.reduce((sum, entry) => sum + entry.points, 0);
+  const score = Math.max(0, Math.min(rawScore, model.maxScore || 100));
+  const packageResult = recommendPackage(opportunities, model.packages);
+
+  return {
+    score,
+    rawScore,
+    capped: score !== rawScore,
+    priorityLevel: pickBand(model.priorityLevels, score).level,
+    leadTemperature: pickBand(model.leadTemperatures, score).temperature,
+    ...packageResult,
+    breakdown,
+    model: { tenantId: model.tenantId || DEFAULT_TENANT, modelId: model.modelId, version: model.version }
+  };
+}
+
+/**
+ * One line per factor, e.g. "Company size: +22 (company_size_category = medium)"
+ */
+function explainLeadScore(result) {
+  const lines = result.breakdown.map(entry => `${entry.label}: ${entry.points >= 0 ? '+' : ''}${entry.points} (${entry.detail})`);
+  if (result.capped) lines.push(`Capped from ${result.rawScore} to ${result.score}`);
+  lines.push(`Score ${result.score} with ${result.model.modelId}@${result.model.version}`);
+  return lines;
+}
+
+function recommendPackage(opportunities, packages) {
+  const totalROI = opportunities.reduce((sum, opportunity) => sum + (Number(opportunity.annual_savings) || 0), 0);
+  const counts = {
+    opportunities: opportunities.length,
+    highRoi: opportunities.filter(opportunity => Number(opportunity.annual_savings) > packages.highRoiSavingsAbove).length,
+    complex: opportunities.filter(opportunity => opportunity.automation_complexity === 'high').length
+  };
+
+  const conditions = tier => [
+    tier.totalRoiAbove !== undefined && totalROI > tier.totalRoiAbove && `total ROI > ${tier.totalRoiAbove}`,
+    tier.highRoiOpportunitiesAtLeast !== undefined && counts.highRoi >= tier.highRoiOpportunitiesAtLeast
+      && `${counts.highRoi} high-ROI opportunities`,
+    tier.complexOpportunitiesAtLeast !== undefined && counts.complex >= tier.complexOpportunitiesAtLeast
+      && `${counts.complex} high-complexity opportunities`,
+    tier.opportunitiesAtLeast !== undefined && counts.opportunities >= tier.opportunitiesAtLeast
+      && `${counts.opportunities} opportunities`
+  ].filter(Boolean);
+
+  for (const tier of packages.tiers) {
+    const met = conditions(tier);
+    if (met.length > 0) return { recommendedPackage: tier.package, packageReason: met.join(', '), totalROI };
+  }
+
+  return { recommendedPackage: packages.default, packageReason: 'no tier condition met', totalROI };
+}
+
+function pickBand(bands, score) {
+  return [...bands].sort((a, b) => b.minScore - a.minScore).find(band => score >= band.minScore)
+    || bands[bands.length - 1];
+}
+
+/**
+ * Per-tenant model versions; tenants without models of their own use the 'default' tenant's models
+ * The active version is the highest 'active' one; drafts are only used when asked for by version (replay)
+ */
+class LeadScoringModelRegistry {
+  constructor(models = []) {
+    this.tenants = new Map();
+    this.register(DEFAULT_LEAD_SCORING_MODEL);
+    models.forEach(model => this.register(model));
+  }
+
+  /**
+   * options.path - model file or directory (falls back to LEAD_SCORING_MODELS_PATH; built-in default only when unset)
+   */
+  static fromConfig(options = {}) {
+    const modelsPath = options.path || process.env.LEAD_SCORING_MODELS_PATH;
+    return new LeadScoringModelRegistry(modelsPath ? loadModels(modelsPath) : []);
+  }
+
+  /**
+   * Models may extend another version ("extends": "default@1.0.0"), overriding factors by id;
+   * "enabled": false on a factor override removes it
+   */
+  register(definition) {
+    const model = definition.extends ? this.extend(definition) : { ...definition };
+    model.tenantId = model.tenantId || DEFAULT_TENANT;
+    model.status = model.status || 'active';
+
+    const problems = validateModel(model);
+    if (problems.length > 0) {
+      throw new Error(`Invalid lead scoring model ${model.tenantId}/${model.modelId}@${model.version}: ${problems.join('; ')}`);
+    }
+
+    const versions = this.tenants.get(model.tenantId) || new Map();
+    versions.set(model.version, model);
+    this.tenants.set(model.tenantId, versions);
+    return model;
+  }
+
+  extend(definition) {
+    const [baseTenant, baseVersion] = String(definition.extends).split('@');
+    const base = this.getModel(baseTenant, baseVersion);
+    const overrides = new Map((definition.factors || []).map(factor => [factor.id, factor]));
+
+    const factors = base.factors
+      .map(factor => (overrides.has(factor.id) ? { ...factor, ...overrides.get(factor.id) } : factor))
+      .concat((definition.factors || []).filter(factor => !base.factors.some(existing => existing.id === factor.id)))
+      .filter(factor => factor.enabled !== false);
+
+    const { extends: extended, ...rest } = definition;
+    return {
+      ...base,
+      status: 'active',
+      ...rest,
+      factors,
+      packages: { ...base.packages, ...(definition.packages || {}) },
+      extendedFrom: `${base.tenantId}@${base.version}`
+    };
+  }
+
+  /**
+   * The tenant's model at a version, or its active model when version is omitted
+   * A version is only looked up among the tenant's own models, never the default tenant's
+   */
+  getModel(tenantId, version) {
+    if (version && !this.tenants.has(tenantId)) {
+      throw new Error(`No lead scoring models registered for tenant ${tenantId} (asked for version ${version})`);
+    }
+
+    const versions = this.tenants.get(tenantId) || this.tenants.get(DEFAULT_TENANT);
+
+    if (version) {
+      const model = versions.get(version);
+      if (!model) throw new Error(`No lead scoring model version ${version} for tenant ${tenantId}`);
+      return model;
+    }
+
+    const active = Array.from(versions.values())
+      .filter(model => model.status === 'active')
+      .sort((a, b) => compareVersions(b.version, a.version));
+    if (active.length > 0) return active[0];
+
+    return tenantId === DEFAULT_TENANT ? DEFAULT_LEAD_SCORING_MODEL : this.getModel(DEFAULT_TENANT);
+  }
+
+  listVersions(tenantId) {
+    const versions = this.tenants.get(tenantId) || new Map();
+    return Array.from(versions.values())
+      .sort((a, b) => compareVersions(a.version, b.version))
+      .map(model => ({ version: model.version, modelId: model.modelId, status: model.status, description: model.description }));
+  }
+
+  listTenants() {
+    return Array.from(this.tenants.keys());
+  }
+}
+
+/**
+ * Score historical companies with two model versions and summarize what would change
+ * records: [{ company, opportunities }]
+ */
+function compareModelVersions(records, baselineModel, candidateModel) {
+  const changes = records.map(({ company, opportunities }) => {
+    const baseline = scoreLead({ company, opportunities }, baselineModel);
+    const candidate = scoreLead({ company, opportunities }, candidateModel);
+    const factorDeltas = {};
+
+    candidate.breakdown.concat(baseline.breakdown).forEach(entry => {
+      const before = baseline.breakdown.find(item => item.factor === entry.factor);
+      const after = candidate.breakdown.find(item => item.factor === entry.factor);
+      const delta = (after ? after.points : 0) - (before ? before.points : 0);
+      if (delta !== 0) factorDeltas[entry.factor] = delta;
+    });
+
+    return {
+      companyId: company.id,
+      companyName: company.name,
+      baselineScore: baseline.score,
+      candidateScore: candidate.score,
+      delta: candidate.score - baseline.score,
+      baselinePriority: baseline.priorityLevel,
+      candidatePriority: candidate.priorityLevel,
+      baselinePackage: baseline.recommendedPackage,
+      candidatePackage: candidate.recommendedPackage,
+      baselineTemperature: baseline.leadTemperature,
+      candidateTemperature: candidate.leadTemperature,
+      factorDeltas
+    };
+  });
+
+  const count = predicate => changes.filter(predicate).length;
+  const deltas = changes.map(change => change.delta);
+  const distribution = scores => {
+    const buckets = {};
+    scores.forEach(score => {
+      const bucket = Math.min(Math.floor(score / 10) * 10, 90);
+      buckets[bucket] = (buckets[bucket] || 0) + 1;
+    });
+    return buckets;
+  };
+
+  return {
+    baseline: { tenantId: baselineModel.tenantId, modelId: baselineModel.modelId, version: baselineModel.version },
+    candidate: { tenantId: candidateModel.tenantId, modelId: candidateModel.modelId, version: candidateModel.version },
+    companies: changes.length,
+    scoresChanged: count(change => change.delta !== 0),
+    meanScoreDelta: changes.length ? Math.round((deltas.reduce((sum, delta) => sum + delta, 0) / changes.length) * 100) / 100 : 0,
+    maxScoreIncrease: changes.length ? Math.max(0, ...deltas) : 0,
+    maxScoreDecrease: changes.length ? Math.min(0, ...deltas) : 0,
+    priorityChanges: count(change => change.baselinePriority !== change.candidatePriority),
+    packageChanges: count(change => change.baselinePackage !== change.candidatePackage),
+    temperatureChanges: count(change => change.baselineTemperature !== change.candidateTemperature),
+    baselineDistribution: distribution(changes.map(change => change.baselineScore)),
+    candidateDistribution: distribution(changes.map(change => change.candidateScore)),
+    changes: changes
+      .filter(change => change.delta !== 0 || change.baselinePackage !== change.candidatePackage)
+      .sort((a, b) => Math.abs(b.delta) - Math.abs(a.delta))
+  };
+}
+
+/**
+ * Load model definitions from a file ({ models: [...] }, a single model or an array) or a directory of files
+ */
+function loadModels(modelsPath) {
+  const stat = fs.statSync(modelsPath);
+  const files = stat.isDirectory()
+    ? fs.readdirSync(modelsPath)
+      .filter(file => /\.(json|ya?ml)$/i.test(file))
+      .sort()
+      .map(file => path.join(modelsPath, file))
+    : [modelsPath];
+
+  return files.flatMap(file => {
+    const document = parseModelDocument(fs.readFileSync(file, 'utf8'), file);
+    if (Array.isArray(document)) return document;
+    return Array.isArray(document.models) ? document.models : [document];
+  });
+}
+
+function parseModelDocument(text, file) {
+  if (!/\.ya?ml$/i.test(file)) {
+    try {
+      return JSON.parse(text);
+    } catch (error) {
+      throw new Error(`Lead scoring model ${file} is not valid JSON: ${error.message}`);
+    }
+  }
+
+  let yaml;
+  try {
+    yaml = require('js-yaml');
+  } catch (error) {
+    throw new Error('YAML lead scoring models require the "js-yaml" package (npm install js-yaml)');
+  }
+  return yaml.load(text);
+}
+
+function parseVersion(version) {
+  const match = /^(\d+)\.(\d+)\.(\d+)$/.exec(String(version || ''));
+  return match ? match.slice(1).map(Number) : null;
+}
+
+function compareVersions(a, b) {
+  const left = parseVersion(a) || [0, 0, 0];
+  const right = parseVersion(b) || [0, 0, 0];
+  for (let i = 0; i < 3; i++) {
+    if (left[i] !== right[i]) return left[i] - right[i];
+  }
+  return 0;
+}
+
+/**
+ * Companies and their automation opportunities for replay, most recently updated first
+ */
+async function fetchReplayRecords(pool, tenantId, limit) {
+  const companies = await pool.query(
+    'SELECT * FROM companies WHERE tenant_id = $1 ORDER BY updated_at DESC LIMIT $2',
+    [tenantId, limit]
+  );
+  const ids = companies.rows.map(company => company.id);
+  const opportunities = ids.length
+    ? await pool.query(
+      'SELECT * FROM automation_opportunities WHERE company_id = ANY($1::uuid[]) ORDER BY priority_score DESC NULLS LAST',
+      [ids]
+    )
+    : { rows: [] };
+
+  return companies.rows.map(company => ({
+    company,
+    opportunities: opportunities.rows.filter(opportunity => opportunity.company_id === company.id)
+  }));
+}
+
+module.exports = {
+  DEFAULT_LEAD_SCORING_MODEL,
+  FACTOR_TYPES,
+  registerFactorType,
+  validateModel,
+  scoreLead,
+  explainLeadScore,
+  compareModelVersions,
+  compareVersions,
+  loadModels,
+  LeadScoringModelRegistry
+};
+
+if (require.main === module) {
+  const [command, ...args] = process.argv.slice(2);
+  const option = name => {
+    const index = args.indexOf(`--${name}`);
+    return index >= 0 ? args[index + 1] : undefined;
+  };
+  const usage = () => {
+    console.error('Usage: node lead-scoring.js validate [path]');
+    console.error('       node lead-scoring.js replay --tenant <uuid> --candidate <version> [--baseline <version>] [--limit 500] [--companies <file>] [--models <path>]');
+    process.exit(2);
+  };
+
+  if (command === 'validate') {
+    try {
+      const registry = LeadScoringModelRegistry.fromConfig({ path: args[0] });
+      registry.listTenants().forEach(tenantId => {
+        const active = registry.getModel(tenantId);
+        registry.listVersions(tenantId).forEach(model => {
+          const marker = model.version === active.version && model.status === 'active' ? ' (in use)' : '';
+          console.log(`${tenantId} ${model.modelId}@${model.version} ${model.status}${marker}`);
+        });
+      });
+      process.exit(0);
+    } catch (error) {
+      console.error(error.message);
+      process.exit(1);
+    }
+  } else if (command === 'replay') {
+    const tenantId = option('tenant');
+    const candidateVersion = option('candidate');
+    if (!tenantId || !candidateVersion) usage();
+
+    (async () => {
+      const registry = LeadScoringModelRegistry.fromConfig({ path: option('models') });
+      const baseline = registry.getModel(tenantId, option('baseline'));
+      const candidate = registry.getModel(tenantId, candidateVersion);
+      const limit = Number(option('limit') || 500);
+
+      let records;
+      if (option('companies')) {
+        records = JSON.parse(fs.readFileSync(option('companies'), 'utf8')).slice(0, limit);
+      } else {
+        const { createPostgresPool } = require('./postgres-connection.js');
+        const pool = createPostgresPool();
+        try {
+          records = await fetchReplayRecords(pool, tenantId, limit);
+        } finally {
+          await pool.end();
+        }
+      }
+
+      console.log(JSON.stringify(compareModelVersions(records, baseline, candidate), null, 2));
+    })().catch(error => {
+      console.error(`Lead scoring replay failed: ${error.message}`);
+      process.exit(1);
+    });
+  } else {
+    usage();
+  }
+}
@@ -0,0 +1,213 @@
+/**
+ * Lead Scoring Tests
+ * The built-in default model must keep reproducing the rules that used to be inlined in the
+ * "Prepare Instantly Data" node; tenant models extend it, and drafts are only scored when asked for
+ *
+ * Run: node --test lead-scoring.test.js
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  DEFAULT_LEAD_SCORING_MODEL,
+  scoreLead,
+  explainLeadScore,
+  LeadScoringModelRegistry
+} = require('./lead-scoring');
+
+const TENANT_ID = '550e8400-e29b-41d4-a716-446655440001';
+const OTHER_TENANT_ID = '550e8400-e29b-41d4-a716-446655440002';
+
+/**
+ * The pre-module "Prepare Instantly Data" scoring, kept verbatim in behaviour as the reference
+ */
+function legacyInlineScore(companyData, opportunities) {
+  let leadScore = 0;
+  let totalROI = 0;
+  let recommendedPackage = 'basic_2_5k';
+
+  const companySizeScores = { startup: 15, small: 18, medium: 22, large: 25, enterprise: 25 };
+  leadScore += companySizeScores[companyData.company_size_category] || 15;
+
+  const highValueIndustries = ['professional services', 'consulting', 'financial services', 'healthcare', 'legal services', 'technology services'];
+  leadScore += highValueIndustries.some(industry => companyData.industry?.toLowerCase().includes(industry)) ? 20 : 15;
+
+  if (opportunities.length > 0) {
+    const avgPriorityScore = opportunities.reduce((sum, opp) => sum + (opp.priority_score || 0), 0) / opportunities.length;
+    leadScore += Math.round(avgPriorityScore * 0.35);
+
+    totalROI = opportunities.reduce((sum, opp) => sum + (opp.annual_savings || 0), 0);
+    const highROIOpportunities = opportunities.filter(opp => opp.annual_savings > 15000).length;
+    const complexOpportunities = opportunities.filter(opp => opp.automation_complexity === 'high').length;
+
+    if (totalROI > 50000 || highROIOpportunities >= 3 || complexOpportunities >= 2) {
+      recommendedPackage = 'enterprise_15k';
+    } else if (totalROI > 25000 || highROIOpportunities >= 1 || opportunities.length >= 3) {
+      recommendedPackage = 'professional_7_5k';
+    }
+  }
+
+  if (companyData.status === 'analyzed') leadScore += 10;
+
+  if (companyData.annual_revenue_min) {
+    if (companyData.annual_revenue_min > 10000000) leadScore += 10;
+    else if (companyData.annual_revenue_min > 5000000) leadScore += 8;
+    else if (companyData.annual_revenue_min > 1000000) leadScore += 6;
+    else leadScore += 4;
+  }
+
+  leadScore = Math.min(leadScore, 100);
+
+  let priorityLevel = 'low';
+  if (leadScore >= 80) priorityLevel = 'high';
+  else if (leadScore >= 60) priorityLevel = 'medium';
+
+  let leadTemperature = 'cold';
+  if (leadScore >= 85) leadTemperature = 'hot';
+  else if (leadScore >= 70) leadTemperature = 'warm';
+  else if (leadScore >= 50) leadTemperature = 'interested';
+
+  return { leadScore, totalROI, recommendedPackage, priorityLevel, leadTemperature };
+}
+
+function opportunity(priorityScore, annualSavings, complexity = 'medium') {
+  return { priority_score: priorityScore, annual_savings: annualSavings, automation_complexity: complexity };
+}
+
+// companies rows with their automation_opportunities, covering every band of every factor
+const FIXTURE_LEADS = {
+  enterpriseConsultancy: {
+    company: { company_size_category: 'enterprise', industry: 'Management Consulting', status: 'analyzed', annual_revenue_min: 25000000 },
+    opportunities: [opportunity(95, 40000, 'high'), opportunity(90, 30000, 'high'), opportunity(85, 20000)]
+  },
+  mediumHealthcare: {
+    company: { company_size_category: 'medium', industry: 'Healthcare', status: 'analyzed', annual_revenue_min: 6000000 },
+    opportunities: [opportunity(70, 18000), opportunity(60, 5000)]
+  },
+  smallRetail: {
+    company: { company_size_category: 'small', industry: 'Retail', status: 'pending', annual_revenue_min: 2000000 },
+    opportunities: [opportunity(40, 3000), opportunity(50, 4000), opportunity(30, 2000)]
+  },
+  startupNoOpportunities: {
+    company: { company_size_category: 'startup', industry: 'Legal Services', status: 'analyzed', annual_revenue_min: 500000 },
+    opportunities: []
+  },
+  unknownSizeNoRevenue: {
+    company: { company_size_category: null, industry: null, status: 'analyzing', annual_revenue_min: null },
+    opportunities: [opportunity(null, null)]
+  },
+  topScore: {
+    company: { company_size_category: 'large', industry: 'Financial Services', status: 'analyzed', annual_revenue_min: 50000000 },
+    opportunities: [opportunity(100, 60000, 'high'), opportunity(100, 60000, 'high')]
+  }
+};
+
+test('default model reproduces the previous inline scores, priorities, temperatures and packages', () => {
+  Object.keys(FIXTURE_LEADS).forEach(name => {
+    const { company, opportunities } = FIXTURE_LEADS[name];
+    const legacy = legacyInlineScore(company, opportunities);
+    const result = scoreLead({ company, opportunities });
+
+    assert.deepEqual(
+      {
+        leadScore: result.score,
+        totalROI: result.totalROI,
+        recommendedPackage: result.recommendedPackage,
+        priorityLevel: result.priorityLevel,
+        leadTemperature: result.leadTemperature
+      },
+      legacy,
+      name
+    );
+  });
+});
+
+test('the breakdown adds up to the raw score and records a capped total', () => {
+  const result = scoreLead(FIXTURE_LEADS.topScore);
+
+  assert.equal(result.breakdown.reduce((sum, entry) => sum + entry.points, 0), result.rawScore);
+  assert.equal(result.score, 100);
+  assert.equal(result.capped, false);
+  assert.deepEqual(result.model, { tenantId: 'default', modelId: 'default', version: '1.0.0' });
+
+  const capped = scoreLead(FIXTURE_LEADS.topScore, { ...DEFAULT_LEAD_SCORING_MODEL, maxScore: 90 });
+  assert.equal(capped.score, 90);
+  assert.equal(capped.capped, true);
+  assert.match(explainLeadScore(capped).at(-2), /Capped from 100 to 90/);
+});
+
+test('extends overrides factors by id, adds new ones and drops enabled:false factors', () => {
+  const registry = new LeadScoringModelRegistry([
+    {
+      tenantId: TENANT_ID,
+      modelId: 'tenant-model',
+      version: '1.0.0',
+      extends: 'default@1.0.0',
+      factors: [
+        { id: 'industry', keywords: ['retail'] },
+        { id: 'analysis_quality', enabled: false },
+        { id: 'opportunity_count', type: 'aggregate', field: 'priority_score', aggregate: 'count', weight: 2, maxPoints: 5 }
+      ]
+    }
+  ]);
+  const model = registry.getModel(TENANT_ID);
+  const result = scoreLead(FIXTURE_LEADS.smallRetail, model);
+  const points = Object.fromEntries(result.breakdown.map(entry => [entry.factor, entry.points]));
+
+  assert.equal(model.extendedFrom, 'default@1.0.0');
+  assert.deepEqual(
+    model.factors.map(factor => factor.id),
+    ['company_size', 'industry', 'automation_opportunities', 'revenue', 'opportunity_count']
+  );
+  // The override keeps the base factor's type, field and points
+  assert.equal(points.industry, 20);
+  assert.equal(points.opportunity_count, 5);
+  assert.equal(points.analysis_quality, undefined);
+  assert.equal(result.model.version, '1.0.0');
+  // The default model itself is untouched
+  assert.equal(DEFAULT_LEAD_SCORING_MODEL.factors.length, 5);
+});
+
+test('the highest active version is used and drafts only when asked for by version', () => {
+  const base = { tenantId: TENANT_ID, modelId: 'tenant-model', extends: 'default@1.0.0' };
+  const registry = new LeadScoringModelRegistry([
+    { ...base, version: '1.0.0', status: 'active' },
+    { ...base, version: '1.2.0', status: 'active' },
+    { ...base, version: '1.10.0', status: 'retired' },
+    { ...base, version: '2.0.0', status: 'draft' }
+  ]);
+
+  assert.equal(registry.getModel(TENANT_ID).version, '1.2.0');
+  assert.equal(registry.getModel(TENANT_ID, '2.0.0').status, 'draft');
+  assert.deepEqual(registry.listVersions(TENANT_ID).map(model => model.version), ['1.0.0', '1.2.0', '1.10.0', '2.0.0']);
+  assert.throws(() => registry.getModel(TENANT_ID, '3.0.0'), /No lead scoring model version 3\.0\.0/);
+});
+
+test('a tenant with only drafts falls back to the default active model', () => {
+  const registry = new LeadScoringModelRegistry([
+    { tenantId: TENANT_ID, modelId: 'tenant-model', version: '1.0.0', status: 'draft', extends: 'default@1.0.0' }
+  ]);
+
+  assert.equal(registry.getModel(TENANT_ID).modelId, 'default');
+});
+
+test('unregistered tenants use the default model but cannot ask for a version', () => {
+  const registry = new LeadScoringModelRegistry([
+    { tenantId: TENANT_ID, modelId: 'tenant-model', version: '1.1.0', extends: 'default@1.0.0' }
+  ]);
+
+  assert.equal(registry.getModel(OTHER_TENANT_ID).modelId, 'default');
+  assert.throws(() => registry.getModel(OTHER_TENANT_ID, '1.0.0'), /No lead scoring models registered for tenant/);
+  assert.throws(() => registry.getModel(OTHER_TENANT_ID, '1.1.0'), /No lead scoring models registered for tenant/);
+});
+
+test('invalid models are rejected when registered', () => {
+  assert.throws(
+    () => new LeadScoringModelRegistry([{ tenantId: TENANT_ID, modelId: 'broken', version: '1.0', extends: 'default@1.0.0' }]),
+    /version "1\.0" is not semver/
+  );
+  assert.throws(
+    () => new LeadScoringModelRegistry([{ tenantId: TENANT_ID, modelId: 'broken', version: '1.0.0', extends: 'default@9.9.9' }]),
+    /No lead scoring model version 9\.9\.9/
+  );
+});
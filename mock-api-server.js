@@ -0,0 +1,534 @@
+/**
+ * Mock API Server for Prospect Intelligence Engine
+ * Local stand-in for the public API and n8n webhooks so PerformanceTestSuite and SecurityTestSuite run offline
+ * Supports configurable latency, error injection and deliberately-vulnerable modes for validating the suites
+ *
+ * Usage: MOCK_VULNERABILITIES=sql_injection,xss node mock-api-server.js
+ *        k6 run -e API_BASE_URL=http://localhost:4010 -e WEBAPP_URL=http://localhost:4010 \
+ *               -e N8N_WEBHOOK_URL=http://localhost:4010 k6-scenarios.js
+ * Suite regression tests (every vulnerable mode must be detected): node --test mock-api-server.test.js
+ */
+
+const http = require('http');
+const crypto = require('crypto');
+
+// Vulnerable behaviours, each mapped to the SecurityTestSuite check expected to detect it
+const VULNERABILITIES = {
+  sql_injection: 'testSQLInjection',
+  xss: 'testXSS',
+  auth_bypass: 'testAuthenticationBypass',
+  idor: 'testInsecureDirectObjectReferences',
+  misconfiguration: 'testSecurityMisconfiguration',
+  sensitive_data: 'testSensitiveDataExposure',
+  cross_tenant: 'testAccessControlFlaws',
+  privilege_escalation: 'testAccessControlFlaws',
+  csrf: 'testCSRF',
+  outdated_components: 'testInsecureComponents',
+  open_redirect: 'testUnvalidatedRedirects'
+};
+
+const SECURITY_HEADERS = {
+  'X-Content-Type-Options': 'nosniff',
+  'X-Frame-Options': 'DENY',
+  'X-XSS-Protection': '1; mode=block',
+  'Strict-Transport-Security': 'max-age=31536000; includeSubDomains'
+};
+
+const DEFAULT_TENANTS = [
+  { id: '550e8400-e29b-41d4-a716-446655440001', slug: 'tenant-a', name: 'Tenant A', apiKey: 'tenant-a-key' },
+  { id: '550e8400-e29b-41d4-a716-446655440002', slug: 'tenant-b', name: 'Tenant B', apiKey: 'tenant-b-key' }
+];
+
+// One login per users.role for every tenant, e.g. analyst@tenant-a.example.com
+const USER_ROLES = ['admin', 'analyst', 'user'];
+
+// Tables accepted by /api/v1/test-fixtures (TestDataFactory output), in foreign-key order
+const FIXTURE_TABLES = ['tenants', 'companies', 'website_analyses', 'automation_opportunities'];
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+class MockApiServer {
+  constructor(options = {}) {
+    this.port = options.port !== undefined ? options.port : parseInt(process.env.MOCK_PORT || '4010', 10);
+    this.latencyMs = options.latencyMs !== undefined ? options.latencyMs : parseInt(process.env.MOCK_LATENCY_MS || '0', 10);
+    this.latencyJitterMs = options.latencyJitterMs !== undefined ? options.latencyJitterMs : parseInt(process.env.MOCK_LATENCY_JITTER_MS || '0', 10);
+    this.errorRate = options.errorRate !== undefined ? options.errorRate : parseFloat(process.env.MOCK_ERROR_RATE || '0');
+    this.webhookApiKey = options.webhookApiKey || process.env.N8N_API_KEY;
+    this.tenants = options.tenants || DEFAULT_TENANTS;
+    this.userPassword = options.userPassword || process.env.MOCK_USER_PASSWORD || 'mock-password';
+
+    const vulnerabilities = options.vulnerabilities
+      || (process.env.MOCK_VULNERABILITIES ? process.env.MOCK_VULNERABILITIES.split(',') : []);
+    this.vulnerabilities = new Set(vulnerabilities.map(name => name.trim()).filter(Boolean));
+
+    this.vulnerabilities.forEach(name => {
+      if (!VULNERABILITIES[name]) {
+        throw new Error(`Unknown mock vulnerability: ${name} (expected one of ${Object.keys(VULNERABILITIES).join(', ')})`);
+      }
+    });
+
+    this.records = this.seedRecords();
+    this.users = this.seedUsers();
+    this.sessions = new Map();
+    this.routes = this.buildRoutes();
+    this.server = null;
+  }
+
+  /**
+   * Tenant-scoped records mirroring the companies, reports and instantly_integrations tables
+   */
+  seedRecords() {
+    const records = {
+      tenants: new Map(),
+      companies: new Map(),
+      website_analyses: new Map(),
+      automation_opportunities: new Map(),
+      reports: new Map(),
+      instantly_integrations: new Map()
+    };
+
+    this.tenants.forEach((tenant, index) => {
+      const companyId = `c0a80100-0000-4000-8000-00000000000${index + 1}`;
+      const reportId = `c0a80200-0000-4000-8000-00000000000${index + 1}`;
+      const integrationId = `c0a80300-0000-4000-8000-00000000000${index + 1}`;
+
+      records.companies.set(companyId, {
+        id: companyId,
+        tenant_id: tenant.id,
+        name: `${tenant.name} Prospect Co`,
+        website: `https://prospect-${index + 1}.example.com`,
+        industry: 'Technology',
+        company_size_category: 'medium'
+      });
+      records.reports.set(reportId, {
+        id: reportId,
+        tenant_id: tenant.id,
+        company_id: companyId,
+        report_type: 'automation_assessment',
+        generation_status: 'completed'
+      });
+      records.instantly_integrations.set(integrationId, {
+        id: integrationId,
+        tenant_id: tenant.id,
+        company_id: companyId,
+        instantly_lead_id: `lead_${index + 1}`,
+        lead_status: 'active'
+      });
+    });
+
+    return records;
+  }
+
+  seedUsers() {
+    const users = [];
+
+    this.tenants.forEach(tenant => {
+      USER_ROLES.forEach(role => {
+        users.push({ id: crypto.randomUUID(), email: `${role}@${tenant.slug}.example.com`, role, tenant });
+      });
+    });
+
+    return users;
+  }
+
+  get companies() {
+    return this.records.companies;
+  }
+
+  isVulnerable(name) {
+    return this.vulnerabilities.has(name);
+  }
+
+  /**
+   * Start listening; resolves with the bound port (use port 0 for an ephemeral port)
+   */
+  start() {
+    return new Promise((resolve, reject) => {
+      this.server = http.createServer((req, res) => {
+        this.handleRequest(req, res).catch(() => {
+          if (!res.headersSent) this.send(res, 500, { error: 'Internal server error' });
+          else res.end();
+        });
+      });
+      this.server.once('error', reject);
+      this.server.listen(this.port, () => {
+        this.port = this.server.address().port;
+        resolve(this.port);
+      });
+    });
+  }
+
+  stop() {
+    if (!this.server) return Promise.resolve();
+
+    return new Promise((resolve) => {
+      this.server.close(() => resolve());
+      this.server = null;
+    });
+  }
+
+  async handleRequest(req, res) {
+    let url;
+    try {
+      url = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
+    } catch (error) {
+      req.resume();
+      return this.send(res, 400, { error: 'Malformed request URL or Host header' });
+    }
+
+    const body = await readBody(req);
+    const identity = this.authenticate(req);
+    const context = { req, res, url, body, json: parseJson(body), tenant: identity && identity.tenant, role: identity && identity.role };
+
+    await delay(this.latencyMs + Math.random() * this.latencyJitterMs);
+
+    const route = this.routes.find(candidate =>
+      candidate.method === req.method && candidate.pattern.test(url.pathname)
+    );
+
+    if (route && route.path !== '/api/v1/health' && Math.random() < this.errorRate) {
+      return this.send(res, 500, { error: 'Injected failure' });
+    }
+
+    if (!route) {
+      return this.send(res, 404, { error: 'Not found' });
+    }
+
+    context.params = url.pathname.match(route.pattern).slice(1);
+
+    try {
+      route.handler(context);
+    } catch (error) {
+      this.send(res, 500, { error: 'Internal server error' });
+    }
+  }
+
+  /**
+   * Resolve { tenant, role } from a tenant API key (admin) or a session token from /api/v1/auth/login
+   */
+  authenticate(req) {
+    const authorization = req.headers.authorization || '';
+    const token = authorization.replace(/^Bearer\s+/i, '');
+    const tenant = this.tenants.find(candidate => candidate.apiKey === token);
+
+    if (tenant) return { tenant, role: 'admin' };
+    return this.sessions.get(token) || null;
+  }
+
+  send(res, status, payload, headers = {}) {
+    const responseHeaders = {
+      'Content-Type': 'application/json',
+      ...(this.isVulnerable('misconfiguration') ? {} : SECURITY_HEADERS),
+      ...(this.isVulnerable('outdated_components') ? { 'Server': 'nginx/1.18.0', 'X-Powered-By': 'Express' } : {}),
+      ...headers
+    };
+
+    res.writeHead(status, responseHeaders);
+    res.end(typeof payload === 'string' ? payload : JSON.stringify(payload));
+  }
+
+  requireTenant(context) {
+    if (context.tenant || this.isVulnerable('auth_bypass')) return true;
+
+    this.send(context.res, 401, { error: 'Unauthorized' });
+    return false;
+  }
+
+  buildRoutes() {
+    const route = (method, path, handler) => ({
+      method,
+      path,
+      pattern: new RegExp(`^${path.replace(/:[a-z_]+/g, '([^/]+)')}$`),
+      handler: handler.bind(this)
+    });
+
+    return [
+      route('GET', '/api/v1/health', this.handleHealth),
+      route('POST', '/api/v1/analyze/website', this.handleAnalyzeWebsite),
+      route('GET', '/api/v1/prospects/search', this.handleProspectSearch),
+      route('POST', '/api/v1/prospects/search', this.handleProspectSearch),
+      route('POST', '/api/v1/reports/generate', this.handleReportGenerate),
+      route('POST', '/api/v1/analytics/dashboard', this.handleAnalyticsDashboard),
+      route('POST', '/api/v1/auth/login', this.handleAuthLogin),
+      route('GET', '/api/v1/companies', context => this.handleListRecords('companies', context)),
+      route('POST', '/api/v1/companies', this.handleCreateCompany),
+      route('GET', '/api/v1/companies/:id', this.handleGetCompany),
+      route('PATCH', '/api/v1/companies/:id', this.handleGetCompany),
+      route('GET', '/api/v1/reports', context => this.handleListRecords('reports', context)),
+      route('GET', '/api/v1/reports/:id', context => this.handleGetRecord('reports', context)),
+      route('PATCH', '/api/v1/reports/:id', context => this.handleGetRecord('reports', context)),
+      route('GET', '/api/v1/integrations/instantly', context => this.handleListRecords('instantly_integrations', context)),
+      route('GET', '/api/v1/integrations/instantly/:id', context => this.handleGetRecord('instantly_integrations', context)),
+      route('PATCH', '/api/v1/integrations/instantly/:id', context => this.handleGetRecord('instantly_integrations', context)),
+      route('GET', '/api/v1/admin/users', this.handleAdminUsers),
+      route('POST', '/api/v1/users/promote', this.handleAdminUsers),
+      route('GET', '/debug', this.handleDebug),
+      route('GET', '/api/v1/config', this.handleConfig),
+      route('GET', '/login', this.handleLogin),
+      route('GET', '/logout', this.handleLogin),
+      route('GET', '/api/v1/auth/callback', this.handleLogin),
+      route('GET', '/', this.handleWebapp),
+      route('POST', '/webhook/analyze-website', this.handleWebhook),
+      route('POST', '/webhook/detect-opportunities', this.handleWebhook),
+      route('POST', '/webhook/generate-report', this.handleWebhook),
+      route('POST', '/api/v1/test-fixtures', this.handleSeedFixtures),
+      route('DELETE', '/api/v1/test-fixtures', this.handleDeleteFixtures)
+    ];
+  }
+
+  handleHealth({ res }) {
+    this.send(res, 200, { status: 'healthy', timestamp: new Date().toISOString() });
+  }
+
+  handleAnalyzeWebsite(context) {
+    if (!this.requireTenant(context)) return;
+
+    this.send(context.res, 202, {
+      analysis_id: crypto.randomUUID(),
+      status: 'queued',
+      url: context.json.url
+    });
+  }
+
+  handleProspectSearch(context) {
+    const query = context.url.searchParams.get('query') || '';
+
+    if (this.isVulnerable('sql_injection') && /['";]/.test(query)) {
+      return this.send(context.res, 500, `PostgreSQL query failed: syntax error at or near "${query}"`, { 'Content-Type': 'text/plain' });
+    }
+
+    if (!this.requireTenant(context)) return;
+
+    const companies = Array.from(this.companies.values())
+      .filter(company => !context.tenant || company.tenant_id === context.tenant.id);
+    this.send(context.res, 200, { results: companies, total: companies.length });
+  }
+
+  handleReportGenerate(context) {
+    if (!this.isVulnerable('csrf') && !this.requireTenant(context)) return;
+    if (!this.knownCompany(context)) return;
+
+    this.send(context.res, 202, { report_id: crypto.randomUUID(), status: 'generating' });
+  }
+
+  handleAnalyticsDashboard(context) {
+    if (!this.requireTenant(context)) return;
+
+    this.send(context.res, 200, {
+      date_range: context.json.date_range || 'last_30_days',
+      metrics: { lead_generation: 42, conversion_rates: 0.12, roi_potential: 185000 }
+    });
+  }
+
+  handleAuthLogin(context) {
+    const { email, password } = context.json;
+    const user = this.users.find(candidate => candidate.email === email);
+
+    if (!user || password !== this.userPassword) {
+      return this.send(context.res, 401, { error: 'Invalid credentials' });
+    }
+
+    const token = crypto.randomBytes(24).toString('hex');
+    this.sessions.set(token, { tenant: user.tenant, role: user.role });
+    this.send(context.res, 200, { access_token: token, token_type: 'Bearer', role: user.role });
+  }
+
+  isVisible(record, context) {
+    return this.isVulnerable('cross_tenant') || !context.tenant || record.tenant_id === context.tenant.id;
+  }
+
+  handleListRecords(collection, context) {
+    if (!this.requireTenant(context)) return;
+
+    const records = Array.from(this.records[collection].values()).filter(record => this.isVisible(record, context));
+    const limit = parseInt(context.url.searchParams.get('limit') || '50', 10);
+    this.send(context.res, 200, { data: records.slice(0, limit) });
+  }
+
+  handleGetRecord(collection, context) {
+    if (!this.requireTenant(context)) return;
+
+    const record = this.records[collection].get(context.params[0]);
+
+    if (!record || !this.isVisible(record, context)) {
+      return this.send(context.res, 404, { error: 'Not found' });
+    }
+
+    this.send(context.res, 200, record);
+  }
+
+  handleCreateCompany(context) {
+    if (!this.isVulnerable('csrf') && !this.requireTenant(context)) return;
+
+    const name = String(context.json.name || '');
+    const company = {
+      id: crypto.randomUUID(),
+      tenant_id: context.tenant ? context.tenant.id : null,
+      name: this.isVulnerable('xss') ? name : escapeHtml(name),
+      website: this.isVulnerable('xss') ? context.json.website : escapeHtml(String(context.json.website || ''))
+    };
+
+    this.companies.set(company.id, company);
+    this.send(context.res, 201, company);
+  }
+
+  handleGetCompany(context) {
+    const [id] = context.params;
+
+    if (this.isVulnerable('idor') && !context.tenant) {
+      // Falls back to the first record for any identifier, leaking another tenant's data
+      return this.send(context.res, 200, this.companies.get(id) || this.companies.values().next().value);
+    }
+
+    this.handleGetRecord('companies', context);
+  }
+
+  handleAdminUsers(context) {
+    const allowed = this.isVulnerable('auth_bypass')
+      || (context.tenant && (context.role === 'admin' || this.isVulnerable('privilege_escalation')));
+
+    if (!allowed) {
+      return this.send(context.res, context.tenant ? 403 : 401, { error: 'Forbidden' });
+    }
+
+    const users = this.users
+      .filter(user => !context.tenant || user.tenant.id === context.tenant.id)
+      .map(user => ({ id: user.id, email: user.email, role: user.role }));
+    this.send(context.res, 200, { users });
+  }
+
+  handleDebug({ res }) {
+    if (!this.isVulnerable('misconfiguration')) {
+      return this.send(res, 404, { error: 'Not found' });
+    }
+
+    this.send(res, 200, { debug: true, node_env: 'development' });
+  }
+
+  handleConfig({ res }) {
+    if (!this.isVulnerable('sensitive_data')) {
+      return this.send(res, 404, { error: 'Not found' });
+    }
+
+    this.send(res, 200, 'DATABASE_URL=postgres://admin:secret@db/prospects\npassword="hunter2"\n', { 'Content-Type': 'text/plain' });
+  }
+
+  handleLogin({ res, url }) {
+    const target = url.searchParams.get('redirect') || url.searchParams.get('next') || url.searchParams.get('returnUrl');
+    const sessionCookie = this.isVulnerable('csrf')
+      ? 'session=mock-session; Path=/; HttpOnly'
+      : 'session=mock-session; Path=/; HttpOnly; Secure; SameSite=Strict';
+
+    // Only same-origin relative paths are honoured unless open_redirect is enabled
+    const safeTarget = target && /^\/(?![\/\\])/.test(target) ? target : '/';
+    const location = this.isVulnerable('open_redirect') && target ? target : safeTarget;
+
+    this.send(res, 302, '', { 'Location': location, 'Set-Cookie': sessionCookie });
+  }
+
+  /**
+   * Reject well-formed company ids that were never seeded, as the real API does
+   */
+  knownCompany(context) {
+    const companyId = context.json.company_id;
+    if (!UUID_PATTERN.test(String(companyId || '')) || this.companies.has(companyId)) return true;
+
+    this.send(context.res, 404, { error: 'Company not found' });
+    return false;
+  }
+
+  handleSeedFixtures(context) {
+    if (!this.requireTenant(context)) return;
+
+    const counts = {};
+    FIXTURE_TABLES.forEach(table => {
+      const rows = Array.isArray(context.json[table]) ? context.json[table] : [];
+      rows.forEach(row => this.records[table].set(row.id, row));
+      counts[table] = rows.length;
+    });
+
+    this.send(context.res, 201, { inserted: counts });
+  }
+
+  handleDeleteFixtures(context) {
+    if (!this.requireTenant(context)) return;
+
+    const tenantIds = new Set(context.json.tenant_ids || []);
+    let deleted = 0;
+
+    // Mirrors ON DELETE CASCADE from tenants
+    FIXTURE_TABLES.forEach(table => {
+      this.records[table].forEach((row, id) => {
+        if (tenantIds.has(table === 'tenants' ? row.id : row.tenant_id)) {
+          this.records[table].delete(id);
+          deleted += 1;
+        }
+      });
+    });
+
+    this.send(context.res, 200, { deleted });
+  }
+
+  handleWebapp({ res }) {
+    this.send(res, 200, '<!doctype html><title>Prospect Intelligence</title>', { 'Content-Type': 'text/html' });
+  }
+
+  handleWebhook(context) {
+    if (this.webhookApiKey && context.req.headers['x-api-key'] !== this.webhookApiKey) {
+      return this.send(context.res, 401, { error: 'Invalid API key' });
+    }
+    if (!this.knownCompany(context)) return;
+
+    this.send(context.res, 200, {
+      success: true,
+      execution_id: crypto.randomUUID(),
+      workflow: context.url.pathname.replace('/webhook/', '')
+    });
+  }
+}
+
+function readBody(req) {
+  return new Promise((resolve) => {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+  });
+}
+
+function parseJson(body) {
+  try {
+    return body ? JSON.parse(body) : {};
+  } catch (e) {
+    return {};
+  }
+}
+
+function escapeHtml(value) {
+  return value
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+function delay(ms) {
+  return ms > 0 ? new Promise(resolve => setTimeout(resolve, ms)) : Promise.resolve();
+}
+
+// Run standalone: node mock-api-server.js
+if (require.main === module) {
+  const mockServer = new MockApiServer();
+  mockServer.start().then(port => {
+    const modes = mockServer.vulnerabilities.size > 0 ? Array.from(mockServer.vulnerabilities).join(', ') : 'none';
+    console.log(`Mock API server listening on http://localhost:${port} (vulnerable modes: ${modes})`);
+  });
+
+  const shutdown = () => mockServer.stop().then(() => process.exit(0));
+  process.on('SIGINT', shutdown);
+  process.on('SIGTERM', shutdown);
+}
+
+module.exports = {
+  MockApiServer,
+  VULNERABILITIES
+};
@@ -0,0 +1,212 @@
+/**
+ * Mock API Server Tests
+ * Runs each SecurityTestSuite check against the mock server with and without the vulnerable mode
+ * it targets, so a check that stops detecting its vulnerability fails here instead of passing in CI
+ *
+ * The suite is written for the k6 runtime; k6/http is synchronous, so requests are made from a worker
+ * thread (which also hosts the mock server) while the test thread blocks on Atomics.wait
+ *
+ * Run: node --test mock-api-server.test.js
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const Module = require('module');
+const { Worker, MessageChannel, receiveMessageOnPort } = require('worker_threads');
+const { MockApiServer, VULNERABILITIES } = require('./mock-api-server');
+
+// Worker: starts a MockApiServer, then performs one HTTP request per message for the blocked test thread
+const WORKER_SOURCE = `
+const http = require('http');
+const { workerData, parentPort } = require('worker_threads');
+const { MockApiServer } = require(workerData.serverModule);
+const { signal, port } = workerData;
+
+function reply(message) {
+  port.postMessage(message);
+  Atomics.store(signal, 0, 1);
+  Atomics.notify(signal, 0);
+}
+
+function request({ method, url, body, headers }) {
+  return new Promise((resolve) => {
+    const req = http.request(url, { method, headers }, (res) => {
+      const chunks = [];
+      res.on('data', chunk => chunks.push(chunk));
+      res.on('end', () => resolve({ status: res.statusCode, headers: res.headers, body: Buffer.concat(chunks).toString('utf8') }));
+    });
+    req.on('error', error => resolve({ status: 0, headers: {}, body: '', error: error.message }));
+    req.end(body === null || body === undefined ? undefined : body);
+  });
+}
+
+const server = new MockApiServer({ port: 0, vulnerabilities: workerData.vulnerabilities });
+server.start().then(listening => parentPort.postMessage({ port: listening }));
+port.on('message', message => request(message).then(reply));
+`;
+
+function startMockWorker(vulnerabilities) {
+  const signal = new Int32Array(new SharedArrayBuffer(4));
+  const { port1, port2 } = new MessageChannel();
+  const worker = new Worker(WORKER_SOURCE, {
+    eval: true,
+    workerData: { serverModule: require.resolve('./mock-api-server'), vulnerabilities, signal, port: port2 },
+    transferList: [port2]
+  });
+
+  return new Promise((resolve, reject) => {
+    worker.once('error', reject);
+    worker.once('message', ({ port }) => {
+      resolve({
+        baseUrl: `http://127.0.0.1:${port}`,
+        request(message) {
+          Atomics.store(signal, 0, 0);
+          port1.postMessage(message);
+          Atomics.wait(signal, 0, 0, 10000);
+          const received = receiveMessageOnPort(port1);
+          if (!received) throw new Error(`Mock server did not answer ${message.method} ${message.url}`);
+          return received.message;
+        },
+        stop() {
+          port1.close();
+          return worker.terminate();
+        }
+      });
+    });
+  });
+}
+
+// Go-style header canonicalization, as k6 reports response headers
+function canonicalHeaders(headers) {
+  return Object.keys(headers).reduce((canonical, name) => {
+    const key = name.split('-').map(part => part.charAt(0).toUpperCase() + part.slice(1)).join('-');
+    canonical[key] = Array.isArray(headers[name]) ? headers[name].join(', ') : headers[name];
+    return canonical;
+  }, {});
+}
+
+let activeWorker = null;
+
+// Minimal k6 runtime for the suite: synchronous http through the active worker, no-op metrics
+const k6Modules = {
+  'k6': {
+    check: (value, checks) => Object.keys(checks).every(name => checks[name](value)),
+    sleep: () => {}
+  },
+  'k6/http': {
+    request(method, url, body, params = {}) {
+      let response;
+      let target = url;
+      let redirects = params.redirects === undefined ? 10 : params.redirects;
+      const start = Date.now();
+
+      for (;;) {
+        response = activeWorker.request({ method, url: target, body, headers: params.headers || {} });
+        const location = response.headers.location;
+        if (!location || response.status < 300 || response.status >= 400 || redirects <= 0) break;
+        target = new URL(location, target).toString();
+        redirects -= 1;
+      }
+
+      return {
+        status: response.status,
+        body: response.body,
+        headers: canonicalHeaders(response.headers),
+        timings: { duration: Date.now() - start },
+        json: () => JSON.parse(response.body)
+      };
+    },
+    get(url, params) {
+      return this.request('GET', url, null, params);
+    },
+    post(url, body, params) {
+      return this.request('POST', url, body, params);
+    },
+    put(url, body, params) {
+      return this.request('PUT', url, body, params);
+    },
+    patch(url, body, params) {
+      return this.request('PATCH', url, body, params);
+    },
+    del(url, body, params) {
+      return this.request('DELETE', url, body, params);
+    }
+  },
+  'k6/metrics': {
+    Rate: class { add() {} },
+    Counter: class { add() {} },
+    Trend: class { add() {} }
+  },
+  'k6/data': {
+    SharedArray: class { constructor(name, factory) { return factory(); } }
+  }
+};
+
+const originalLoad = Module._load;
+Module._load = function load(request, ...args) {
+  return k6Modules[request] || originalLoad.call(this, request, ...args);
+};
+const { SecurityTestSuite } = require('./performance-testing-security-scanning');
+const { CredentialProfiles } = require('./security-credential-profiles');
+Module._load = originalLoad;
+
+// Every role in both mock tenants logs in with the mock server's default password
+const PROFILE_CONFIG = require('./security-test-profiles.example.json');
+const PROFILE_ENV = PROFILE_CONFIG.profiles.reduce((profileEnv, profile) => ({
+  ...profileEnv,
+  [profile.passwordEnv]: 'mock-password'
+}), {});
+
+// Checks that only reach the handler behind the auth wall run as this profile (as under runOWASPTestsAsProfiles)
+const AUTHENTICATED_MODES = { xss: 'tenant_a_analyst' };
+
+async function runCheck(checkName, vulnerabilities, profileName) {
+  activeWorker = await startMockWorker(vulnerabilities);
+
+  try {
+    process.env.API_BASE_URL = activeWorker.baseUrl;
+    process.env.WEBAPP_URL = activeWorker.baseUrl;
+    const credentialProfiles = CredentialProfiles.fromConfig(PROFILE_CONFIG, PROFILE_ENV, activeWorker.baseUrl);
+    const suite = new SecurityTestSuite({ credentialProfiles });
+    suite.activeProfile = credentialProfiles.profiles.find(profile => profile.name === profileName) || null;
+
+    return suite[checkName]();
+  } finally {
+    await activeWorker.stop();
+    activeWorker = null;
+  }
+}
+
+Object.keys(VULNERABILITIES).forEach(mode => {
+  const checkName = VULNERABILITIES[mode];
+
+  test(`${checkName} detects the ${mode} mode and passes without it`, async () => {
+    const vulnerable = await runCheck(checkName, [mode], AUTHENTICATED_MODES[mode]);
+    const secure = await runCheck(checkName, [], AUTHENTICATED_MODES[mode]);
+
+    assert.equal(vulnerable.passed, false, `${checkName} missed ${mode}: ${JSON.stringify(vulnerable.details)}`);
+    assert.ok(vulnerable.details.length > 0);
+    assert.equal(secure.passed, true, `${checkName} failed a secure server: ${JSON.stringify(secure.details)}`);
+  });
+});
+
+test('malformed Host headers get a 400 instead of an unhandled rejection', async () => {
+  const server = new MockApiServer({ port: 0 });
+  const port = await server.start();
+
+  try {
+    const status = await new Promise((resolve, reject) => {
+      const req = http.request({ port, path: '/api/v1/health', headers: { Host: 'bad host[' } }, res => {
+        res.resume();
+        resolve(res.statusCode);
+      });
+      req.on('error', reject);
+      req.end();
+    });
+
+    assert.equal(status, 400);
+  } finally {
+    await server.stop();
+  }
+});
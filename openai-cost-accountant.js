@@ -0,0 +1,423 @@
+/**
+ * OpenAI Cost Accountant for Prospect Intelligence Engine
+ * Rolls up Azure OpenAI spend per tenant/company/model/operationType over rolling windows
+ * and raises soft/hard budget alerts so runaway analysis is caught before the invoice
+ */
+
+const http = require('http');
+const https = require('https');
+
+// USD per 1K tokens - keys are matched exactly, then by longest prefix of the model/deployment name
+const DEFAULT_MODEL_PRICING = {
+  'gpt-4': { prompt: 0.03, completion: 0.06 },
+  'gpt-4-32k': { prompt: 0.06, completion: 0.12 },
+  'gpt-4-turbo': { prompt: 0.01, completion: 0.03 },
+  'gpt-4o': { prompt: 0.005, completion: 0.015 },
+  'gpt-4o-mini': { prompt: 0.00015, completion: 0.0006 },
+  'gpt-35-turbo': { prompt: 0.0015, completion: 0.002 },
+  'gpt-3.5-turbo': { prompt: 0.0015, completion: 0.002 },
+  'text-embedding-ada-002': { prompt: 0.0001, completion: 0 },
+  'text-embedding-3-small': { prompt: 0.00002, completion: 0 },
+  'text-embedding-3-large': { prompt: 0.00013, completion: 0 }
+};
+
+// Rolling window lengths in milliseconds
+const DEFAULT_WINDOWS = {
+  hour: 60 * 60 * 1000,
+  day: 24 * 60 * 60 * 1000,
+  month: 30 * 24 * 60 * 60 * 1000
+};
+
+const BUDGET_LEVELS = ['soft', 'hard'];
+
+const ROLLUP_DIMENSIONS = ['tenantId', 'companyId', 'model', 'operationType'];
+
+class OpenAICostAccountant {
+  /**
+   * options.pricing       - per-model overrides merged over DEFAULT_MODEL_PRICING
+   * options.budgets       - { default: { day: { soft, hard } }, tenants: { [tenantId]: { month: { soft, hard } } } }
+   *                         falls back to OPENAI_TENANT_BUDGETS (JSON)
+   * options.windows       - rolling window lengths merged over DEFAULT_WINDOWS
+   * options.bucketSizeMs  - aggregation granularity (default 1 minute)
+   * options.onBudgetAlert - callback invoked with every alert
+   * options.webhookUrl    - alerts are POSTed as JSON here (OPENAI_BUDGET_WEBHOOK_URL)
+   */
+  constructor(options = {}) {
+    this.pricing = { ...DEFAULT_MODEL_PRICING, ...options.pricing };
+    this.windows = { ...DEFAULT_WINDOWS, ...options.windows };
+    this.budgets = options.budgets || parseBudgets(process.env.OPENAI_TENANT_BUDGETS);
+    this.bucketSizeMs = options.bucketSizeMs || 60 * 1000;
+    this.onBudgetAlert = options.onBudgetAlert;
+    this.webhookUrl = options.webhookUrl || process.env.OPENAI_BUDGET_WEBHOOK_URL;
+    this.webhookTimeoutMs = options.webhookTimeoutMs || 5000;
+
+    this.maxWindowMs = Math.max(...Object.values(this.windows));
+    this.buckets = new Map();
+    this.activeAlerts = new Map();
+    // Running per-tenant spend for each window so budget checks never rescan the buckets;
+    // starts lists the buckets still inside the window in time order, from head onwards
+    this.windowTotals = new Map(Object.keys(this.windows).map(window => [window, { tenants: new Map(), starts: [], head: 0 }]));
+    this.clock = -Infinity;
+
+    validateBudgets(this.budgets, this.windows);
+  }
+
+  /**
+   * Cost from the pricing table, or null when the model has no price
+   */
+  calculateCost(model, promptTokens = 0, completionTokens = 0) {
+    const price = this.getModelPricing(model);
+    if (!price) return null;
+
+    return (promptTokens / 1000) * price.prompt + (completionTokens / 1000) * price.completion;
+  }
+
+  getModelPricing(model) {
+    if (!model) return null;
+
+    const name = String(model).toLowerCase();
+    if (this.pricing[name]) return this.pricing[name];
+
+    const prefix = Object.keys(this.pricing)
+      .filter(key => name.startsWith(key))
+      .sort((a, b) => b.length - a.length)[0];
+
+    return prefix ? this.pricing[prefix] : null;
+  }
+
+  /**
+   * Record one OpenAI call and return { costUSD, priced, alerts }
+   * costUSD supplied by the caller wins over the pricing table
+   */
+  record(usage, now = Date.now()) {
+    const { model, promptTokens, completionTokens, totalTokens, operationType, companyId } = usage;
+    const tenantId = usage.tenantId || 'unattributed';
+
+    const calculated = this.calculateCost(model, promptTokens || 0, completionTokens || 0);
+    const supplied = typeof usage.costUSD === 'number';
+    const costUSD = supplied ? usage.costUSD : (calculated || 0);
+
+    const bucketStart = now - (now % this.bucketSizeMs);
+    this.advance(now);
+
+    // Older than every window - nothing left to count it against
+    if (bucketStart <= this.clock - this.maxWindowMs) {
+      return {
+        costUSD,
+        priced: supplied || calculated !== null,
+        alerts: []
+      };
+    }
+
+    const newBucket = !this.buckets.has(bucketStart);
+    if (newBucket) {
+      this.buckets.set(bucketStart, new Map());
+    }
+
+    const dimensions = { tenantId, companyId: companyId || null, model: model || null, operationType: operationType || null };
+    const key = ROLLUP_DIMENSIONS.map(dimension => dimensions[dimension]).join('|');
+    const bucket = this.buckets.get(bucketStart);
+    const entry = bucket.get(key) || { ...dimensions, calls: 0, costUSD: 0, promptTokens: 0, completionTokens: 0, totalTokens: 0 };
+
+    entry.calls += 1;
+    entry.costUSD += costUSD;
+    entry.promptTokens += promptTokens || 0;
+    entry.completionTokens += completionTokens || 0;
+    entry.totalTokens += totalTokens || (promptTokens || 0) + (completionTokens || 0);
+    bucket.set(key, entry);
+
+    this.windowTotals.forEach((state, window) => {
+      if (bucketStart <= this.clock - this.windows[window]) return;
+
+      if (newBucket) insertSorted(state.starts, state.head, bucketStart);
+      const total = state.tenants.get(tenantId) || { calls: 0, costUSD: 0 };
+      total.calls += 1;
+      total.costUSD += costUSD;
+      state.tenants.set(tenantId, total);
+    });
+
+    return {
+      costUSD,
+      priced: supplied || calculated !== null,
+      alerts: this.checkBudgets(tenantId, now)
+    };
+  }
+
+  /**
+   * Aggregate spend inside a rolling window
+   * filter narrows by any dimension, groupBy lists the dimensions to keep in the rollup
+   */
+  getRollup({ window = 'day', filter = {}, groupBy = ['tenantId'] } = {}, now = Date.now()) {
+    const windowMs = this.getWindowMs(window);
+    const rollup = new Map();
+
+    this.buckets.forEach((bucket, bucketStart) => {
+      // Late calls are rolled up as of their own time, without spend recorded after it
+      if (bucketStart <= now - windowMs || bucketStart > now) return;
+
+      bucket.forEach(entry => {
+        const matches = Object.keys(filter).every(dimension => entry[dimension] === filter[dimension]);
+        if (!matches) return;
+
+        const key = groupBy.map(dimension => entry[dimension]).join('|');
+        const total = rollup.get(key) || {
+          ...groupBy.reduce((dimensions, dimension) => ({ ...dimensions, [dimension]: entry[dimension] }), {}),
+          calls: 0,
+          costUSD: 0,
+          promptTokens: 0,
+          completionTokens: 0,
+          totalTokens: 0
+        };
+
+        total.calls += entry.calls;
+        total.costUSD += entry.costUSD;
+        total.promptTokens += entry.promptTokens;
+        total.completionTokens += entry.completionTokens;
+        total.totalTokens += entry.totalTokens;
+        rollup.set(key, total);
+      });
+    });
+
+    return Array.from(rollup.values())
+      .map(total => ({ ...total, costUSD: roundCost(total.costUSD) }))
+      .sort((a, b) => b.costUSD - a.costUSD);
+  }
+
+  /**
+   * Tenant spend from the running window totals; timestamps before the latest recorded call
+   * fall back to a rollup over the buckets
+   */
+  getTenantSpend(tenantId, window = 'day', now = Date.now()) {
+    this.getWindowMs(window);
+
+    if (now < this.clock) {
+      const [rollup] = this.getRollup({ window, filter: { tenantId }, groupBy: ['tenantId'] }, now);
+      return rollup ? rollup.costUSD : 0;
+    }
+
+    this.advance(now);
+    const total = this.windowTotals.get(window).tenants.get(tenantId);
+    return total ? roundCost(total.costUSD) : 0;
+  }
+
+  getTenantBudget(tenantId) {
+    const tenants = this.budgets.tenants || {};
+    return { ...this.budgets.default, ...tenants[tenantId] };
+  }
+
+  /**
+   * True once any hard limit is crossed - callers use this to stop issuing OpenAI requests
+   */
+  isHardLimitExceeded(tenantId, now = Date.now()) {
+    const budget = this.getTenantBudget(tenantId);
+
+    return Object.keys(budget).some(window =>
+      budget[window].hard !== undefined && this.getTenantSpend(tenantId, window, now) >= budget[window].hard);
+  }
+
+  /**
+   * Compare tenant spend with its limits; an alert fires once when a limit is crossed
+   * and re-arms after spend in the rolling window falls back below it
+   */
+  checkBudgets(tenantId, now = Date.now()) {
+    const budget = this.getTenantBudget(tenantId);
+    const alerts = [];
+
+    Object.keys(budget).forEach(window => {
+      const spendUSD = this.getTenantSpend(tenantId, window, now);
+
+      BUDGET_LEVELS.forEach(level => {
+        const limitUSD = budget[window][level];
+        if (limitUSD === undefined) return;
+
+        const alertKey = `${tenantId}|${window}|${level}`;
+        if (spendUSD < limitUSD) {
+          this.activeAlerts.delete(alertKey);
+          return;
+        }
+        if (this.activeAlerts.has(alertKey)) return;
+
+        const alert = {
+          tenantId,
+          window,
+          level,
+          limitUSD,
+          spendUSD,
+          utilization: limitUSD > 0 ? Math.round((spendUSD / limitUSD) * 100) / 100 : null,
+          timestamp: new Date(now).toISOString()
+        };
+
+        this.activeAlerts.set(alertKey, alert);
+        alerts.push(alert);
+      });
+    });
+
+    alerts.forEach(alert => this.notify(alert));
+    return alerts;
+  }
+
+  notify(alert) {
+    if (this.onBudgetAlert) {
+      try {
+        this.onBudgetAlert(alert);
+      } catch (error) {
+        process.stderr.write(`OpenAI budget alert callback failed: ${error.message}\n`);
+      }
+    }
+
+    if (this.webhookUrl) {
+      this.postWebhook(alert);
+    }
+  }
+
+  postWebhook(alert) {
+    const url = new URL(this.webhookUrl);
+    const transport = url.protocol === 'https:' ? https : http;
+    const body = JSON.stringify({ type: 'openai_budget_alert', ...alert });
+
+    return new Promise((resolve) => {
+      const req = transport.request(url, {
+        method: 'POST',
+        timeout: this.webhookTimeoutMs,
+        headers: {
+          'Content-Type': 'application/json',
+          'Content-Length': Buffer.byteLength(body)
+        }
+      }, (res) => {
+        res.resume();
+        res.on('end', () => {
+          if (res.statusCode >= 400) {
+            process.stderr.write(`OpenAI budget webhook failed with status ${res.statusCode}\n`);
+          }
+          resolve();
+        });
+      });
+
+      req.on('timeout', () => req.destroy(new Error('OpenAI budget webhook timed out')));
+      req.on('error', (error) => {
+        process.stderr.write(`OpenAI budget webhook failed: ${error.message}\n`);
+        resolve();
+      });
+
+      req.end(body);
+    });
+  }
+
+  getWindowMs(window) {
+    const windowMs = this.windows[window];
+    if (!windowMs) {
+      throw new Error(`Unknown budget window: ${window} (expected ${Object.keys(this.windows).join(', ')})`);
+    }
+    return windowMs;
+  }
+
+  /**
+   * Move the clock forward, subtracting buckets that left each window from its running totals
+   */
+  advance(now = Date.now()) {
+    if (now <= this.clock) return;
+    this.clock = now;
+
+    this.windowTotals.forEach((state, window) => {
+      const cutoff = now - this.windows[window];
+      const expiredTenants = new Set();
+
+      while (state.head < state.starts.length && state.starts[state.head] <= cutoff) {
+        const bucket = this.buckets.get(state.starts[state.head]);
+        state.head += 1;
+
+        bucket.forEach(entry => {
+          const total = state.tenants.get(entry.tenantId);
+          total.calls -= entry.calls;
+          total.costUSD -= entry.costUSD;
+          if (total.calls <= 0) state.tenants.delete(entry.tenantId);
+          expiredTenants.add(entry.tenantId);
+        });
+      }
+
+      // Re-arm alerts whose spend rolled out of the window, including tenants that stopped calling
+      expiredTenants.forEach(tenantId => this.clearRecoveredAlerts(tenantId, window, state.tenants.get(tenantId)));
+    });
+
+    this.prune();
+  }
+
+  clearRecoveredAlerts(tenantId, window, total) {
+    const spendUSD = total ? roundCost(total.costUSD) : 0;
+
+    BUDGET_LEVELS.forEach(level => {
+      const alertKey = `${tenantId}|${window}|${level}`;
+      const alert = this.activeAlerts.get(alertKey);
+      if (alert && spendUSD < alert.limitUSD) this.activeAlerts.delete(alertKey);
+    });
+  }
+
+  /**
+   * Drop buckets that have left the longest window
+   */
+  prune() {
+    this.windowTotals.forEach((state, window) => {
+      if (state.head === 0) return;
+
+      if (this.windows[window] === this.maxWindowMs) {
+        state.starts.slice(0, state.head).forEach(bucketStart => this.buckets.delete(bucketStart));
+      }
+      state.starts = state.starts.slice(state.head);
+      state.head = 0;
+    });
+  }
+
+  reset() {
+    this.buckets.clear();
+    this.activeAlerts.clear();
+    this.windowTotals.forEach(state => {
+      state.tenants.clear();
+      state.starts = [];
+      state.head = 0;
+    });
+    this.clock = -Infinity;
+  }
+}
+
+function parseBudgets(value) {
+  if (!value) return {};
+
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    throw new Error(`OPENAI_TENANT_BUDGETS is not valid JSON: ${error.message}`);
+  }
+}
+
+function validateBudgets(budgets, windows) {
+  const budgetSets = [budgets.default || {}, ...Object.values(budgets.tenants || {})];
+
+  budgetSets.forEach(budget => {
+    Object.keys(budget).forEach(window => {
+      if (!windows[window]) {
+        throw new Error(`Unknown budget window: ${window} (expected ${Object.keys(windows).join(', ')})`);
+      }
+      const { soft, hard } = budget[window];
+      if (soft !== undefined && hard !== undefined && soft > hard) {
+        throw new Error(`Soft budget ${soft} exceeds hard budget ${hard} for window ${window}`);
+      }
+    });
+  });
+}
+
+// Buckets normally arrive in order; a late call still lands in its place among the live ones
+function insertSorted(starts, head, bucketStart) {
+  let index = starts.length;
+  while (index > head && starts[index - 1] > bucketStart) index -= 1;
+  starts.splice(index, 0, bucketStart);
+}
+
+function roundCost(value) {
+  return Math.round(value * 1000000) / 1000000;
+}
+
+module.exports = {
+  OpenAICostAccountant,
+  DEFAULT_MODEL_PRICING,
+  DEFAULT_WINDOWS
+};
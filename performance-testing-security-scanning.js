@@ -8,6 +8,10 @@ const k6 = require('k6');
 const http = require('k6/http');
 const { check, sleep } = require('k6');
 const { Rate, Counter, Trend } = require('k6/metrics');
+const { SharedArray } = require('k6/data');
+const { TestReportGenerator } = require('./test-report-generator.js');
+const { CredentialProfiles } = require('./security-credential-profiles.js');
+const { TestDataFactory } = require('./test-data-factory.js');
 
 // Custom metrics for business KPIs
 const errorRate = new Rate('error_rate');
@@ -15,15 +19,76 @@ const apiCalls = new Counter('api_calls_total');
 const analysisLatency = new Trend('analysis_latency');
 const securityTestsRate = new Rate('security_tests_passed');
 
+// Endpoint groups run as separate k6 scenarios; exec names match the functions exported by k6-scenarios.js
+const SCENARIO_EXECUTORS = {
+  prospect_analysis: { exec: 'prospectAnalysis', vuShare: 0.6, maxDurationMs: 2000 },
+  database_queries: { exec: 'databaseQueries', vuShare: 0.3, maxDurationMs: 2000 },
+  workflow_endpoints: { exec: 'workflowEndpoints', vuShare: 0.1, maxDurationMs: 5000 }
+};
+
+// Endpoints tagged on every request so handleSummary can report per-endpoint percentiles
+const REPORTED_ENDPOINTS = [
+  '/api/v1/analyze/website',
+  '/api/v1/prospects/search',
+  '/api/v1/reports/generate',
+  '/api/v1/analytics/dashboard',
+  '/webhook/analyze-website',
+  '/webhook/detect-opportunities',
+  '/webhook/generate-report'
+];
+
+// Security test outcomes - only passed/failed results count towards the security score
+const TEST_STATUS = {
+  PASSED: 'passed',
+  FAILED: 'failed',
+  NOT_IMPLEMENTED: 'not_implemented',
+  ERRORED: 'errored'
+};
+
+// Relative weight of a security test in the overall score
+const SEVERITY_WEIGHTS = {
+  critical: 10,
+  high: 5,
+  medium: 2,
+  low: 1
+};
+
+// Tenant-scoped API resources probed for cross-tenant access (tables carry tenant_id)
+const TENANT_SCOPED_RESOURCES = [
+  { name: 'companies', path: '/api/v1/companies' },
+  { name: 'reports', path: '/api/v1/reports' },
+  { name: 'instantly_integrations', path: '/api/v1/integrations/instantly' }
+];
+
+// Profiles that push past capacity are judged on median latency and a higher failure budget
+const RELAXED_PROFILES = ['stress', 'spike'];
+
+// k6 exposes environment variables through __ENV; fall back to process.env outside the k6 runtime
+const env = typeof __ENV !== 'undefined' ? __ENV : process.env;
+
+// Known-vulnerable component versions and credential profiles; k6 can only read files from the init context
+const vulnerabilityFeed = env.VULNERABILITY_FEED_PATH
+  ? loadJsonFile(env.VULNERABILITY_FEED_PATH, 'VULNERABILITY_FEED_PATH')
+  : loadJsonFile('./vulnerability-feed.json');
+const credentialProfileConfig = env.SECURITY_PROFILES_PATH
+  ? loadJsonFile(env.SECURITY_PROFILES_PATH, 'SECURITY_PROFILES_PATH')
+  : null;
+
+// Seeded tenants/companies/analyses/opportunities - ids are deterministic per TEST_DATA_SEED, so every VU
+// sees the same fixtures; setup() writes the rows and teardown() removes them
+const testDataFactory = TestDataFactory.fromEnv(env);
+const testFixtures = new SharedArray('prospect-test-fixtures', () => testDataFactory.toFixtures());
+
 /**
  * Performance Testing Configuration
  * Validates sub-2-second response time requirements and 10x scalability
  */
 class PerformanceTestSuite {
-  constructor() {
-    this.baseUrl = process.env.API_BASE_URL || 'https://api.prospect-intelligence.com';
-    this.apiKey = process.env.API_KEY;
-    this.testEnvironment = process.env.TEST_ENV || 'staging';
+  constructor(options = {}) {
+    this.baseUrl = env.API_BASE_URL || 'https://api.prospect-intelligence.com';
+    this.apiKey = env.API_KEY;
+    this.testEnvironment = env.TEST_ENV || 'staging';
+    this.fixtures = options.fixtures || testFixtures;
     
     // Performance thresholds aligned with SLA requirements
     this.performanceThresholds = {
@@ -86,13 +151,127 @@ class PerformanceTestSuite {
     };
   }
 
+  /**
+   * Soak Testing Configuration - Sustained normal load to surface leaks and pool exhaustion
+   */
+  getSoakTestOptions() {
+    return {
+      stages: [
+        { duration: '5m', target: 100 },
+        { duration: '2h', target: 100 },
+        { duration: '5m', target: 0 },
+      ],
+      thresholds: this.performanceThresholds
+    };
+  }
+
+  /**
+   * Spike Testing Configuration - Sudden 10x burst followed by recovery
+   */
+  getSpikeTestOptions() {
+    return {
+      stages: [
+        { duration: '1m', target: 100 },
+        { duration: '30s', target: 1000 }, // Instant 10x spike
+        { duration: '3m', target: 1000 },
+        { duration: '30s', target: 100 },  // Recovery
+        { duration: '3m', target: 100 },
+        { duration: '1m', target: 0 },
+      ],
+      thresholds: {
+        http_req_duration: ['p(50)<3000'],
+        http_req_failed: ['rate<0.05'],
+      }
+    };
+  }
+
+  /**
+   * Smoke Testing Configuration - Minimal load sanity check before heavier profiles
+   */
+  getSmokeTestOptions() {
+    return {
+      stages: [
+        { duration: '1m', target: 1 },
+      ],
+      thresholds: this.performanceThresholds
+    };
+  }
+
+  /**
+   * Build k6 options with one named scenario per endpoint group for the selected profile
+   */
+  getScenarioOptions(profile = 'smoke') {
+    const profiles = {
+      smoke: () => this.getSmokeTestOptions(),
+      load: () => this.getLoadTestOptions(),
+      stress: () => this.getStressTestOptions(),
+      soak: () => this.getSoakTestOptions(),
+      spike: () => this.getSpikeTestOptions()
+    };
+
+    if (!profiles[profile]) {
+      throw new Error(`Unknown test scenario: ${profile} (expected one of ${Object.keys(profiles).join(', ')})`);
+    }
+
+    const { stages, thresholds } = profiles[profile]();
+    const relaxed = RELAXED_PROFILES.includes(profile);
+    const scenarios = {};
+    const scenarioThresholds = { ...thresholds };
+
+    Object.keys(SCENARIO_EXECUTORS).forEach(group => {
+      const executor = SCENARIO_EXECUTORS[group];
+      const scenarioName = `${profile}_${group}`;
+
+      scenarios[scenarioName] = {
+        executor: 'ramping-vus',
+        exec: executor.exec,
+        startVUs: 0,
+        stages: stages.map(stage => ({
+          duration: stage.duration,
+          target: stage.target === 0 ? 0 : Math.max(1, Math.round(stage.target * executor.vuShare))
+        })),
+        gracefulRampDown: '30s',
+        tags: { test_profile: profile, endpoint_group: group }
+      };
+
+      scenarioThresholds[`http_req_duration{scenario:${scenarioName}}`] = relaxed
+        ? [`p(50)<${Math.max(3000, executor.maxDurationMs)}`]
+        : [`p(95)<${executor.maxDurationMs}`];
+      scenarioThresholds[`http_req_failed{scenario:${scenarioName}}`] = [relaxed ? 'rate<0.05' : 'rate<0.01'];
+    });
+
+    // k6 only summarises sub-metrics that carry a threshold, so register always-true ones per endpoint
+    REPORTED_ENDPOINTS.forEach(endpoint => {
+      scenarioThresholds[`http_req_duration{endpoint:${endpoint}}`] = ['max>=0'];
+      scenarioThresholds[`http_reqs{endpoint:${endpoint}}`] = ['count>=0'];
+    });
+
+    return {
+      scenarios,
+      thresholds: scenarioThresholds,
+      summaryTrendStats: ['avg', 'min', 'med', 'max', 'p(90)', 'p(95)', 'p(99)']
+    };
+  }
+
+  /**
+   * Seeded company for this VU iteration - VUs walk the fixtures round-robin so load spreads across rows
+   */
+  nextFixture() {
+    const vu = typeof __VU !== 'undefined' ? __VU : 1;
+    const iteration = typeof __ITER !== 'undefined' ? __ITER : 0;
+
+    return this.fixtures[(vu - 1 + iteration) % this.fixtures.length];
+  }
+
   /**
    * API Endpoint Testing Scenarios
    */
   testProspectAnalysisEndpoint() {
+    const fixture = this.nextFixture();
     const testData = {
-      url: 'https://example-prospect.com',
-      company_name: 'Test Company Ltd',
+      url: fixture.website,
+      company_id: fixture.companyId,
+      company_name: fixture.companyName,
       analysis_type: 'full_analysis'
     };
 
@@ -106,7 +285,7 @@ class PerformanceTestSuite {
     const response = http.post(
       `${this.baseUrl}/api/v1/analyze/website`,
       JSON.stringify(testData),
-      { headers, timeout: '30s' }
+      { headers, timeout: '30s', tags: { endpoint: '/api/v1/analyze/website' } }
     );
 
     const analysisTime = Date.now() - startTime;
@@ -142,6 +321,7 @@ class PerformanceTestSuite {
    * Database Performance Testing
    */
   testDatabaseQueries() {
+    const fixture = this.nextFixture();
     const queryTests = [
       // Test complex prospect search
       {
@@ -157,7 +337,7 @@ class PerformanceTestSuite {
       {
         endpoint: '/api/v1/reports/generate',
         payload: {
-          company_id: 'test-company-uuid',
+          company_id: fixture.companyId,
           report_type: 'automation_assessment'
         }
       },
@@ -179,7 +359,8 @@ class PerformanceTestSuite {
           headers: {
             'Authorization': `Bearer ${this.apiKey}`,
             'Content-Type': 'application/json'
-          }
+          },
+          tags: { endpoint: test.endpoint }
         }
       );
 
@@ -194,33 +375,41 @@ class PerformanceTestSuite {
    * n8n Workflow Load Testing
    */
   testWorkflowEndpoints() {
+    const fixture = this.nextFixture();
     const workflows = [
       {
         name: 'website-scraper',
         endpoint: '/webhook/analyze-website',
-        payload: { url: 'https://test-company.example.com' }
+        payload: { url: fixture.website, company_id: fixture.companyId, tenant_id: fixture.tenantId }
       },
       {
         name: 'automation-opportunity',
         endpoint: '/webhook/detect-opportunities',
-        payload: { company_id: 'test-uuid-123' }
+        payload: { company_id: fixture.companyId, analysis_id: fixture.analysisId, tenant_id: fixture.tenantId }
       },
       {
         name: 'report-generation',
         endpoint: '/webhook/generate-report',
-        payload: { company_id: 'test-uuid-123', report_type: 'full' }
+        payload: {
+          company_id: fixture.companyId,
+          analysis_id: fixture.analysisId,
+          opportunity_id: fixture.opportunityIds[0],
+          tenant_id: fixture.tenantId,
+          report_type: 'full'
+        }
       }
     ];
 
     workflows.forEach(workflow => {
       const response = http.post(
-        `${process.env.N8N_WEBHOOK_URL}${workflow.endpoint}`,
+        `${env.N8N_WEBHOOK_URL}${workflow.endpoint}`,
         JSON.stringify(workflow.payload),
         {
           headers: {
             'Content-Type': 'application/json',
-            'X-API-Key': process.env.N8N_API_KEY
-          }
+            'X-API-Key': env.N8N_API_KEY
+          },
+          tags: { endpoint: workflow.endpoint }
         }
       );
 
@@ -236,53 +425,80 @@ class PerformanceTestSuite {
  * Security Testing Suite - OWASP Top 10 and Penetration Testing
  */
 class SecurityTestSuite {
-  constructor() {
-    this.baseUrl = process.env.API_BASE_URL || 'https://api.prospect-intelligence.com';
-    this.webappUrl = process.env.WEBAPP_URL || 'https://app.prospect-intelligence.com';
+  constructor(options = {}) {
+    this.baseUrl = env.API_BASE_URL || 'https://api.prospect-intelligence.com';
+    this.webappUrl = env.WEBAPP_URL || 'https://app.prospect-intelligence.com';
+
+    this.sessionCookie = env.SESSION_COOKIE;
+
+    // Tenant/role identities for authenticated and cross-tenant testing
+    this.credentialProfiles = options.credentialProfiles
+      || CredentialProfiles.fromConfig(credentialProfileConfig, env, this.baseUrl);
+    this.activeProfile = null;
   }
 
   /**
    * OWASP Top 10 Security Tests
+   * With an active profile only the tests that exercise authenticated handlers are run
    */
   runOWASPTests() {
     const owaspTests = [
-      this.testSQLInjection,
-      this.testXSS,
-      this.testAuthenticationBypass,
-      this.testInsecureDirectObjectReferences,
-      this.testSecurityMisconfiguration,
-      this.testSensitiveDataExposure,
-      this.testAccessControlFlaws,
-      this.testCSRF,
-      this.testInsecureComponents,
-      this.testUnvalidatedRedirects
+      { test: this.testSQLInjection, severity: 'critical', authenticated: true },
+      { test: this.testXSS, severity: 'high', authenticated: true },
+      { test: this.testAuthenticationBypass, severity: 'critical', authenticated: false },
+      { test: this.testInsecureDirectObjectReferences, severity: 'high', authenticated: true },
+      { test: this.testSecurityMisconfiguration, severity: 'medium', authenticated: false },
+      { test: this.testSensitiveDataExposure, severity: 'high', authenticated: true },
+      { test: this.testAccessControlFlaws, severity: 'critical', authenticated: false },
+      { test: this.testCSRF, severity: 'medium', authenticated: false },
+      { test: this.testInsecureComponents, severity: 'high', authenticated: false },
+      { test: this.testUnvalidatedRedirects, severity: 'medium', authenticated: false }
     ];
 
     const results = [];
-    owaspTests.forEach((test, index) => {
-      try {
-        const result = test.call(this);
-        results.push({
-          test: `OWASP-${index + 1}`,
-          name: test.name,
-          passed: result.passed,
-          details: result.details
-        });
+    owaspTests.forEach(({ test, severity, authenticated }, index) => {
+      if (this.activeProfile && !authenticated) return;
+
+      const result = runSecurityTest(this, test, {
+        test: `OWASP-${index + 1}`,
+        name: test.name,
+        severity
+      });
+
+      results.push(result);
+      if (result.status === TEST_STATUS.PASSED || result.status === TEST_STATUS.FAILED) {
         securityTestsRate.add(result.passed ? 1 : 0);
-      } catch (error) {
-        results.push({
-          test: `OWASP-${index + 1}`,
-          name: test.name,
-          passed: false,
-          error: error.message
-        });
-        securityTestsRate.add(0);
       }
     });
 
     return results;
   }
 
+  /**
+   * Run the OWASP tests anonymously and then as every credential profile
+   */
+  runOWASPTestsAsProfiles() {
+    const runs = [{ profile: 'anonymous', tenant: null, role: null, results: this.runOWASPTests() }];
+
+    this.credentialProfiles.profiles.forEach(profile => {
+      const run = { profile: profile.name, tenant: profile.tenant, role: profile.role, results: [] };
+
+      try {
+        this.credentialProfiles.login(profile);
+        this.activeProfile = profile;
+        run.results = this.runOWASPTests();
+      } catch (error) {
+        run.error = error.message;
+      } finally {
+        this.activeProfile = null;
+      }
+
+      runs.push(run);
+    });
+
+    return runs;
+  }
+
   /**
    * A1: SQL Injection Testing
    */
@@ -300,7 +516,8 @@ class SecurityTestSuite {
     sqlPayloads.forEach(payload => {
       // Test API endpoints
       const searchResponse = http.get(
-        `${this.baseUrl}/api/v1/prospects/search?query=${encodeURIComponent(payload)}`
+        `${this.baseUrl}/api/v1/prospects/search?query=${encodeURIComponent(payload)}`,
+        this.requestParams()
       );
 
       // Check for SQL injection indicators
@@ -356,9 +573,9 @@ class SecurityTestSuite {
           name: payload,
           website: `https://test.com/${payload}`
         }),
-        {
+        this.requestParams({
           headers: { 'Content-Type': 'application/json' }
-        }
+        })
       );
 
       // Check if payload is reflected without encoding
@@ -441,7 +658,7 @@ class SecurityTestSuite {
 
     objectIds.forEach(id => {
       // Test accessing other users' data
-      const response = http.get(`${this.baseUrl}/api/v1/companies/${id}`);
+      const response = http.get(`${this.baseUrl}/api/v1/companies/${id}`, this.requestParams());
       
       // Should return 404 or 403 for invalid/unauthorized access
       if (response.status === 200) {
@@ -498,10 +715,11 @@ class SecurityTestSuite {
         const headers = response.headers;
         const missingHeaders = [];
         
-        if (!headers['X-Content-Type-Options']) missingHeaders.push('X-Content-Type-Options');
-        if (!headers['X-Frame-Options']) missingHeaders.push('X-Frame-Options');
-        if (!headers['X-XSS-Protection']) missingHeaders.push('X-XSS-Protection');
-        if (!headers['Strict-Transport-Security']) missingHeaders.push('Strict-Transport-Security');
+        // k6 canonicalises header names (X-Xss-Protection), so look them up case-insensitively
+        if (!getHeader(headers, 'X-Content-Type-Options')) missingHeaders.push('X-Content-Type-Options');
+        if (!getHeader(headers, 'X-Frame-Options')) missingHeaders.push('X-Frame-Options');
+        if (!getHeader(headers, 'X-XSS-Protection')) missingHeaders.push('X-XSS-Protection');
+        if (!getHeader(headers, 'Strict-Transport-Security')) missingHeaders.push('Strict-Transport-Security');
         
         if (missingHeaders.length > 0) {
           vulnerabilityFound = true;
@@ -522,12 +740,12 @@ class SecurityTestSuite {
   testSensitiveDataExposure() {
     const dataTests = [
       // Test for exposed configuration
-      () => http.get(`${this.baseUrl}/.git/config`),
-      () => http.get(`${this.baseUrl}/backup.sql`),
-      () => http.get(`${this.baseUrl}/api/v1/config`),
+      () => http.get(`${this.baseUrl}/.git/config`, this.requestParams()),
+      () => http.get(`${this.baseUrl}/backup.sql`, this.requestParams()),
+      () => http.get(`${this.baseUrl}/api/v1/config`, this.requestParams()),
       
       // Test for data in error messages
-      () => http.get(`${this.baseUrl}/api/v1/nonexistent`),
+      () => http.get(`${this.baseUrl}/api/v1/nonexistent`, this.requestParams()),
     ];
 
     let vulnerabilityFound = false;
@@ -567,26 +785,296 @@ class SecurityTestSuite {
   }
 
   /**
-   * Additional security tests (A7-A10) following similar patterns
+   * A7: Broken Access Control
+   * Horizontal: every tenant's companies, reports and Instantly integrations probed from every other tenant's profiles
+   * Vertical: non-admin roles must not reach admin endpoints
    */
   testAccessControlFlaws() {
-    // Implementation for access control testing
-    return { passed: true, details: [] };
+    const tenants = this.credentialProfiles.getTenants();
+    if (tenants.length < 2) {
+      throw new Error('Credential profiles for at least two tenants are required for cross-tenant access testing');
+    }
+
+    let vulnerabilityFound = false;
+    let probedResources = 0;
+    const testResults = [];
+
+    tenants.forEach(ownerTenant => {
+      const owner = this.credentialProfiles.byTenant(ownerTenant)[0];
+
+      TENANT_SCOPED_RESOURCES.forEach(resource => {
+        const resourceId = this.findResourceId(resource, owner);
+        const resourceUrl = `${this.baseUrl}${resource.path}/${resourceId}`;
+
+        // The owning tenant must be able to read the record, otherwise the probe proves nothing
+        if (!resourceId || http.get(resourceUrl, { headers: this.credentialProfiles.authHeaders(owner) }).status !== 200) {
+          testResults.push({ resource: resource.name, tenant: ownerTenant, issue: 'No readable record available to probe' });
+          return;
+        }
+
+        probedResources++;
+
+        this.credentialProfiles.otherTenantProfiles(ownerTenant).forEach(profile => {
+          const headers = this.credentialProfiles.authHeaders(profile);
+
+          // Writes use an empty patch so a vulnerable API is not actually modified
+          const crossTenantTests = [
+            { probe: 'read', request: () => http.get(resourceUrl, { headers }) },
+            { probe: 'empty_patch', request: () => http.patch(resourceUrl, JSON.stringify({}), { headers }) },
+            { probe: 'tenant_override_param', request: () => http.get(`${resourceUrl}?tenant_id=override`, { headers }) }
+          ];
+
+          crossTenantTests.forEach(test => {
+            const response = test.request();
+
+            // Other tenants must get 403 or 404
+            if (response.status >= 200 && response.status < 300) {
+              vulnerabilityFound = true;
+              testResults.push({
+                probe: test.probe,
+                resource: resource.name,
+                resource_id: resourceId,
+                owner_tenant: ownerTenant,
+                profile: profile.name,
+                role: profile.role,
+                response_status: response.status,
+                vulnerability: `Cross-tenant access to ${resource.name} record`
+              });
+            }
+          });
+        });
+      });
+    });
+
+    if (probedResources === 0) {
+      throw new Error('No tenant-scoped records found to probe for cross-tenant access');
+    }
+
+    this.credentialProfiles.profiles
+      .filter(profile => profile.role !== 'admin')
+      .forEach(profile => {
+        const response = http.get(`${this.baseUrl}/api/v1/admin/users`, { headers: this.credentialProfiles.authHeaders(profile) });
+
+        if (response.status >= 200 && response.status < 300) {
+          vulnerabilityFound = true;
+          testResults.push({
+            profile: profile.name,
+            role: profile.role,
+            response_status: response.status,
+            vulnerability: 'Non-admin role reached admin endpoint'
+          });
+        }
+      });
+
+    return {
+      passed: !vulnerabilityFound,
+      details: testResults
+    };
   }
 
+  /**
+   * A8: Cross-Site Request Forgery - Origin, CSRF token and SameSite validation
+   */
   testCSRF() {
-    // Implementation for CSRF testing
-    return { passed: true, details: [] };
+    const forgedOrigin = 'https://evil.example.com';
+    const stateChangingRoutes = [
+      { method: 'POST', path: '/api/v1/companies', body: { name: 'CSRF Probe', website: 'https://csrf-probe.example.com' } },
+      { method: 'POST', path: '/api/v1/reports/generate', body: { company_id: 'csrf-probe', report_type: 'automation_assessment' } },
+      { method: 'PUT', path: '/api/v1/users/me', body: { display_name: 'CSRF Probe' } }
+    ];
+
+    let vulnerabilityFound = false;
+    const testResults = [];
+
+    stateChangingRoutes.forEach(route => {
+      const url = `${this.baseUrl}${route.path}`;
+      const cookieHeaders = this.sessionCookie ? { 'Cookie': this.sessionCookie } : {};
+
+      const probes = [
+        // Cross-site form post riding the session cookie
+        { issue: 'Forged Origin accepted', headers: { ...cookieHeaders, 'Origin': forgedOrigin, 'Referer': `${forgedOrigin}/` } },
+        // Same-origin request that omits the CSRF token
+        { issue: 'Missing CSRF token accepted', headers: { ...cookieHeaders, 'Origin': this.webappUrl } }
+      ];
+
+      probes.forEach(probe => {
+        const response = http.request(route.method, url, JSON.stringify(route.body), {
+          headers: { 'Content-Type': 'application/json', ...probe.headers }
+        });
+
+        if (response.status >= 200 && response.status < 300) {
+          vulnerabilityFound = true;
+          testResults.push({
+            route: `${route.method} ${route.path}`,
+            issue: probe.issue,
+            session_cookie_sent: Boolean(this.sessionCookie),
+            response_status: response.status
+          });
+        }
+      });
+    });
+
+    // Session cookies must be SameSite and Secure
+    [`${this.webappUrl}/`, `${this.webappUrl}/login`, `${this.baseUrl}/api/v1/health`].forEach(url => {
+      const response = http.get(url, { redirects: 0 });
+
+      parseSetCookieHeader(response.headers['Set-Cookie']).forEach(cookie => {
+        const missingAttributes = [];
+        if (!cookie.sameSite || cookie.sameSite === 'none') missingAttributes.push('SameSite=Lax|Strict');
+        if (!cookie.secure) missingAttributes.push('Secure');
+
+        if (missingAttributes.length > 0) {
+          vulnerabilityFound = true;
+          testResults.push({
+            url,
+            cookie: cookie.name,
+            missing_attributes: missingAttributes
+          });
+        }
+      });
+    });
+
+    return {
+      passed: !vulnerabilityFound,
+      details: testResults
+    };
   }
 
+  /**
+   * A9: Using Components with Known Vulnerabilities - header fingerprinting against the local feed
+   */
   testInsecureComponents() {
-    // Implementation for component security testing
-    return { passed: true, details: [] };
+    if (!vulnerabilityFeed) {
+      throw new Error('Vulnerability feed not found (set VULNERABILITY_FEED_PATH)');
+    }
+
+    const fingerprintHeaders = ['Server', 'X-Powered-By', 'X-AspNet-Version', 'X-AspNetMvc-Version', 'X-Generator', 'Via'];
+    const fingerprints = [];
+
+    [`${this.baseUrl}/api/v1/health`, `${this.webappUrl}/`].forEach(url => {
+      const response = http.get(url);
+
+      fingerprintHeaders.forEach(header => {
+        const value = getHeader(response.headers, header);
+        if (!value) return;
+
+        parseComponentFingerprints(value).forEach(component => {
+          fingerprints.push({ url, header, ...component });
+        });
+      });
+    });
+
+    let vulnerabilityFound = false;
+    const testResults = [];
+
+    fingerprints.forEach(component => {
+      vulnerabilityFeed.vulnerabilities
+        .filter(entry => entry.product.toLowerCase() === component.product.toLowerCase())
+        .filter(entry => component.version && versionSatisfies(component.version, entry.affected))
+        .forEach(entry => {
+          vulnerabilityFound = true;
+          testResults.push({
+            url: component.url,
+            component: `${component.product}/${component.version}`,
+            cve: entry.cve,
+            severity: entry.severity,
+            summary: entry.summary
+          });
+        });
+
+      // Version disclosure is reported even when the version is not known-vulnerable
+      if (component.version) {
+        testResults.push({
+          url: component.url,
+          component: `${component.product}/${component.version}`,
+          issue: `Version disclosed in ${component.header} header`
+        });
+      }
+    });
+
+    return {
+      passed: !vulnerabilityFound,
+      details: testResults
+    };
   }
 
+  /**
+   * A10: Unvalidated Redirects - open-redirect fuzzing of redirect parameters
+   */
   testUnvalidatedRedirects() {
-    // Implementation for redirect testing
-    return { passed: true, details: [] };
+    const redirectParams = ['redirect', 'next', 'returnUrl'];
+    const redirectEndpoints = [
+      `${this.webappUrl}/login`,
+      `${this.webappUrl}/logout`,
+      `${this.baseUrl}/api/v1/auth/callback`
+    ];
+    const attackerHost = 'evil.example.com';
+    const redirectPayloads = [
+      `https://${attackerHost}`,
+      `//${attackerHost}`,
+      `/\\${attackerHost}`,
+      `https:/\\${attackerHost}`,
+      `%2F%2F${attackerHost}`,
+      `${this.webappUrl}@${attackerHost}`,
+      `${this.webappUrl}.${attackerHost}`
+    ];
+
+    let vulnerabilityFound = false;
+    const testResults = [];
+
+    redirectEndpoints.forEach(endpoint => {
+      redirectParams.forEach(param => {
+        redirectPayloads.forEach(payload => {
+          const response = http.get(`${endpoint}?${param}=${encodeURIComponent(payload)}`, { redirects: 0 });
+          const location = response.headers['Location'];
+          const redirectHost = location && extractHost(location);
+
+          if (redirectHost && (redirectHost === attackerHost || redirectHost.endsWith(`.${attackerHost}`))) {
+            vulnerabilityFound = true;
+            testResults.push({
+              endpoint,
+              parameter: param,
+              payload,
+              location,
+              response_status: response.status
+            });
+          }
+        });
+      });
+    });
+
+    return {
+      passed: !vulnerabilityFound,
+      details: testResults
+    };
+  }
+
+  /**
+   * Find a record of a tenant-scoped resource visible to the given profile
+   */
+  findResourceId(resource, profile) {
+    const response = http.get(`${this.baseUrl}${resource.path}?limit=1`, { headers: this.credentialProfiles.authHeaders(profile) });
+    if (response.status !== 200) return null;
+
+    try {
+      const body = JSON.parse(response.body);
+      const records = Array.isArray(body) ? body : (body.data || body[resource.name] || []);
+      return records.length > 0 ? records[0].id : null;
+    } catch (e) {
+      return null;
+    }
+  }
+
+  /**
+   * Request params for the active profile (anonymous when no profile is active)
+   */
+  requestParams(params = {}) {
+    const authHeaders = this.activeProfile ? this.credentialProfiles.authHeaders(this.activeProfile) : {};
+
+    return {
+      ...params,
+      headers: { ...authHeaders, ...params.headers }
+    };
   }
 }
 
@@ -596,10 +1084,10 @@ class SecurityTestSuite {
 class InfrastructureSecurityTests {
   constructor() {
     this.targets = {
-      api: process.env.API_BASE_URL,
-      webapp: process.env.WEBAPP_URL,
-      database: process.env.DB_HOST,
-      storage: process.env.STORAGE_URL
+      api: env.API_BASE_URL,
+      webapp: env.WEBAPP_URL,
+      database: env.DB_HOST,
+      storage: env.STORAGE_URL
     };
   }
 
@@ -608,27 +1096,17 @@ class InfrastructureSecurityTests {
    */
   testNetworkSecurity() {
     const networkTests = [
-      this.testTLSConfiguration,
-      this.testPortSecurity,
-      this.testFirewallRules,
-      this.testDNSSecurity
+      { test: this.testTLSConfiguration, severity: 'high' },
+      { test: this.testPortSecurity, severity: 'high' },
+      { test: this.testFirewallRules, severity: 'high' },
+      { test: this.testDNSSecurity, severity: 'medium' }
     ];
 
-    const results = [];
-    networkTests.forEach(test => {
-      try {
-        const result = test.call(this);
-        results.push(result);
-      } catch (error) {
-        results.push({
-          test: test.name,
-          passed: false,
-          error: error.message
-        });
-      }
-    });
-
-    return results;
+    return networkTests.map(({ test, severity }) => runSecurityTest(this, test, {
+      test: test.name,
+      name: test.name,
+      severity
+    }));
   }
 
   /**
@@ -654,33 +1132,207 @@ class InfrastructureSecurityTests {
   }
 
   testPortSecurity() {
-    // Port scanning simulation
+    // Port scanning is not possible from the k6 runtime
     return {
       test: 'Port Security',
-      passed: true,
-      details: 'Only required ports (80, 443) are accessible'
+      status: TEST_STATUS.NOT_IMPLEMENTED,
+      details: 'Port exposure (only 80/443) is not verified by this suite'
     };
   }
 
   testFirewallRules() {
-    // Firewall rule validation
+    // Firewall rules live in azure-security-infrastructure.json and are not probed here
     return {
       test: 'Firewall Rules',
-      passed: true,
-      details: 'Firewall properly configured'
+      status: TEST_STATUS.NOT_IMPLEMENTED,
+      details: 'Firewall configuration is not verified by this suite'
     };
   }
 
   testDNSSecurity() {
-    // DNS security validation
+    // DNS security validation (DNSSEC, CAA) needs a resolver client k6 does not provide
     return {
       test: 'DNS Security',
-      passed: true,
-      details: 'DNS configuration secure'
+      status: TEST_STATUS.NOT_IMPLEMENTED,
+      details: 'DNS configuration is not verified by this suite'
     };
   }
 }
 
+/**
+ * Security test helpers
+ */
+function runSecurityTest(suite, test, metadata) {
+  let outcome;
+  let status;
+
+  try {
+    outcome = test.call(suite);
+    status = outcome.status || (outcome.passed ? TEST_STATUS.PASSED : TEST_STATUS.FAILED);
+  } catch (error) {
+    outcome = { error: error.message };
+    status = TEST_STATUS.ERRORED;
+  }
+
+  return {
+    ...metadata,
+    ...(outcome.test ? { test: outcome.test } : {}),
+    status,
+    passed: status === TEST_STATUS.PASSED,
+    details: outcome.details,
+    ...(outcome.error ? { error: outcome.error } : {})
+  };
+}
+
+/**
+ * Load a JSON file from the k6 init context (or Node); a missing bundled default returns null, but a
+ * path configured through configName must load or the run fails instead of reporting coverage without it
+ */
+function loadJsonFile(filePath, configName) {
+  try {
+    const raw = typeof open === 'function'
+      ? open(filePath)
+      : require('fs').readFileSync(require('path').resolve(__dirname, filePath), 'utf8');
+    return JSON.parse(raw);
+  } catch (error) {
+    if (configName) {
+      throw new Error(`${configName} could not be loaded from ${filePath}: ${error.message}`);
+    }
+    return null;
+  }
+}
+
+function getHeader(headers, name) {
+  const key = Object.keys(headers || {}).find(candidate => candidate.toLowerCase() === name.toLowerCase());
+  return key ? headers[key] : undefined;
+}
+
+function parseSetCookieHeader(header) {
+  if (!header) return [];
+
+  // k6 folds repeated Set-Cookie headers into one comma-separated value
+  return String(header)
+    .split(/,(?=\s*[^;,=\s]+=)/)
+    .map(cookie => {
+      const [pair, ...attributes] = cookie.split(';').map(part => part.trim());
+      const parsed = { name: pair.split('=')[0], secure: false, sameSite: null };
+
+      attributes.forEach(attribute => {
+        const [key, value] = attribute.split('=');
+        if (key.toLowerCase() === 'secure') parsed.secure = true;
+        if (key.toLowerCase() === 'samesite') parsed.sameSite = (value || '').toLowerCase();
+      });
+
+      return parsed;
+    });
+}
+
+function parseComponentFingerprints(headerValue) {
+  // e.g. "nginx/1.18.0", "Apache/2.4.49 (Unix) OpenSSL/1.1.1k", "Express"
+  return String(headerValue)
+    .split(/[\s,]+/)
+    .filter(token => /^[A-Za-z][\w.-]*(\/[\w.-]+)?$/.test(token))
+    .map(token => {
+      const [product, version] = token.split('/');
+      return { product, version: version || null };
+    });
+}
+
+function extractHost(location) {
+  const normalized = String(location).trim().replace(/\\/g, '/');
+  const match = normalized.match(/^(?:[a-z][a-z0-9+.-]*:)?\/\/+(?:[^@\/?#]*@)?([^\/?#:]+)/i);
+  return match ? match[1].toLowerCase() : null;
+}
+
+function compareVersions(a, b) {
+  const left = String(a).split('.').map(part => parseInt(part, 10) || 0);
+  const right = String(b).split('.').map(part => parseInt(part, 10) || 0);
+
+  for (let i = 0; i < Math.max(left.length, right.length); i++) {
+    const diff = (left[i] || 0) - (right[i] || 0);
+    if (diff !== 0) return diff;
+  }
+  return 0;
+}
+
+function versionSatisfies(version, range) {
+  // Space-separated comparators, all of which must match: ">=0.6.18 <1.20.1", "=2.4.49"
+  return String(range).split(/\s+/).filter(Boolean).every(comparator => {
+    const [, operator, target] = comparator.match(/^(<=|>=|<|>|=)?(.+)$/);
+    const diff = compareVersions(version, target);
+
+    switch (operator) {
+      case '<': return diff < 0;
+      case '<=': return diff <= 0;
+      case '>': return diff > 0;
+      case '>=': return diff >= 0;
+      default: return diff === 0;
+    }
+  });
+}
+
+/**
+ * Write the factory dataset through the fixtures endpoint before load starts
+ * TEST_DATA_SEED_MODE=endpoint|none; /api/v1/test-fixtures only exists on mock-api-server.js, so the default
+ * is endpoint for local base URLs and none (rows loaded with `node test-data-factory.js sql`) everywhere else
+ */
+function seedTestData() {
+  if (testDataSeedMode() === 'none') {
+    console.log(`Test data not seeded through ${fixturesBaseUrl()} - load it with: node test-data-factory.js sql`);
+    return { seeded: false, tenantIds: testDataFactory.getTenantIds() };
+  }
+
+  // Rows left behind by an aborted run with the same seed would collide on primary keys
+  cleanupTestData({ seeded: true, tenantIds: testDataFactory.getTenantIds() });
+
+  const dataset = testDataFactory.build();
+  const response = http.post(`${fixturesBaseUrl()}/api/v1/test-fixtures`, JSON.stringify(dataset), {
+    headers: fixturesHeaders(),
+    timeout: '120s',
+    tags: { endpoint: '/api/v1/test-fixtures' }
+  });
+
+  if (response.status !== 200 && response.status !== 201) {
+    // Running without seeded rows would only measure 404 paths
+    throw new Error(`Test data seeding failed with HTTP ${response.status}: ${String(response.body).slice(0, 200)}`);
+  }
+
+  console.log(`Seeded ${dataset.tenants.length} tenants, ${dataset.companies.length} companies, ${dataset.automation_opportunities.length} opportunities`);
+  return { seeded: true, tenantIds: testDataFactory.getTenantIds() };
+}
+
+/**
+ * Remove seeded tenants; companies, analyses and opportunities cascade with them
+ */
+function cleanupTestData(testData) {
+  if (!testData || !testData.seeded) return;
+
+  const response = http.del(`${fixturesBaseUrl()}/api/v1/test-fixtures`, JSON.stringify({ tenant_ids: testData.tenantIds }), {
+    headers: fixturesHeaders(),
+    tags: { endpoint: '/api/v1/test-fixtures' }
+  });
+
+  if (response.status >= 400 && response.status !== 404) {
+    console.warn(`Test data cleanup failed with HTTP ${response.status} - remove with: node test-data-factory.js cleanup-sql`);
+  }
+}
+
+function testDataSeedMode() {
+  if (env.TEST_DATA_SEED_MODE) return env.TEST_DATA_SEED_MODE;
+  return /^https?:\/\/(localhost|127\.0\.0\.1|\[::1\])(:\d+)?(\/|$)/i.test(fixturesBaseUrl()) ? 'endpoint' : 'none';
+}
+
+function fixturesBaseUrl() {
+  return env.TEST_FIXTURES_URL || env.API_BASE_URL || 'https://api.prospect-intelligence.com';
+}
+
+function fixturesHeaders() {
+  return {
+    'Authorization': `Bearer ${env.TEST_FIXTURES_API_KEY || env.API_KEY}`,
+    'Content-Type': 'application/json'
+  };
+}
+
 /**
  * Main Test Execution Function
  */
@@ -702,46 +1354,120 @@ function executeTestSuite(testType = 'all') {
   if (testType === 'performance' || testType === 'all') {
     console.log('Running performance tests...');
     
-    // Configure k6 options based on test type
-    if (__ENV.TEST_SCENARIO === 'load') {
-      exports.options = performanceTest.getLoadTestOptions();
-    } else if (__ENV.TEST_SCENARIO === 'stress') {
-      exports.options = performanceTest.getStressTestOptions();
-    }
+    // k6 reads options at init time, so profiles are declared by k6-scenarios.js;
+    // record the scenario plan that entry module runs for the selected profile
+    const scenario = env.TEST_SCENARIO || 'smoke';
+    const scenarioOptions = performanceTest.getScenarioOptions(scenario);
 
-    // Execute performance tests
     testResults.results.performance = {
-      api_tests: [],
-      database_tests: [],
-      workflow_tests: []
+      scenario,
+      entry_module: 'k6-scenarios.js',
+      scenarios: Object.keys(scenarioOptions.scenarios),
+      thresholds: scenarioOptions.thresholds
     };
   }
 
   if (testType === 'security' || testType === 'all') {
     console.log('Running security tests...');
     
-    const owaspResults = securityTest.runOWASPTests();
+    const owaspRuns = securityTest.runOWASPTestsAsProfiles();
+    const owaspResults = mergeProfileResults(owaspRuns);
     const infraResults = infraTest.testNetworkSecurity();
     
     testResults.results.security = {
       owasp_tests: owaspResults,
+      profile_runs: owaspRuns.map(run => ({ profile: run.profile, tenant: run.tenant, role: run.role, error: run.error })),
+      profile_divergences: compareProfileResults(owaspRuns),
       infrastructure_tests: infraResults,
-      overall_security_score: calculateSecurityScore(owaspResults, infraResults)
+      overall_security_score: calculateSecurityScore(owaspResults, infraResults),
+      coverage: calculateSecurityCoverage(owaspResults, infraResults)
     };
   }
 
   return testResults;
 }
 
+/**
+ * Merge per-profile OWASP runs into one verdict per test
+ * A test fails if it failed for any profile; profile statuses are kept for drill-down
+ */
+function mergeProfileResults(runs) {
+  const merged = {};
+
+  runs.forEach(run => {
+    run.results.forEach(result => {
+      const entry = merged[result.test] || { ...result, details: [], profiles: {} };
+      entry.profiles[run.profile] = result.status;
+
+      if (result.status === TEST_STATUS.FAILED) {
+        entry.details = entry.details.concat((result.details || []).map(detail => ({ profile: run.profile, ...detail })));
+      }
+
+      merged[result.test] = entry;
+    });
+  });
+
+  const statusPrecedence = [TEST_STATUS.FAILED, TEST_STATUS.PASSED, TEST_STATUS.ERRORED, TEST_STATUS.NOT_IMPLEMENTED];
+
+  return Object.keys(merged).map(test => {
+    const entry = merged[test];
+    const statuses = Object.keys(entry.profiles).map(profile => entry.profiles[profile]);
+    const status = statusPrecedence.find(candidate => statuses.includes(candidate));
+
+    return { ...entry, status, passed: status === TEST_STATUS.PASSED };
+  });
+}
+
+/**
+ * Tests whose pass/fail verdict differs between profiles (e.g. passes as admin, fails as user)
+ */
+function compareProfileResults(runs) {
+  return mergeProfileResults(runs)
+    .filter(result => {
+      const verdicts = Object.keys(result.profiles)
+        .map(profile => result.profiles[profile])
+        .filter(status => status === TEST_STATUS.PASSED || status === TEST_STATUS.FAILED);
+      return new Set(verdicts).size > 1;
+    })
+    .map(result => ({ test: result.test, name: result.name, profiles: result.profiles }));
+}
+
 /**
  * Calculate overall security score
+ * Severity-weighted share of passed tests; not_implemented and errored tests are excluded
+ * and surface through calculateSecurityCoverage instead. Returns null when nothing was scored.
  */
 function calculateSecurityScore(owaspResults, infraResults) {
-  const totalTests = owaspResults.length + infraResults.length;
-  const passedTests = owaspResults.filter(r => r.passed).length + 
-                     infraResults.filter(r => r.passed).length;
+  const scoredTests = owaspResults.concat(infraResults)
+    .filter(r => r.status === TEST_STATUS.PASSED || r.status === TEST_STATUS.FAILED);
+
+  const weightOf = r => SEVERITY_WEIGHTS[r.severity] || SEVERITY_WEIGHTS.medium;
+  const totalWeight = scoredTests.reduce((sum, r) => sum + weightOf(r), 0);
+  const passedWeight = scoredTests.filter(r => r.passed).reduce((sum, r) => sum + weightOf(r), 0);
+
+  if (totalWeight === 0) return null;
   
-  return Math.round((passedTests / totalTests) * 100);
+  return Math.round((passedWeight / totalWeight) * 100);
+}
+
+/**
+ * Report coverage gaps - tests that did not produce a pass/fail verdict
+ */
+function calculateSecurityCoverage(owaspResults, infraResults) {
+  const allTests = owaspResults.concat(infraResults);
+  const gap = r => ({ test: r.test, name: r.name, severity: r.severity, reason: r.error || r.details });
+
+  const notImplemented = allTests.filter(r => r.status === TEST_STATUS.NOT_IMPLEMENTED).map(gap);
+  const errored = allTests.filter(r => r.status === TEST_STATUS.ERRORED).map(gap);
+  const scored = allTests.length - notImplemented.length - errored.length;
+
+  return {
+    total_tests: allTests.length,
+    scored_tests: scored,
+    coverage_percent: allTests.length > 0 ? Math.round((scored / allTests.length) * 100) : 0,
+    not_implemented: notImplemented,
+    errored
+  };
 }
 
 /**
@@ -761,25 +1487,42 @@ exports.default = function() {
 exports.setup = function() {
   console.log('Setting up performance test environment...');
   // Warm up the system
-  http.get(`${__ENV.API_BASE_URL}/api/v1/health`);
+  http.get(`${env.API_BASE_URL}/api/v1/health`);
+
+  return { testData: seedTestData() };
 };
 
 exports.teardown = function(data) {
-  console.log('Test completed. Generating report...');
-  // Generate test report
-  const testSummary = {
-    total_requests: apiCalls.count,
-    error_rate: errorRate.rate,
-    avg_response_time: data.avg_response_time || 'N/A'
-  };
-  
-  console.log('Test Summary:', JSON.stringify(testSummary, null, 2));
+  cleanupTestData(data && data.testData);
+  console.log('Test completed. Reports are written by handleSummary.');
+};
+
+/**
+ * Write JSON, JUnit XML and SARIF artifacts from the end-of-test summary
+ */
+exports.handleSummary = function(data) {
+  const reportGenerator = new TestReportGenerator({
+    environment: env.TEST_ENV || 'staging',
+    scenario: env.TEST_SCENARIO || 'smoke',
+    targetUrl: env.API_BASE_URL,
+    outputDir: env.REPORT_DIR
+  });
+
+  return reportGenerator.generateSummaryOutputs(data, data.setup_data && data.setup_data.security);
 };
 
-// Export for direct execution
-module.exports = {
+// Export for direct execution (merge rather than replace so the k6 lifecycle exports above survive)
+Object.assign(module.exports, {
   PerformanceTestSuite,
   SecurityTestSuite,
   InfrastructureSecurityTests,
-  executeTestSuite
-};
\ No newline at end of file
+  executeTestSuite,
+  seedTestData,
+  cleanupTestData,
+  calculateSecurityScore,
+  calculateSecurityCoverage,
+  mergeProfileResults,
+  compareProfileResults,
+  TEST_STATUS,
+  SEVERITY_WEIGHTS
+});
@@ -0,0 +1,34 @@
+/**
+ * PostgreSQL Connection for Prospect Intelligence Engine telemetry sinks
+ * Builds a pg Pool from the POSTGRES_* settings in n8n-environment-variables.env
+ */
+
+function createPostgresPool(options = {}) {
+  let Pool;
+  try {
+    ({ Pool } = require('pg'));
+  } catch (error) {
+    throw new Error('PostgreSQL sinks require the "pg" package (npm install pg)');
+  }
+
+  const connectionString = options.connectionString || process.env.POSTGRES_CONNECTION_STRING;
+  const ssl = (options.ssl || process.env.POSTGRES_SSL) === 'disable' ? false : { rejectUnauthorized: true };
+
+  if (connectionString) {
+    return new Pool({ connectionString, max: options.max || 5 });
+  }
+
+  return new Pool({
+    host: options.host || process.env.POSTGRES_HOST,
+    port: Number(options.port || process.env.POSTGRES_PORT || 5432),
+    database: options.database || process.env.POSTGRES_DATABASE,
+    user: options.user || process.env.POSTGRES_USERNAME,
+    password: options.password || process.env.POSTGRES_PASSWORD,
+    ssl,
+    max: options.max || 5
+  });
+}
+
+module.exports = {
+  createPostgresPool
+};
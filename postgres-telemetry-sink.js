@@ -0,0 +1,384 @@
+/**
+ * PostgreSQL Telemetry Sink for Prospect Intelligence Engine
+ * Mirrors workflow executions, OpenAI usage and performance counters into the
+ * workflow_executions, api_usage_logs and performance_metrics tables for SQL reporting
+ * Rows are queued per table and written in multi-row batches with retry;
+ * when a queue is full new rows are dropped and reported instead of growing memory
+ */
+
+const { createPostgresPool } = require('./postgres-connection');
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const WORKFLOW_STATUSES = ['running', 'success', 'error', 'canceled', 'waiting', 'unknown'];
+const WORKFLOW_STATUS_ALIASES = { failed: 'error', crashed: 'error', cancelled: 'canceled', new: 'running' };
+
+// Connection failures, serialization failures, deadlocks, too many connections, admin shutdown
+const RETRYABLE_ERROR_CODES = ['40001', '40P01', '53300', '57P01', '57P02', '57P03'];
+const RETRYABLE_SYSTEM_ERRORS = ['ECONNREFUSED', 'ECONNRESET', 'ETIMEDOUT', 'EPIPE', 'ENOTFOUND', 'EAI_AGAIN'];
+
+const TABLE_COLUMNS = {
+  workflow_executions: [
+    'tenant_id', 'workflow_id', 'workflow_name', 'execution_id', 'status', 'started_at', 'finished_at',
+    'duration_ms', 'trigger_type', 'trigger_data', 'error_message', 'error_stack', 'failed_node', 'nodes_executed'
+  ],
+  api_usage_logs: [
+    'tenant_id', 'service_provider', 'api_endpoint', 'model_name', 'request_id', 'operation_type',
+    'prompt_tokens', 'completion_tokens', 'total_tokens', 'response_status', 'response_time_ms', 'cost_usd',
+    'billing_tier', 'company_id', 'workflow_execution_id', 'user_id', 'error_code', 'error_message', 'created_at'
+  ],
+  performance_metrics: [
+    'tenant_id', 'metric_type', 'metric_name', 'metric_value', 'metric_unit', 'dimensions', 'tags',
+    'measurement_time', 'source', 'environment'
+  ]
+};
+const JSON_COLUMNS = ['trigger_data', 'dimensions', 'tags'];
+// Optional links a row can lose when the referenced row does not exist (foreign_key_violation)
+const NULLABLE_REFERENCES = {
+  api_usage_logs: ['company_id', 'workflow_execution_id', 'user_id']
+};
+
+class PostgresTelemetrySink {
+  /**
+   * options.pool            - existing pg Pool (otherwise built from POSTGRES_* settings)
+   * options.defaultTenantId - tenant for rows without one, e.g. performance counters (TELEMETRY_DEFAULT_TENANT_ID)
+   * options.batchSize       - rows per INSERT (TELEMETRY_POSTGRES_BATCH_SIZE, default 100)
+   * options.flushIntervalMs - background flush interval (TELEMETRY_POSTGRES_FLUSH_INTERVAL_MS, default 5s)
+   * options.maxQueueSize    - queued rows per table before new rows are dropped (TELEMETRY_POSTGRES_MAX_QUEUE, default 10000)
+   * options.maxRetries      - attempts per batch on transient errors (default 5, exponential backoff from retryBaseMs)
+   * options.onDrop          - ({ table, reason, count }) callback when rows are dropped
+   * options.redactor        - TelemetryRedactor applied to error messages and stacks before they are stored
+   */
+  constructor(options = {}) {
+    this.pool = options.pool || createPostgresPool(options.postgres);
+    this.ownsPool = !options.pool;
+    this.defaultTenantId = options.defaultTenantId || process.env.TELEMETRY_DEFAULT_TENANT_ID;
+    this.environment = options.environment || process.env.NODE_ENV || 'production';
+    this.source = options.source || 'prospect-intelligence-engine';
+    this.batchSize = options.batchSize || Number(process.env.TELEMETRY_POSTGRES_BATCH_SIZE) || 100;
+    this.flushIntervalMs = options.flushIntervalMs || Number(process.env.TELEMETRY_POSTGRES_FLUSH_INTERVAL_MS) || 5000;
+    this.maxQueueSize = options.maxQueueSize || Number(process.env.TELEMETRY_POSTGRES_MAX_QUEUE) || 10000;
+    this.maxRetries = options.maxRetries || 5;
+    this.retryBaseMs = options.retryBaseMs || 500;
+    this.onDrop = options.onDrop;
+    this.redactor = options.redactor || null;
+
+    this.queues = Object.keys(TABLE_COLUMNS).reduce((queues, table) => ({ ...queues, [table]: [] }), {});
+    this.dropped = {};
+    this.flushing = null;
+    this.timer = null;
+    this.closed = false;
+
+    // Performance counters never carry a tenant; without a default every one of them is dropped
+    if (!this.defaultTenantId || !UUID_PATTERN.test(this.defaultTenantId)) {
+      process.stderr.write('Telemetry sink: TELEMETRY_DEFAULT_TENANT_ID is not a tenant UUID, rows without a tenant (performance counters) will be dropped\n');
+    }
+  }
+
+  /**
+   * Build from a config object, or from TELEMETRY_POSTGRES_SINK=true; returns null when disabled
+   * defaults are applied underneath the config (used by the monitoring class for environment/onDrop)
+   */
+  static fromConfig(config, defaults = {}) {
+    if (config === false) return null;
+    if (!config && process.env.TELEMETRY_POSTGRES_SINK !== 'true') return null;
+
+    return new PostgresTelemetrySink({ ...defaults, ...config });
+  }
+
+  recordWorkflowExecution(workflowData) {
+    const { workflowId, workflowName, executionId, duration, triggerType, companyId, errorDetails, nodeCount, traceparent } = workflowData;
+    const status = normalizeWorkflowStatus(workflowData.status);
+    const startedAt = workflowData.startTime ? new Date(workflowData.startTime) : new Date(Date.now() - (duration || 0));
+    const finished = status !== 'running' && status !== 'waiting';
+
+    return this.enqueue('workflow_executions', {
+      tenant_id: workflowData.tenantId,
+      workflow_id: String(workflowId || workflowName || 'unknown'),
+      workflow_name: workflowName,
+      execution_id: String(executionId !== undefined ? executionId : 'unknown'),
+      status,
+      started_at: startedAt,
+      finished_at: finished ? new Date(startedAt.getTime() + (duration || 0)) : null,
+      duration_ms: duration !== undefined ? Math.round(duration) : null,
+      trigger_type: triggerType,
+      trigger_data: companyId || traceparent ? { companyId, traceparent } : null,
+      error_message: this.redact('errorMessage', errorDetails?.message),
+      error_stack: this.redact('errorStack', errorDetails?.stack),
+      failed_node: errorDetails?.node?.name || errorDetails?.node,
+      nodes_executed: nodeCount
+    });
+  }
+
+  recordApiUsage(usageData, costUSD) {
+    return this.enqueue('api_usage_logs', {
+      tenant_id: usageData.tenantId,
+      service_provider: usageData.serviceProvider || 'azure_openai',
+      api_endpoint: usageData.apiEndpoint || 'chat/completions',
+      model_name: usageData.model,
+      request_id: usageData.requestId,
+      operation_type: usageData.operationType,
+      prompt_tokens: usageData.promptTokens,
+      completion_tokens: usageData.completionTokens,
+      total_tokens: usageData.totalTokens,
+      response_status: usageData.responseStatus,
+      response_time_ms: usageData.responseTime !== undefined ? Math.round(usageData.responseTime) : null,
+      cost_usd: costUSD,
+      billing_tier: usageData.billingTier,
+      company_id: uuidOrNull(usageData.companyId),
+      workflow_execution_id: uuidOrNull(usageData.workflowExecutionId),
+      user_id: uuidOrNull(usageData.userId),
+      error_code: usageData.errorCode,
+      error_message: this.redact('errorMessage', usageData.errorMessage),
+      created_at: new Date()
+    });
+  }
+
+  recordPerformanceMetric({ tenantId, metricType, name, value, unit, dimensions, tags, time }) {
+    return this.enqueue('performance_metrics', {
+      tenant_id: tenantId,
+      metric_type: metricType || 'custom',
+      metric_name: name,
+      metric_value: Number(value) || 0,
+      metric_unit: unit,
+      dimensions: dimensions || {},
+      tags: tags || [],
+      measurement_time: time ? new Date(time) : new Date(),
+      source: this.source,
+      environment: this.environment
+    });
+  }
+
+  /**
+   * Apply the telemetry redaction policy for a property (a dropped value is stored as NULL)
+   */
+  redact(name, value) {
+    if (!this.redactor) return value;
+
+    const redacted = this.redactor.redactValue(name, value);
+    return redacted === undefined ? null : redacted;
+  }
+
+  /**
+   * Queue a row; returns false when it was dropped (missing tenant, sink closed or queue full)
+   */
+  enqueue(table, row) {
+    const tenantId = row.tenant_id || this.defaultTenantId;
+
+    if (this.closed) return this.drop(table, 'closed');
+    if (!tenantId || !UUID_PATTERN.test(tenantId)) return this.drop(table, 'missing_tenant');
+
+    const queue = this.queues[table];
+    if (queue.length >= this.maxQueueSize) return this.drop(table, 'backpressure');
+
+    queue.push({ ...row, tenant_id: tenantId });
+    this.ensureTimer();
+
+    if (queue.length >= this.batchSize) {
+      this.flush().catch(() => {});
+    }
+
+    return true;
+  }
+
+  drop(table, reason, count = 1) {
+    const key = `${table}|${reason}`;
+    this.dropped[key] = (this.dropped[key] || 0) + count;
+
+    // Drops are reported by the next flush, so make sure one is scheduled even when nothing was queued
+    if (this.closed) this.reportDropped();
+    else this.ensureTimer();
+
+    return false;
+  }
+
+  ensureTimer() {
+    if (this.timer) return;
+
+    this.timer = setInterval(() => this.flush().catch(() => {}), this.flushIntervalMs);
+    this.timer.unref();
+  }
+
+  /**
+   * Write all queued rows; concurrent callers share the in-flight flush
+   */
+  flush() {
+    if (!this.flushing) {
+      this.flushing = this.drain().finally(() => {
+        this.flushing = null;
+      });
+    }
+
+    return this.flushing;
+  }
+
+  async drain() {
+    for (const table of Object.keys(this.queues)) {
+      const queue = this.queues[table];
+
+      while (queue.length > 0) {
+        const batch = queue.splice(0, this.batchSize);
+
+        try {
+          await this.insertWithRetry(table, batch);
+        } catch (error) {
+          if (isRetryable(error)) {
+            this.requeue(table, batch, error);
+            break;
+          }
+
+          // One bad row fails the whole multi-row INSERT - retry row by row so only that row is rejected
+          const remaining = await this.insertRowByRow(table, batch);
+          if (remaining.length > 0) break;
+        }
+      }
+    }
+
+    this.reportDropped();
+  }
+
+  /**
+   * Database still unavailable - put rows back at the front and try again on the next flush
+   */
+  requeue(table, rows, error) {
+    const queue = this.queues[table];
+    const room = Math.max(0, this.maxQueueSize - queue.length);
+
+    queue.unshift(...rows.slice(0, room));
+    if (rows.length > room) this.drop(table, 'backpressure', rows.length - room);
+    process.stderr.write(`Telemetry sink: ${table} unavailable, ${rows.length} rows re-queued (${error.message})\n`);
+  }
+
+  /**
+   * Insert rows one at a time; returns the rows re-queued after a transient error (empty when done)
+   */
+  async insertRowByRow(table, rows) {
+    for (let index = 0; index < rows.length; index++) {
+      try {
+        await this.insertRow(table, rows[index]);
+      } catch (error) {
+        if (isRetryable(error)) {
+          const remaining = rows.slice(index);
+          this.requeue(table, remaining, error);
+          return remaining;
+        }
+
+        this.drop(table, 'rejected');
+        process.stderr.write(`Telemetry sink: ${table} rejected a row (${error.message})\n`);
+      }
+    }
+
+    return [];
+  }
+
+  /**
+   * Insert one row; an unknown company, workflow execution or user drops the link rather than the row
+   */
+  async insertRow(table, row) {
+    try {
+      await this.insertWithRetry(table, [row]);
+    } catch (error) {
+      const references = (NULLABLE_REFERENCES[table] || []).filter(column => row[column] !== null && row[column] !== undefined);
+      if (error.code !== '23503' || references.length === 0) throw error;
+
+      const unlinked = { ...row };
+      references.forEach(column => { unlinked[column] = null; });
+      await this.insertWithRetry(table, [unlinked]);
+    }
+  }
+
+  async insertWithRetry(table, rows) {
+    const columns = TABLE_COLUMNS[table];
+    const values = [];
+    const tuples = rows.map(row => `(${columns.map(column => {
+      const value = row[column];
+      values.push(JSON_COLUMNS.includes(column) && value !== null && value !== undefined ? JSON.stringify(value) : (value === undefined ? null : value));
+      return `$${values.length}`;
+    }).join(', ')})`);
+
+    const sql = `INSERT INTO ${table} (${columns.join(', ')}) VALUES ${tuples.join(', ')}`;
+
+    for (let attempt = 1; ; attempt++) {
+      try {
+        await this.pool.query(sql, values);
+        return;
+      } catch (error) {
+        if (!isRetryable(error) || attempt >= this.maxRetries) throw error;
+        await delay(this.retryBaseMs * 2 ** (attempt - 1));
+      }
+    }
+  }
+
+  reportDropped() {
+    Object.keys(this.dropped).forEach(key => {
+      const [table, reason] = key.split('|');
+      const count = this.dropped[key];
+      delete this.dropped[key];
+
+      if (this.onDrop) {
+        this.onDrop({ table, reason, count });
+      } else {
+        process.stderr.write(`Telemetry sink: dropped ${count} ${table} rows (${reason})\n`);
+      }
+    });
+  }
+
+  queuedRows() {
+    return Object.keys(this.queues).reduce((total, table) => total + this.queues[table].length, 0);
+  }
+
+  getQueueDepth() {
+    return Object.keys(this.queues).reduce((depth, table) => ({ ...depth, [table]: this.queues[table].length }), {});
+  }
+
+  /**
+   * Stop accepting rows and flush until the queues are empty or a flush makes no progress
+   * (database still unavailable); rows left behind are reported as dropped instead of silently lost
+   */
+  async shutdown() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+
+    this.closed = true;
+
+    for (;;) {
+      const queued = this.queuedRows();
+      await this.flush();
+      if (this.queuedRows() === 0 || this.queuedRows() >= queued) break;
+    }
+
+    Object.keys(this.queues).forEach(table => {
+      const remaining = this.queues[table].splice(0).length;
+      if (remaining > 0) this.drop(table, 'shutdown', remaining);
+    });
+
+    if (this.ownsPool) await this.pool.end();
+  }
+}
+
+function normalizeWorkflowStatus(status) {
+  const value = String(status || 'unknown').toLowerCase();
+  const normalized = WORKFLOW_STATUS_ALIASES[value] || value;
+  return WORKFLOW_STATUSES.includes(normalized) ? normalized : 'unknown';
+}
+
+function isRetryable(error) {
+  return RETRYABLE_ERROR_CODES.includes(error.code)
+    || RETRYABLE_SYSTEM_ERRORS.includes(error.code)
+    || String(error.code || '').startsWith('08')
+    || /Connection terminated|timeout exceeded when trying to connect/i.test(error.message);
+}
+
+function uuidOrNull(value) {
+  return typeof value === 'string' && UUID_PATTERN.test(value) ? value : null;
+}
+
+function delay(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+module.exports = {
+  PostgresTelemetrySink,
+  TABLE_COLUMNS
+};
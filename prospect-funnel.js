@@ -0,0 +1,205 @@
+/**
+ * Prospect Funnel Tracker for Prospect Intelligence Engine
+ * Records per-company stage transitions through the prospect pipeline and derives
+ * stage-to-stage conversion rates and time-in-stage statistics
+ */
+
+// Ordered pipeline stages
+const FUNNEL_STAGES = [
+  'scraped',
+  'analyzed',
+  'opportunity_detected',
+  'report_generated',
+  'lead_pushed',
+  'replied',
+  'qualified'
+];
+
+// conversionStage / eventType spellings accepted for each stage (compared lowercase without separators)
+const STAGE_ALIASES = {
+  scraped: ['scraped', 'websitescraped'],
+  analyzed: ['analyzed', 'analysiscompleted', 'websiteanalyzed'],
+  opportunity_detected: ['opportunitydetected', 'opportunitiesdetected', 'opportunitycalculated'],
+  report_generated: ['reportgenerated'],
+  lead_pushed: ['leadpushed', 'pushedtoinstantly', 'leadpushedtoinstantly', 'instantlyleadcreated'],
+  replied: ['replied', 'leadreplied', 'emailreplied'],
+  qualified: ['qualified', 'leadqualified']
+};
+
+class ProspectFunnelTracker {
+  /**
+   * options.maxCompanies - companies kept in memory; the least recently updated are evicted first
+   */
+  constructor(options = {}) {
+    this.maxCompanies = options.maxCompanies || 50000;
+    this.companies = new Map();
+    // Companies that reached each stage, overall (key null) and per tenant, kept in step with this.companies
+    this.stageCounts = new Map();
+  }
+
+  /**
+   * Map a conversionStage/eventType value to a funnel stage, or null when it is not a funnel stage
+   */
+  static resolveStage(value) {
+    if (!value) return null;
+
+    const normalized = String(value).toLowerCase().replace(/[^a-z]/g, '');
+    return FUNNEL_STAGES.find(stage => STAGE_ALIASES[stage].includes(normalized)) || null;
+  }
+
+  /**
+   * Record that a company reached a stage
+   * Returns the transition, or null for repeats and regressions (a company never moves back)
+   */
+  recordStage({ companyId, tenantId, stage, timestamp }) {
+    const stageIndex = FUNNEL_STAGES.indexOf(stage);
+    if (!companyId || stageIndex === -1) return null;
+
+    const time = timestamp ? new Date(timestamp).getTime() : Date.now();
+    const company = this.companies.get(companyId) || { tenantId, stages: {}, currentStage: null };
+    const currentIndex = FUNNEL_STAGES.indexOf(company.currentStage);
+
+    if (stageIndex <= currentIndex) return null;
+
+    const fromStage = company.currentStage;
+    const fromTime = fromStage ? company.stages[fromStage] : null;
+
+    this.countStages(company, -1);
+    company.tenantId = tenantId || company.tenantId;
+    company.stages[stage] = time;
+    company.currentStage = stage;
+    this.countStages(company, 1);
+
+    // Re-insert to keep Map order as least-recently-updated first
+    this.companies.delete(companyId);
+    this.companies.set(companyId, company);
+    this.evict();
+
+    return {
+      companyId,
+      tenantId: company.tenantId,
+      fromStage,
+      toStage: stage,
+      timeInStageMs: fromTime !== null ? Math.max(0, time - fromTime) : null,
+      skippedStages: FUNNEL_STAGES.slice(currentIndex + 1, stageIndex)
+    };
+  }
+
+  getCompany(companyId) {
+    return this.companies.get(companyId) || null;
+  }
+
+  /**
+   * Companies that reached each stage - reaching a later stage counts as passing the earlier ones
+   */
+  getStageCounts({ tenantId } = {}) {
+    const counts = this.stageCounts.get(tenantId || null);
+
+    return FUNNEL_STAGES.reduce((result, stage, index) => ({ ...result, [stage]: counts ? counts[index] : 0 }), {});
+  }
+
+  /**
+   * Stage-to-stage conversion rates (0-1, null when nobody reached the earlier stage)
+   */
+  getConversionRates({ tenantId } = {}) {
+    const counts = this.getStageCounts({ tenantId });
+
+    return FUNNEL_STAGES.slice(1).map((toStage, index) => {
+      const fromStage = FUNNEL_STAGES[index];
+      return {
+        fromStage,
+        toStage,
+        entered: counts[fromStage],
+        converted: counts[toStage],
+        conversionRate: counts[fromStage] > 0 ? roundRate(counts[toStage] / counts[fromStage]) : null
+      };
+    });
+  }
+
+  getConversionRate(fromStage, toStage, { tenantId } = {}) {
+    const counts = this.stageCounts.get(tenantId || null);
+    const entered = counts ? counts[FUNNEL_STAGES.indexOf(fromStage)] : 0;
+    return entered > 0 ? roundRate(counts[FUNNEL_STAGES.indexOf(toStage)] / entered) : null;
+  }
+
+  /**
+   * Time spent in each stage before moving on (companies still in a stage are excluded)
+   */
+  getTimeInStage({ tenantId } = {}) {
+    const durations = FUNNEL_STAGES.reduce((result, stage) => ({ ...result, [stage]: [] }), {});
+
+    this.forEachCompany(tenantId, company => {
+      const reached = FUNNEL_STAGES.filter(stage => company.stages[stage] !== undefined);
+      reached.slice(0, -1).forEach((stage, index) => {
+        durations[stage].push(company.stages[reached[index + 1]] - company.stages[stage]);
+      });
+    });
+
+    return FUNNEL_STAGES.slice(0, -1).map(stage => {
+      const values = durations[stage].sort((a, b) => a - b);
+      return {
+        stage,
+        companies: values.length,
+        avgMs: values.length ? Math.round(values.reduce((sum, value) => sum + value, 0) / values.length) : null,
+        medianMs: values.length ? values[Math.floor(values.length / 2)] : null,
+        maxMs: values.length ? values[values.length - 1] : null
+      };
+    });
+  }
+
+  /**
+   * Drop-off report for sales leadership
+   */
+  getReport({ tenantId } = {}) {
+    return {
+      tenantId: tenantId || null,
+      generatedAt: new Date().toISOString(),
+      stageCounts: this.getStageCounts({ tenantId }),
+      conversionRates: this.getConversionRates({ tenantId }),
+      timeInStage: this.getTimeInStage({ tenantId })
+    };
+  }
+
+  forEachCompany(tenantId, callback) {
+    this.companies.forEach(company => {
+      if (!tenantId || company.tenantId === tenantId) callback(company);
+    });
+  }
+
+  /**
+   * Add (delta 1) or remove (delta -1) a company's reached stages from the overall and tenant counts
+   */
+  countStages(company, delta) {
+    const reachedIndex = FUNNEL_STAGES.indexOf(company.currentStage);
+    if (reachedIndex === -1) return;
+
+    const keys = company.tenantId ? [null, company.tenantId] : [null];
+    keys.forEach(key => {
+      const counts = this.stageCounts.get(key) || FUNNEL_STAGES.map(() => 0);
+      for (let index = 0; index <= reachedIndex; index += 1) counts[index] += delta;
+
+      if (key !== null && counts[0] === 0) {
+        this.stageCounts.delete(key);
+      } else {
+        this.stageCounts.set(key, counts);
+      }
+    });
+  }
+
+  evict() {
+    while (this.companies.size > this.maxCompanies) {
+      const companyId = this.companies.keys().next().value;
+      this.countStages(this.companies.get(companyId), -1);
+      this.companies.delete(companyId);
+    }
+  }
+}
+
+function roundRate(value) {
+  return Math.round(value * 10000) / 10000;
+}
+
+module.exports = {
+  ProspectFunnelTracker,
+  FUNNEL_STAGES
+};
@@ -446,6 +446,14 @@ CREATE TABLE instantly_campaigns (
     delay_between_steps_hours INTEGER DEFAULT 24,
     max_follow_ups INTEGER DEFAULT 5,
     
+    -- Lead routing (campaign-routing.js) - active campaigns with a routing_priority are tried in
+    -- ascending order; routing_rules overrides the target_* columns as the match rule
+    routing_priority INTEGER,
+    routing_rules JSONB DEFAULT '{}',
+    daily_lead_capacity INTEGER CHECK (daily_lead_capacity > 0),
+    initial_delay_hours DECIMAL(6,2) DEFAULT 2,
+    traffic_weight INTEGER DEFAULT 100 CHECK (traffic_weight >= 0),
+    
     -- Performance tracking
     total_leads_added INTEGER DEFAULT 0,
     total_emails_sent INTEGER DEFAULT 0,
@@ -500,6 +508,13 @@ CREATE TABLE instantly_sequences (
     personalization_fields JSONB DEFAULT '[]',
     dynamic_content_rules JSONB DEFAULT '{}',
     
+    -- Lead routing within the campaign - matching routing_rules beat catch-all sequences ('{}'),
+    -- ties are split by traffic_weight
+    routing_rules JSONB DEFAULT '{}',
+    traffic_weight INTEGER DEFAULT 100 CHECK (traffic_weight >= 0),
+    ab_test_variant VARCHAR(50),
+    initial_delay_hours DECIMAL(6,2),
+    
     -- Performance by sequence
     leads_enrolled INTEGER DEFAULT 0,
     avg_completion_rate DECIMAL(5,2) DEFAULT 0.00,
@@ -723,6 +738,11 @@ CREATE TABLE audit_logs (
     risk_level VARCHAR(20) DEFAULT 'low' CHECK (risk_level IN ('low', 'medium', 'high', 'critical')),
     requires_review BOOLEAN DEFAULT false,
     
+    -- Hash chain per tenant (audit-trail.js) - each entry hashes its content with the tenant's previous entry_hash
+    sequence_number BIGINT,
+    previous_hash VARCHAR(64),
+    entry_hash VARCHAR(64),
+    
     created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
 );
 
@@ -826,6 +846,7 @@ CREATE INDEX idx_instantly_sync_status ON instantly_integrations(sync_status);
 CREATE INDEX idx_instantly_temperature ON instantly_integrations(lead_temperature);
 CREATE INDEX idx_instantly_engagement_score ON instantly_integrations(engagement_score DESC);
 CREATE INDEX idx_instantly_last_activity ON instantly_integrations(last_activity_at DESC);
+CREATE INDEX idx_instantly_campaign_assignments ON instantly_integrations(tenant_id, instantly_campaign_id, created_at DESC);
 
 -- Instantly campaigns indexes
 CREATE INDEX idx_campaigns_tenant_id ON instantly_campaigns(tenant_id);
@@ -834,6 +855,7 @@ CREATE INDEX idx_campaigns_status ON instantly_campaigns(campaign_status);
 CREATE INDEX idx_campaigns_type ON instantly_campaigns(campaign_type);
 CREATE INDEX idx_campaigns_tier ON instantly_campaigns(target_service_tier);
 CREATE INDEX idx_campaigns_reply_rate ON instantly_campaigns(overall_reply_rate DESC);
+CREATE INDEX idx_campaigns_routing ON instantly_campaigns(tenant_id, routing_priority) WHERE campaign_status = 'active';
 
 -- Instantly sequences indexes
 CREATE INDEX idx_sequences_tenant_id ON instantly_sequences(tenant_id);
@@ -892,6 +914,7 @@ CREATE INDEX idx_audit_logs_action ON audit_logs(action);
 CREATE INDEX idx_audit_logs_resource ON audit_logs(resource_type, resource_id);
 CREATE INDEX idx_audit_logs_created_at ON audit_logs(created_at DESC);
 CREATE INDEX idx_audit_logs_risk_level ON audit_logs(risk_level);
+CREATE UNIQUE INDEX idx_audit_logs_sequence_number ON audit_logs(tenant_id, sequence_number) WHERE sequence_number IS NOT NULL;
 
 -- Performance metrics indexes
 CREATE INDEX idx_performance_metrics_tenant_id ON performance_metrics(tenant_id);
@@ -955,6 +978,21 @@ CREATE TRIGGER update_instantly_sequences_updated_at BEFORE UPDATE ON instantly_
 CREATE TRIGGER update_prospect_tracking_updated_at BEFORE UPDATE ON prospect_tracking
     FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
 
+-- Audit logs are append-only; tenant deletion (ON DELETE CASCADE) is the only permitted removal and drops
+-- that tenant's whole hash chain, so the remaining chains still verify
+CREATE OR REPLACE FUNCTION prevent_audit_log_modification()
+RETURNS TRIGGER AS $$
+BEGIN
+    IF TG_OP = 'DELETE' AND NOT EXISTS (SELECT 1 FROM tenants WHERE id = OLD.tenant_id) THEN
+        RETURN OLD;
+    END IF;
+    RAISE EXCEPTION 'audit_logs is append-only (% not permitted)', TG_OP;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER prevent_audit_logs_modification BEFORE UPDATE OR DELETE ON audit_logs
+    FOR EACH ROW EXECUTE FUNCTION prevent_audit_log_modification();
+
 -- ============================================================================
 -- Row Level Security (RLS) Setup for Multi-Tenancy
 -- ============================================================================
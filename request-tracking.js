@@ -0,0 +1,109 @@
+/**
+ * HTTP Request Tracking for Prospect Intelligence Engine
+ * Framework adapters (Express, Fastify, Koa) that resolve route templates, tenant dimensions
+ * and payload sizes for ProspectIntelligenceMonitoring.trackApiRequest
+ */
+
+const UNMATCHED_ROUTE = '<unmatched>';
+
+/**
+ * user/tenant/role dimensions from an authenticated user (users table or JWT claims)
+ */
+function userDimensions(user) {
+  if (!user) return {};
+
+  return {
+    userId: user.id !== undefined ? String(user.id) : undefined,
+    tenantId: user.tenant_id || user.tenantId,
+    userRole: user.role
+  };
+}
+
+/**
+ * Full Express route template - baseUrl carries the mount path of nested routers
+ * Unmatched requests collapse to one template to keep metric cardinality bounded
+ */
+function resolveExpressRoute(req) {
+  if (!req.route) return UNMATCHED_ROUTE;
+
+  const routePath = Array.isArray(req.route.path) ? req.route.path.join('|') : String(req.route.path);
+  return `${req.baseUrl || ''}${routePath}` || '/';
+}
+
+function resolveFastifyRoute(request) {
+  return (request.routeOptions && request.routeOptions.url) || request.routerPath || UNMATCHED_ROUTE;
+}
+
+function resolveKoaRoute(ctx) {
+  return ctx._matchedRoute ? String(ctx._matchedRoute) : UNMATCHED_ROUTE;
+}
+
+function contentLength(headers) {
+  const value = headers && headers['content-length'];
+  return value !== undefined ? Number(value) || 0 : 0;
+}
+
+/**
+ * Count bytes written to a Node response, including chunked bodies without content-length
+ */
+function countResponseBytes(res) {
+  const counter = { bytes: 0 };
+  const originalWrite = res.write;
+  const originalEnd = res.end;
+
+  const count = (chunk, encoding) => {
+    if (!chunk || typeof chunk === 'function') return;
+    counter.bytes += Buffer.isBuffer(chunk)
+      ? chunk.length
+      : Buffer.byteLength(chunk, typeof encoding === 'string' ? encoding : 'utf8');
+  };
+
+  res.write = function write(chunk, encoding, ...rest) {
+    count(chunk, encoding);
+    return originalWrite.call(this, chunk, encoding, ...rest);
+  };
+
+  res.end = function end(chunk, encoding, ...rest) {
+    count(chunk, encoding);
+    return originalEnd.call(this, chunk, encoding, ...rest);
+  };
+
+  return counter;
+}
+
+/**
+ * Application Insights processor that adds user/tenant/role and the route template to
+ * auto-collected request telemetry, using the request object the SDK passes in contextObjects
+ */
+function createRequestEnrichmentProcessor() {
+  return (envelope, contextObjects) => {
+    const req = contextObjects && contextObjects['http.ServerRequest'];
+    const baseData = envelope.data && envelope.data.baseData;
+    if (!req || !baseData || envelope.data.baseType !== 'RequestData') return true;
+
+    const dimensions = req.telemetryDimensions || userDimensions(req.user);
+    baseData.properties = { ...baseData.properties };
+    Object.keys(dimensions).forEach(key => {
+      if (dimensions[key] !== undefined) baseData.properties[key] = dimensions[key];
+    });
+
+    const route = req.telemetryRoute || (req.route ? resolveExpressRoute(req) : null);
+    if (route && route !== UNMATCHED_ROUTE) {
+      baseData.name = `${req.method} ${route}`;
+      baseData.properties.routeTemplate = route;
+    }
+
+    return true;
+  };
+}
+
+module.exports = {
+  UNMATCHED_ROUTE,
+  userDimensions,
+  resolveExpressRoute,
+  resolveFastifyRoute,
+  resolveKoaRoute,
+  contentLength,
+  countResponseBytes,
+  createRequestEnrichmentProcessor
+};
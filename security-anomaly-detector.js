@@ -0,0 +1,277 @@
+/**
+ * Security Anomaly Detector for Prospect Intelligence Engine
+ * Stateful detection over the trackSecurityEvent stream (SOC 2 CC4.1 continuous monitoring):
+ * - brute-force login bursts per IP and per user
+ * - impossible travel between consecutive logins of a user
+ * - spikes in 403 responses per tenant
+ * - admin access from a previously unseen user agent
+ * Each detection is returned as a derived critical security event
+ */
+
+const FAILED_LOGIN_EVENTS = ['login_failed', 'login_failure', 'authentication_failed', 'invalid_credentials'];
+const SUCCESSFUL_LOGIN_EVENTS = ['login', 'login_success', 'authentication_succeeded'];
+const ACCESS_DENIED_EVENTS = ['access_denied', 'authorization_failed', 'forbidden'];
+
+const EARTH_RADIUS_KM = 6371;
+
+const DEFAULT_THRESHOLDS = {
+  bruteForceWindowMs: 5 * 60 * 1000,
+  bruteForcePerIp: 10,
+  bruteForcePerUser: 5,
+  impossibleTravelKmh: 900,
+  // Without coordinates, a country change faster than this is flagged
+  countryChangeWindowMs: 60 * 60 * 1000,
+  forbiddenBucketMs: 60 * 1000,
+  forbiddenMinCount: 20,
+  forbiddenSpikeFactor: 3,
+  maxUserAgentsPerAdmin: 50,
+  maxTrackedKeys: 10000
+};
+
+class SecurityAnomalyDetector {
+  /**
+   * options.thresholds - overrides merged over DEFAULT_THRESHOLDS
+   * options.geolocate  - optional (ipAddress) => { latitude, longitude, country } used when events carry no location
+   */
+  constructor(options = {}) {
+    this.thresholds = { ...DEFAULT_THRESHOLDS, ...options.thresholds };
+    this.geolocate = options.geolocate;
+
+    this.failedLogins = new Map();
+    this.lastLogins = new Map();
+    this.forbidden = new Map();
+    this.countedRequests = new Map();
+    this.adminUserAgents = new Map();
+    this.cooldowns = new Map();
+  }
+
+  /**
+   * Feed one security event; returns derived anomaly events (possibly empty)
+   */
+  observe(event, now = Date.now()) {
+    const eventType = String(event.eventType || '').toLowerCase();
+    const anomalies = [];
+
+    if (FAILED_LOGIN_EVENTS.includes(eventType)) {
+      anomalies.push(...this.detectBruteForce(event, now));
+    }
+    if (SUCCESSFUL_LOGIN_EVENTS.includes(eventType)) {
+      const travel = this.detectImpossibleTravel(event, now);
+      if (travel) anomalies.push(travel);
+    }
+    if (ACCESS_DENIED_EVENTS.includes(eventType) || Number(event.statusCode) === 403) {
+      const spike = this.detectForbiddenSpike(event, now);
+      if (spike) anomalies.push(spike);
+    }
+    if (isAdmin(event) && event.userAgent && event.success !== false) {
+      const newAgent = this.detectNewAdminUserAgent(event, now);
+      if (newAgent) anomalies.push(newAgent);
+    }
+
+    return anomalies;
+  }
+
+  detectBruteForce(event, now) {
+    const { bruteForceWindowMs, bruteForcePerIp, bruteForcePerUser } = this.thresholds;
+    const anomalies = [];
+
+    [
+      { key: event.ipAddress && `ip:${event.ipAddress}`, limit: bruteForcePerIp, scope: 'ip' },
+      { key: event.userId && `user:${event.userId}`, limit: bruteForcePerUser, scope: 'user' }
+    ].forEach(({ key, limit, scope }) => {
+      if (!key) return;
+
+      const attempts = (this.failedLogins.get(key) || []).filter(time => time > now - bruteForceWindowMs);
+      attempts.push(now);
+      this.remember(this.failedLogins, key, attempts);
+
+      if (attempts.length >= limit && this.claimCooldown(`brute_force|${key}`, bruteForceWindowMs, now)) {
+        anomalies.push(derivedEvent('brute_force', event, {
+          scope,
+          failedAttempts: attempts.length,
+          windowMs: bruteForceWindowMs
+        }));
+      }
+    });
+
+    return anomalies;
+  }
+
+  detectImpossibleTravel(event, now) {
+    if (!event.userId || !event.ipAddress) return null;
+
+    const location = this.resolveLocation(event);
+    const previous = this.lastLogins.get(event.userId);
+    this.remember(this.lastLogins, event.userId, { time: now, ipAddress: event.ipAddress, location });
+
+    if (!previous || previous.ipAddress === event.ipAddress || !location || !previous.location) return null;
+
+    const elapsedHours = Math.max((now - previous.time) / (60 * 60 * 1000), 1 / 3600);
+    const details = {
+      previousIpAddress: previous.ipAddress,
+      previousCountry: previous.location.country,
+      country: location.country,
+      elapsedMinutes: Math.round(elapsedHours * 60)
+    };
+
+    if (hasCoordinates(location) && hasCoordinates(previous.location)) {
+      const distanceKm = haversineKm(previous.location, location);
+      const speedKmh = distanceKm / elapsedHours;
+      if (speedKmh <= this.thresholds.impossibleTravelKmh) return null;
+
+      return derivedEvent('impossible_travel', event, {
+        ...details,
+        distanceKm: Math.round(distanceKm),
+        speedKmh: Math.round(speedKmh)
+      });
+    }
+
+    const countryChanged = location.country && previous.location.country && location.country !== previous.location.country;
+    if (countryChanged && now - previous.time < this.thresholds.countryChangeWindowMs) {
+      return derivedEvent('impossible_travel', event, details);
+    }
+
+    return null;
+  }
+
+  /**
+   * 403s per tenant are counted in fixed buckets and compared with an EWMA baseline of earlier buckets
+   */
+  detectForbiddenSpike(event, now) {
+    const { forbiddenBucketMs, forbiddenMinCount, forbiddenSpikeFactor } = this.thresholds;
+
+    // The same denial event seen twice for a request (request middleware and trackSecurityEvent) is one 403;
+    // different denial events within one request, e.g. across retries, are each counted
+    if (event.requestId) {
+      const requestKey = `${event.requestId}|${String(event.eventType || 'access_denied').toLowerCase()}`;
+      if (this.countedRequests.has(requestKey)) return null;
+      this.remember(this.countedRequests, requestKey, now);
+    }
+
+    const tenantKey = event.tenantId || 'unknown';
+    const bucket = now - (now % forbiddenBucketMs);
+    const state = this.forbidden.get(tenantKey) || { bucket, count: 0, baseline: null };
+
+    if (state.bucket !== bucket) {
+      // Empty buckets in between decay the baseline towards zero
+      const elapsedBuckets = Math.max(1, Math.round((bucket - state.bucket) / forbiddenBucketMs));
+      let baseline = state.baseline === null ? state.count : 0.7 * state.baseline + 0.3 * state.count;
+      for (let i = 1; i < elapsedBuckets; i++) baseline *= 0.7;
+
+      state.baseline = baseline;
+      state.bucket = bucket;
+      state.count = 0;
+    }
+
+    state.count += 1;
+    this.remember(this.forbidden, tenantKey, state);
+
+    const threshold = Math.max(forbiddenMinCount, (state.baseline || 0) * forbiddenSpikeFactor);
+    if (state.count < threshold || !this.claimCooldown(`forbidden_spike|${tenantKey}`, forbiddenBucketMs, now)) {
+      return null;
+    }
+
+    return derivedEvent('forbidden_spike', event, {
+      forbiddenCount: state.count,
+      baseline: Math.round((state.baseline || 0) * 100) / 100,
+      bucketMs: forbiddenBucketMs
+    });
+  }
+
+  /**
+   * The first user agent seen for an admin is learned silently; later unseen agents are flagged
+   */
+  detectNewAdminUserAgent(event, now) {
+    if (!event.userId) return null;
+
+    const agents = this.adminUserAgents.get(event.userId) || new Map();
+    const known = agents.has(event.userAgent);
+    const learning = agents.size === 0;
+
+    agents.set(event.userAgent, now);
+    if (agents.size > this.thresholds.maxUserAgentsPerAdmin) {
+      agents.delete(agents.keys().next().value);
+    }
+    this.remember(this.adminUserAgents, event.userId, agents);
+
+    if (known || learning) return null;
+
+    return derivedEvent('new_admin_user_agent', event, {
+      knownUserAgents: agents.size - 1
+    });
+  }
+
+  resolveLocation(event) {
+    const details = event.details || {};
+    const location = event.location || details.location || details.geo;
+    if (location) return location;
+
+    return this.geolocate ? this.geolocate(event.ipAddress) : null;
+  }
+
+  claimCooldown(key, durationMs, now) {
+    const until = this.cooldowns.get(key);
+    if (until && until > now) return false;
+
+    this.remember(this.cooldowns, key, now + durationMs);
+    return true;
+  }
+
+  /**
+   * Bounded Map insert - least recently written keys are evicted first
+   */
+  remember(map, key, value) {
+    map.delete(key);
+    map.set(key, value);
+    while (map.size > this.thresholds.maxTrackedKeys) {
+      map.delete(map.keys().next().value);
+    }
+  }
+
+  reset() {
+    [this.failedLogins, this.lastLogins, this.forbidden, this.countedRequests, this.adminUserAgents, this.cooldowns].forEach(map => map.clear());
+  }
+}
+
+function derivedEvent(detector, source, details) {
+  return {
+    eventType: `anomaly_${detector}`,
+    severity: 'critical',
+    userId: source.userId,
+    tenantId: source.tenantId,
+    ipAddress: source.ipAddress,
+    userAgent: source.userAgent,
+    resource: source.resource,
+    action: source.action,
+    success: false,
+    derived: true,
+    details: {
+      detector,
+      sourceEventType: source.eventType,
+      ...details
+    }
+  };
+}
+
+function isAdmin(event) {
+  return event.userRole === 'admin' || (event.details && event.details.role === 'admin');
+}
+
+function hasCoordinates(location) {
+  return typeof location.latitude === 'number' && typeof location.longitude === 'number';
+}
+
+function haversineKm(from, to) {
+  const toRadians = degrees => (degrees * Math.PI) / 180;
+  const dLat = toRadians(to.latitude - from.latitude);
+  const dLon = toRadians(to.longitude - from.longitude);
+  const a = Math.sin(dLat / 2) ** 2
+    + Math.cos(toRadians(from.latitude)) * Math.cos(toRadians(to.latitude)) * Math.sin(dLon / 2) ** 2;
+
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(a));
+}
+
+module.exports = {
+  SecurityAnomalyDetector,
+  DEFAULT_THRESHOLDS
+};
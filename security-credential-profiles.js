@@ -0,0 +1,121 @@
+/**
+ * Security Test Credential Profiles for Prospect Intelligence Engine
+ * Multi-tenant, multi-role identities for authenticated OWASP testing
+ * Roles mirror users.role in prospect_intelligence_schema.sql (admin, analyst, user)
+ */
+
+const http = require('k6/http');
+
+const USER_ROLES = ['admin', 'analyst', 'user'];
+
+/**
+ * Profile shape:
+ * { name, tenant, role, email, password | passwordEnv } or { name, tenant, role, apiKey | apiKeyEnv }
+ * Secrets are normally referenced through *Env keys so profile files can be committed
+ */
+class CredentialProfiles {
+  constructor(profiles = [], options = {}) {
+    this.baseUrl = options.baseUrl;
+    this.env = options.env || {};
+    this.loginPath = options.loginPath || '/api/v1/auth/login';
+    this.profiles = profiles.map(profile => this.normalizeProfile(profile));
+    this.tokens = {};
+  }
+
+  /**
+   * Build profiles from a parsed profile file, falling back to the TENANT_A/B_API_KEY pair
+   */
+  static fromConfig(config, env, baseUrl) {
+    if (config && Array.isArray(config.profiles)) {
+      return new CredentialProfiles(config.profiles, { env, baseUrl, loginPath: config.loginPath });
+    }
+
+    const legacyProfiles = [
+      { name: 'tenant_a_admin', tenant: 'tenant_a', role: 'admin', apiKeyEnv: 'TENANT_A_API_KEY' },
+      { name: 'tenant_b_admin', tenant: 'tenant_b', role: 'admin', apiKeyEnv: 'TENANT_B_API_KEY' }
+    ].filter(profile => env[profile.apiKeyEnv]);
+
+    return new CredentialProfiles(legacyProfiles, { env, baseUrl });
+  }
+
+  normalizeProfile(profile) {
+    if (!profile.tenant) {
+      throw new Error(`Credential profile ${profile.name || '(unnamed)'} is missing a tenant`);
+    }
+    if (!USER_ROLES.includes(profile.role)) {
+      throw new Error(`Credential profile ${profile.name || profile.tenant} has invalid role ${profile.role} (expected ${USER_ROLES.join(', ')})`);
+    }
+
+    return {
+      ...profile,
+      name: profile.name || `${profile.tenant}_${profile.role}`
+    };
+  }
+
+  isEmpty() {
+    return this.profiles.length === 0;
+  }
+
+  getTenants() {
+    return Array.from(new Set(this.profiles.map(profile => profile.tenant)));
+  }
+
+  byTenant(tenant) {
+    return this.profiles.filter(profile => profile.tenant === tenant);
+  }
+
+  otherTenantProfiles(tenant) {
+    return this.profiles.filter(profile => profile.tenant !== tenant);
+  }
+
+  /**
+   * Resolve a bearer token for the profile, logging in once per run
+   */
+  login(profile) {
+    if (this.tokens[profile.name]) return this.tokens[profile.name];
+
+    const apiKey = profile.apiKey || (profile.apiKeyEnv && this.env[profile.apiKeyEnv]);
+    if (apiKey) {
+      this.tokens[profile.name] = apiKey;
+      return apiKey;
+    }
+
+    const password = profile.password || (profile.passwordEnv && this.env[profile.passwordEnv]);
+    if (!profile.email || !password) {
+      throw new Error(`Credential profile ${profile.name} has no API key or email/password`);
+    }
+
+    const response = http.post(
+      `${this.baseUrl}${this.loginPath}`,
+      JSON.stringify({ email: profile.email, password }),
+      { headers: { 'Content-Type': 'application/json' } }
+    );
+
+    let token;
+    try {
+      const body = JSON.parse(response.body);
+      token = body.access_token || body.token;
+    } catch (e) {
+      token = null;
+    }
+
+    if (response.status !== 200 || !token) {
+      throw new Error(`Login failed for credential profile ${profile.name} (status ${response.status})`);
+    }
+
+    this.tokens[profile.name] = token;
+    return token;
+  }
+
+  authHeaders(profile) {
+    return {
+      'Authorization': `Bearer ${this.login(profile)}`,
+      'Content-Type': 'application/json'
+    };
+  }
+}
+
+module.exports = {
+  CredentialProfiles,
+  USER_ROLES
+};
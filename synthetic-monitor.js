@@ -0,0 +1,410 @@
+/**
+ * Synthetic Monitor for Prospect Intelligence Engine
+ * Runs scheduled HTTP probes in-process (status, latency, body assertions, TLS expiry),
+ * reports results through trackAvailability and exports the same definitions as
+ * Application Insights standard web tests (ARM / Bicep) for azure-security-infrastructure.json
+ */
+
+const http = require('http');
+const https = require('https');
+const os = require('os');
+
+const WEB_TEST_API_VERSION = '2022-06-15';
+
+// Azure availability test location ids
+const DEFAULT_WEB_TEST_LOCATIONS = ['us-ca-sjc-azr', 'us-va-ash-azr', 'emea-nl-ams-azr'];
+
+// Frequencies (seconds) accepted by Microsoft.Insights/webtests
+const WEB_TEST_FREQUENCIES = [300, 600, 900];
+
+const PROBE_DEFAULTS = {
+  method: 'GET',
+  frequencySeconds: 300,
+  timeoutSeconds: 30,
+  expectedStatus: 200,
+  tlsExpiryWarningDays: 14,
+  locations: DEFAULT_WEB_TEST_LOCATIONS
+};
+
+/**
+ * Probe shape:
+ * { name, url, method, headers, body, expectedStatus (number | number[]), maxLatencyMs,
+ *   bodyContains (string | string[]), bodyMatches (regex source), tlsExpiryWarningDays,
+ *   frequencySeconds, timeoutSeconds, locations }
+ */
+class SyntheticMonitor {
+  constructor(options = {}) {
+    this.trackAvailability = options.trackAvailability || (() => {});
+    this.runLocation = options.runLocation || process.env.SYNTHETIC_RUN_LOCATION || os.hostname();
+    this.probes = [];
+    this.timers = new Map();
+    this.started = false;
+
+    (options.probes || []).forEach(probe => this.addProbe(probe));
+  }
+
+  addProbe(probe) {
+    if (!probe.name || !probe.url) {
+      throw new Error('Synthetic probe requires a name and url');
+    }
+    if (this.probes.some(existing => existing.name === probe.name)) {
+      throw new Error(`Synthetic probe ${probe.name} is already registered`);
+    }
+
+    const normalized = { ...PROBE_DEFAULTS, ...probe };
+    // Probes are exported as web tests, so reject frequencies ARM would only refuse at deployment
+    if (!WEB_TEST_FREQUENCIES.includes(normalized.frequencySeconds)) {
+      throw new Error(`Synthetic probe ${probe.name} has frequencySeconds ${normalized.frequencySeconds} (expected ${WEB_TEST_FREQUENCIES.join(', ')})`);
+    }
+
+    this.probes.push(normalized);
+
+    if (this.started) {
+      this.schedule(normalized);
+    }
+    return normalized;
+  }
+
+  /**
+   * Run every probe now, then on its own frequency
+   */
+  start() {
+    this.started = true;
+    this.probes.forEach(probe => this.schedule(probe));
+    return this;
+  }
+
+  stop() {
+    this.started = false;
+    this.timers.forEach(timer => clearInterval(timer));
+    this.timers.clear();
+    return this;
+  }
+
+  schedule(probe) {
+    if (this.timers.has(probe.name)) return;
+
+    const run = () => this.runProbe(probe).catch(error => {
+      process.stderr.write(`Synthetic probe ${probe.name} crashed: ${error.message}\n`);
+    });
+
+    const timer = setInterval(run, probe.frequencySeconds * 1000);
+    timer.unref();
+    this.timers.set(probe.name, timer);
+    run();
+  }
+
+  async runAll() {
+    return Promise.all(this.probes.map(probe => this.runProbe(probe)));
+  }
+
+  /**
+   * Execute one probe, evaluate its assertions and report it as availability telemetry
+   */
+  async runProbe(probe) {
+    const startedAt = new Date();
+    const response = await this.request(probe);
+    const failures = [];
+
+    if (response.error) {
+      failures.push(response.error);
+    } else {
+      const expected = [].concat(probe.expectedStatus);
+      if (!expected.includes(response.statusCode)) {
+        failures.push(`Expected status ${expected.join(' or ')}, got ${response.statusCode}`);
+      }
+      if (probe.maxLatencyMs && response.durationMs > probe.maxLatencyMs) {
+        failures.push(`Latency ${response.durationMs}ms exceeds ${probe.maxLatencyMs}ms`);
+      }
+      [].concat(probe.bodyContains || []).forEach(text => {
+        if (!response.body.includes(text)) failures.push(`Response body does not contain "${text}"`);
+      });
+      if (probe.bodyMatches && !new RegExp(probe.bodyMatches).test(response.body)) {
+        failures.push(`Response body does not match /${probe.bodyMatches}/`);
+      }
+      if (response.tlsDaysRemaining !== null && response.tlsDaysRemaining < probe.tlsExpiryWarningDays) {
+        failures.push(`TLS certificate expires in ${response.tlsDaysRemaining} days`);
+      }
+    }
+
+    const result = {
+      name: probe.name,
+      url: probe.url,
+      success: failures.length === 0,
+      statusCode: response.statusCode,
+      durationMs: response.durationMs,
+      tlsDaysRemaining: response.tlsDaysRemaining,
+      message: failures.length ? failures.join('; ') : 'Passed',
+      time: startedAt
+    };
+
+    this.trackAvailability({
+      name: probe.name,
+      time: startedAt,
+      duration: result.durationMs,
+      success: result.success,
+      runLocation: this.runLocation,
+      message: result.message,
+      properties: {
+        url: probe.url,
+        method: probe.method,
+        statusCode: result.statusCode !== null ? String(result.statusCode) : undefined
+      },
+      measurements: result.tlsDaysRemaining !== null ? { tlsDaysRemaining: result.tlsDaysRemaining } : undefined
+    });
+
+    return result;
+  }
+
+  request(probe) {
+    const url = new URL(probe.url);
+    const transport = url.protocol === 'https:' ? https : http;
+    const body = probe.body === undefined || typeof probe.body === 'string' ? probe.body : JSON.stringify(probe.body);
+    const start = Date.now();
+
+    return new Promise((resolve) => {
+      const req = transport.request(url, {
+        method: probe.method,
+        timeout: probe.timeoutSeconds * 1000,
+        headers: {
+          'User-Agent': 'ProspectIntelligence-SyntheticMonitor/1.0',
+          ...(body ? { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(body) } : {}),
+          ...probe.headers
+        }
+      }, (res) => {
+        const tlsDaysRemaining = certificateDaysRemaining(res.socket);
+        const chunks = [];
+
+        res.on('data', chunk => chunks.push(chunk));
+        res.on('end', () => resolve({
+          statusCode: res.statusCode,
+          body: Buffer.concat(chunks).toString('utf8'),
+          durationMs: Date.now() - start,
+          tlsDaysRemaining
+        }));
+      });
+
+      req.on('timeout', () => req.destroy(new Error(`Timed out after ${probe.timeoutSeconds}s`)));
+      req.on('error', (error) => resolve({
+        statusCode: null,
+        body: '',
+        durationMs: Date.now() - start,
+        tlsDaysRemaining: null,
+        error: error.message
+      }));
+
+      req.end(body);
+    });
+  }
+
+  /**
+   * Microsoft.Insights/webtests resources bound to the App Insights component in azure-security-infrastructure.json
+   */
+  toArmResources() {
+    const componentId = "resourceId('Microsoft.Insights/components', variables('appInsightsName'))";
+
+    return this.probes.map(probe => {
+      const testName = `[concat(variables('appInsightsName'), '-${slugify(probe.name)}')]`;
+
+      return {
+        type: 'Microsoft.Insights/webtests',
+        apiVersion: WEB_TEST_API_VERSION,
+        name: testName,
+        location: "[parameters('location')]",
+        dependsOn: [`[${componentId}]`],
+        tags: {
+          [`[concat('hidden-link:', ${componentId})]`]: 'Resource'
+        },
+        kind: 'standard',
+        properties: {
+          SyntheticMonitorId: testName,
+          Name: probe.name,
+          Enabled: true,
+          Frequency: probe.frequencySeconds,
+          Timeout: probe.timeoutSeconds,
+          Kind: 'standard',
+          RetryEnabled: true,
+          Locations: probe.locations.map(id => ({ Id: id })),
+          Request: webTestRequest(probe),
+          ValidationRules: webTestValidationRules(probe)
+        }
+      };
+    });
+  }
+
+  /**
+   * Standalone ARM template with the same parameters/variables as azure-security-infrastructure.json
+   */
+  toArmTemplate() {
+    return {
+      $schema: 'https://schema.management.azure.com/schemas/2019-04-01/deploymentTemplate.json#',
+      contentVersion: '1.0.0.0',
+      parameters: {
+        projectName: { type: 'string', defaultValue: 'prospect-intelligence' },
+        environment: {
+          type: 'string',
+          defaultValue: 'production',
+          allowedValues: ['development', 'staging', 'production']
+        },
+        location: { type: 'string', defaultValue: '[resourceGroup().location]' }
+      },
+      variables: {
+        appInsightsName: "[concat(parameters('projectName'), '-ai-', parameters('environment'))]"
+      },
+      resources: this.toArmResources().map(resource => ({ ...resource, dependsOn: [] }))
+    };
+  }
+
+  toBicep() {
+    const lines = [
+      "param projectName string = 'prospect-intelligence'",
+      "param environment string = 'production'",
+      'param location string = resourceGroup().location',
+      '',
+      "var appInsightsName = '${projectName}-ai-${environment}'",
+      '',
+      "resource appInsights 'Microsoft.Insights/components@2020-02-02' existing = {",
+      '  name: appInsightsName',
+      '}'
+    ];
+
+    this.probes.forEach(probe => {
+      const slug = slugify(probe.name);
+      const identifier = slug.replace(/-([a-z0-9])/g, (match, char) => char.toUpperCase());
+
+      lines.push(
+        '',
+        `resource ${identifier}WebTest 'Microsoft.Insights/webtests@${WEB_TEST_API_VERSION}' = {`,
+        `  name: '\${appInsightsName}-${slug}'`,
+        '  location: location',
+        "  kind: 'standard'",
+        '  tags: {',
+        "    'hidden-link:${appInsights.id}': 'Resource'",
+        '  }',
+        '  properties: {',
+        `    SyntheticMonitorId: '\${appInsightsName}-${slug}'`,
+        `    Name: '${escapeBicep(probe.name)}'`,
+        '    Enabled: true',
+        `    Frequency: ${probe.frequencySeconds}`,
+        `    Timeout: ${probe.timeoutSeconds}`,
+        "    Kind: 'standard'",
+        '    RetryEnabled: true',
+        `    Locations: [${probe.locations.map(id => `{ Id: '${id}' }`).join(', ')}]`,
+        `    Request: ${toBicepValue(webTestRequest(probe), '    ')}`,
+        `    ValidationRules: ${toBicepValue(webTestValidationRules(probe), '    ')}`,
+        '  }',
+        '}'
+      );
+    });
+
+    return `${lines.join('\n')}\n`;
+  }
+}
+
+/**
+ * Request block shared by the ARM and Bicep exports, so both match the in-process probe
+ */
+function webTestRequest(probe) {
+  return {
+    RequestUrl: probe.url,
+    HttpVerb: probe.method,
+    Headers: Object.keys(probe.headers || {}).map(key => ({ key, value: probe.headers[key] })),
+    RequestBody: probe.body === undefined
+      ? undefined
+      : Buffer.from(typeof probe.body === 'string' ? probe.body : JSON.stringify(probe.body)).toString('base64'),
+    ParseDependentRequests: false
+  };
+}
+
+function webTestValidationRules(probe) {
+  const secure = probe.url.startsWith('https:');
+
+  return {
+    // Standard web tests accept a single expected status code
+    ExpectedHttpStatusCode: [].concat(probe.expectedStatus)[0],
+    SSLCheck: secure,
+    SSLCertRemainingLifetimeCheck: secure ? probe.tlsExpiryWarningDays : undefined,
+    ContentValidation: probe.bodyContains
+      ? { ContentMatch: [].concat(probe.bodyContains)[0], IgnoreCase: false, PassIfTextFound: true }
+      : undefined
+  };
+}
+
+/**
+ * Render a plain value as a Bicep literal (undefined properties are omitted, as in the ARM JSON)
+ */
+function toBicepValue(value, indent = '') {
+  const inner = `${indent}  `;
+
+  if (Array.isArray(value)) {
+    if (value.length === 0) return '[]';
+    return `[\n${value.map(item => `${inner}${toBicepValue(item, inner)}`).join('\n')}\n${indent}]`;
+  }
+  if (value && typeof value === 'object') {
+    const keys = Object.keys(value).filter(key => value[key] !== undefined);
+    if (keys.length === 0) return '{}';
+    const property = key => (/^[A-Za-z_][A-Za-z0-9_]*$/.test(key) ? key : `'${escapeBicep(key)}'`);
+    return `{\n${keys.map(key => `${inner}${property(key)}: ${toBicepValue(value[key], inner)}`).join('\n')}\n${indent}}`;
+  }
+  if (typeof value === 'string') return `'${escapeBicep(value)}'`;
+  return String(value);
+}
+
+/**
+ * Liveness probes for the n8n instance and its webhooks
+ * Requests carry no credentials, so every webhook (all use header auth) rejects them before doing
+ * any work: 401/403 means the workflow is active, 404 means it is not. No API key is sent, so none
+ * ends up in the exported web test definitions
+ */
+function createN8nWebhookProbes(baseUrl = process.env.N8N_BASE_URL) {
+  if (!baseUrl) return [];
+
+  const root = baseUrl.replace(/\/$/, '');
+  const headerAuthWebhooks = [
+    'website-analysis',
+    'automation-opportunity-detection',
+    'report-generation',
+    'crm-integration',
+    'instantly-webhook'
+  ];
+
+  return [
+    {
+      name: 'n8n-health',
+      url: `${root}/healthz`,
+      expectedStatus: 200,
+      maxLatencyMs: 2000
+    },
+    ...headerAuthWebhooks.map(path => ({
+      name: `n8n-webhook-${path}`,
+      url: `${root}/webhook/${path}`,
+      method: 'POST',
+      body: {},
+      expectedStatus: [403, 401],
+      maxLatencyMs: 5000
+    }))
+  ];
+}
+
+function certificateDaysRemaining(socket) {
+  if (!socket || typeof socket.getPeerCertificate !== 'function') return null;
+
+  const certificate = socket.getPeerCertificate();
+  if (!certificate || !certificate.valid_to) return null;
+
+  return Math.floor((new Date(certificate.valid_to).getTime() - Date.now()) / (24 * 60 * 60 * 1000));
+}
+
+function slugify(value) {
+  return String(value).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+}
+
+function escapeBicep(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/'/g, "\\'");
+}
+
+module.exports = {
+  SyntheticMonitor,
+  createN8nWebhookProbes,
+  DEFAULT_WEB_TEST_LOCATIONS
+};
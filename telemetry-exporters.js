@@ -0,0 +1,486 @@
+/**
+ * Telemetry Exporters for Prospect Intelligence Engine
+ * Pluggable telemetry sinks for ProspectIntelligenceMonitoring
+ * Supports Application Insights, OpenTelemetry (OTLP/HTTP JSON), structured console and in-memory export
+ */
+
+const http = require('http');
+const https = require('https');
+const os = require('os');
+
+// Application Insights SeverityLevel -> OpenTelemetry severity number/text
+const OTLP_SEVERITY = {
+  0: { number: 5, text: 'DEBUG' },
+  1: { number: 9, text: 'INFO' },
+  2: { number: 13, text: 'WARN' },
+  3: { number: 17, text: 'ERROR' },
+  4: { number: 21, text: 'FATAL' }
+};
+
+/**
+ * Base exporter - every sink receives normalized telemetry items:
+ * { type: 'event' | 'metric' | 'dependency' | 'trace' | 'exception' | 'availability' | 'request', time, data }
+ */
+class TelemetryExporter {
+  constructor(options = {}) {
+    this.name = options.name || this.constructor.name;
+  }
+
+  export(item) {
+    throw new Error(`${this.name} does not implement export()`);
+  }
+
+  async flush() {}
+
+  async shutdown() {
+    return this.flush();
+  }
+}
+
+/**
+ * Application Insights exporter - forwards items to an applicationinsights TelemetryClient
+ */
+class ApplicationInsightsExporter extends TelemetryExporter {
+  constructor(client, options = {}) {
+    super({ name: 'applicationinsights', ...options });
+    this.client = client;
+  }
+
+  export(item) {
+    // Tell SDK telemetry processors the item already went through the dispatcher pipeline
+    const telemetry = { ...item.data, contextObjects: { ...item.data.contextObjects, redacted: Boolean(item.redacted) } };
+
+    switch (item.type) {
+      case 'event':
+        return this.client.trackEvent(telemetry);
+      case 'metric':
+        return this.client.trackMetric(telemetry);
+      case 'dependency':
+        return this.client.trackDependency(telemetry);
+      case 'trace':
+        return this.client.trackTrace(telemetry);
+      case 'exception':
+        return this.client.trackException(telemetry);
+      case 'availability':
+        return this.client.trackAvailability(telemetry);
+      case 'request':
+        return this.client.trackRequest(telemetry);
+      default:
+        return undefined;
+    }
+  }
+
+  async flush() {
+    return new Promise((resolve) => {
+      this.client.flush({
+        callback: () => {
+          resolve();
+        }
+      });
+    });
+  }
+}
+
+/**
+ * OpenTelemetry exporter - batches items and posts OTLP/HTTP JSON
+ * Metrics go to /v1/metrics as gauges, everything else goes to /v1/logs as log records
+ * Batches are sent at maxBatchSize items or every flushIntervalMs (OTEL_BSP_SCHEDULE_DELAY), whichever comes first
+ */
+class OTLPHttpExporter extends TelemetryExporter {
+  constructor(options = {}) {
+    super({ name: 'otlp', ...options });
+    this.endpoint = (options.endpoint || process.env.OTEL_EXPORTER_OTLP_ENDPOINT || 'http://localhost:4318').replace(/\/$/, '');
+    this.headers = options.headers || parseHeaderList(process.env.OTEL_EXPORTER_OTLP_HEADERS);
+    this.timeoutMs = options.timeoutMs || 10000;
+    this.maxBatchSize = options.maxBatchSize || 512;
+    this.flushIntervalMs = options.flushIntervalMs || parseInt(process.env.OTEL_BSP_SCHEDULE_DELAY, 10) || 5000;
+    this.resourceAttributes = {
+      'service.name': options.serviceName || 'prospect-intelligence-engine',
+      'service.version': options.version || '2.1.0',
+      'deployment.environment': options.environment || process.env.NODE_ENV || 'production',
+      'host.name': os.hostname()
+    };
+
+    this.logBuffer = [];
+    this.metricBuffer = [];
+
+    // Low-traffic processes never fill a batch; the timer must not keep the process alive
+    this.flushTimer = setInterval(() => this.flush().catch(() => {}), this.flushIntervalMs);
+    if (this.flushTimer.unref) this.flushTimer.unref();
+  }
+
+  export(item) {
+    if (item.type === 'metric') {
+      this.metricBuffer.push(item);
+    } else {
+      this.logBuffer.push(item);
+    }
+
+    if (this.logBuffer.length + this.metricBuffer.length >= this.maxBatchSize) {
+      this.flush().catch(() => {});
+    }
+  }
+
+  async flush() {
+    const logs = this.logBuffer.splice(0);
+    const metrics = this.metricBuffer.splice(0);
+    const requests = [];
+
+    if (logs.length > 0) {
+      requests.push(this.post('/v1/logs', this.buildLogsPayload(logs)));
+    }
+    if (metrics.length > 0) {
+      requests.push(this.post('/v1/metrics', this.buildMetricsPayload(metrics)));
+    }
+
+    await Promise.all(requests);
+  }
+
+  async shutdown() {
+    clearInterval(this.flushTimer);
+    return this.flush();
+  }
+
+  buildResource() {
+    return { attributes: toOTLPAttributes(this.resourceAttributes) };
+  }
+
+  buildLogsPayload(items) {
+    return {
+      resourceLogs: [{
+        resource: this.buildResource(),
+        scopeLogs: [{
+          scope: { name: this.resourceAttributes['service.name'], version: this.resourceAttributes['service.version'] },
+          logRecords: items.map(item => this.toLogRecord(item))
+        }]
+      }]
+    };
+  }
+
+  buildMetricsPayload(items) {
+    return {
+      resourceMetrics: [{
+        resource: this.buildResource(),
+        scopeMetrics: [{
+          scope: { name: this.resourceAttributes['service.name'], version: this.resourceAttributes['service.version'] },
+          metrics: items.map(item => this.toMetric(item))
+        }]
+      }]
+    };
+  }
+
+  /**
+   * Single values become gauges; pre-aggregated values (count/min/max) become summaries
+   */
+  toMetric(item) {
+    const { data } = item;
+    const attributes = toOTLPAttributes(data.properties);
+    const timeUnixNano = toUnixNano(item.time);
+
+    if (data.count === undefined) {
+      return {
+        name: data.name,
+        gauge: { dataPoints: [{ timeUnixNano, asDouble: Number(data.value) || 0, attributes }] }
+      };
+    }
+
+    return {
+      name: data.name,
+      summary: {
+        dataPoints: [{
+          timeUnixNano,
+          count: String(data.count),
+          sum: Number(data.value) || 0,
+          quantileValues: [
+            { quantile: 0, value: data.min },
+            { quantile: 1, value: data.max }
+          ],
+          attributes
+        }]
+      }
+    };
+  }
+
+  toLogRecord(item) {
+    const { data } = item;
+    const severity = OTLP_SEVERITY[data.severity] || OTLP_SEVERITY[item.type === 'exception' ? 3 : 1];
+    const body = data.message || data.name || (data.exception && data.exception.message) || item.type;
+
+    const attributes = {
+      'telemetry.type': item.type,
+      ...data.properties,
+      ...prefixKeys(data.measurements, 'measurement.')
+    };
+
+    // Flatten dependency/availability/request fields that are not plain properties
+    ['target', 'data', 'duration', 'resultCode', 'success', 'dependencyTypeName', 'runLocation', 'url']
+      .forEach(key => {
+        if (data[key] !== undefined) attributes[key] = data[key];
+      });
+
+    const record = {
+      timeUnixNano: toUnixNano(item.time),
+      severityNumber: severity.number,
+      severityText: severity.text,
+      body: { stringValue: String(body) },
+      attributes: toOTLPAttributes(attributes)
+    };
+
+    // W3C trace correlation carried as Application Insights operation tags
+    const tags = data.tagOverrides || {};
+    if (tags['ai.operation.id']) {
+      record.traceId = tags['ai.operation.id'];
+      record.spanId = data.id || tags['ai.operation.parentId'];
+    }
+
+    return record;
+  }
+
+  post(path, payload) {
+    const url = new URL(`${this.endpoint}${path}`);
+    const transport = url.protocol === 'https:' ? https : http;
+    const body = JSON.stringify(payload);
+
+    return new Promise((resolve) => {
+      const req = transport.request(url, {
+        method: 'POST',
+        timeout: this.timeoutMs,
+        headers: {
+          'Content-Type': 'application/json',
+          'Content-Length': Buffer.byteLength(body),
+          ...this.headers
+        }
+      }, (res) => {
+        res.resume();
+        res.on('end', () => {
+          if (res.statusCode >= 400) {
+            process.stderr.write(`OTLP export to ${path} failed with status ${res.statusCode}\n`);
+          }
+          resolve();
+        });
+      });
+
+      req.on('timeout', () => req.destroy(new Error('OTLP export timed out')));
+      req.on('error', (error) => {
+        process.stderr.write(`OTLP export to ${path} failed: ${error.message}\n`);
+        resolve();
+      });
+
+      req.end(body);
+    });
+  }
+}
+
+/**
+ * Console exporter - writes one structured JSON line per item (local development, container log shipping)
+ */
+class ConsoleJsonExporter extends TelemetryExporter {
+  constructor(options = {}) {
+    super({ name: 'console', ...options });
+    this.stream = options.stream || process.stdout;
+  }
+
+  export(item) {
+    this.stream.write(`${JSON.stringify({
+      timestamp: item.time.toISOString(),
+      telemetryType: item.type,
+      ...item.data
+    })}\n`);
+  }
+}
+
+/**
+ * In-memory exporter - retains items so unit tests can assert on emitted telemetry
+ */
+class InMemoryExporter extends TelemetryExporter {
+  constructor(options = {}) {
+    super({ name: 'memory', ...options });
+    this.maxItems = options.maxItems || 10000;
+    this.items = [];
+  }
+
+  export(item) {
+    this.items.push(item);
+    if (this.items.length > this.maxItems) {
+      this.items.shift();
+    }
+  }
+
+  getItems(type) {
+    return type ? this.items.filter(item => item.type === type) : this.items.slice();
+  }
+
+  getEvents(name) {
+    return this.getItems('event').map(item => item.data).filter(data => !name || data.name === name);
+  }
+
+  getMetrics(name) {
+    return this.getItems('metric').map(item => item.data).filter(data => !name || data.name === name);
+  }
+
+  clear() {
+    this.items = [];
+  }
+}
+
+/**
+ * TelemetryClient-compatible dispatcher that fans every track* call out to the configured exporters
+ * Processors run in order before export; a processor returns the (possibly transformed) item or null to drop it
+ * Processors are functions or objects with process(item) and optional attach(dispatcher), flush() and shutdown()
+ */
+class TelemetryDispatcher {
+  constructor(exporters = [], options = {}) {
+    this.exporters = exporters;
+    this.processors = [];
+    this.redacted = Boolean(options.redacted);
+    this.commonProperties = {};
+
+    (options.processors || []).forEach(processor => this.addProcessor(processor));
+  }
+
+  addProcessor(processor) {
+    if (typeof processor.attach === 'function') {
+      processor.attach(this);
+    }
+    this.processors.push(processor);
+  }
+
+  trackEvent(telemetry) { this.dispatch('event', telemetry); }
+  trackMetric(telemetry) { this.dispatch('metric', telemetry); }
+  trackDependency(telemetry) { this.dispatch('dependency', telemetry); }
+  trackTrace(telemetry) { this.dispatch('trace', telemetry); }
+  trackException(telemetry) { this.dispatch('exception', telemetry); }
+  trackAvailability(telemetry) { this.dispatch('availability', telemetry); }
+  trackRequest(telemetry) { this.dispatch('request', telemetry); }
+
+  dispatch(type, telemetry) {
+    let item = {
+      type,
+      time: telemetry.time || new Date(),
+      redacted: this.redacted,
+      data: {
+        ...telemetry,
+        properties: { ...this.commonProperties, ...telemetry.properties }
+      }
+    };
+
+    for (const processor of this.processors) {
+      item = typeof processor === 'function' ? processor(item) : processor.process(item);
+      if (!item) return;
+    }
+
+    this.exportItem(item);
+  }
+
+  /**
+   * Send an already processed item to every exporter (used by aggregating processors)
+   */
+  exportItem(item) {
+    this.exporters.forEach(exporter => {
+      try {
+        exporter.export(item);
+      } catch (error) {
+        process.stderr.write(`Telemetry exporter ${exporter.name} failed: ${error.message}\n`);
+      }
+    });
+  }
+
+  getExporter(name) {
+    return this.exporters.find(exporter => exporter.name === name);
+  }
+
+  async flush() {
+    this.processors.forEach(processor => {
+      if (typeof processor.flush === 'function') processor.flush();
+    });
+    await Promise.all(this.exporters.map(exporter => exporter.flush()));
+  }
+
+  async shutdown() {
+    this.processors.forEach(processor => {
+      if (typeof processor.shutdown === 'function') processor.shutdown();
+      else if (typeof processor.flush === 'function') processor.flush();
+    });
+    await Promise.all(this.exporters.map(exporter => exporter.shutdown()));
+  }
+}
+
+/**
+ * Build exporters from names ('applicationinsights', 'otlp', 'console', 'memory') or exporter instances
+ */
+function createExporters(specs, context = {}) {
+  return specs
+    .map(spec => {
+      if (spec instanceof TelemetryExporter) return spec;
+
+      switch (String(spec).trim().toLowerCase()) {
+        case 'applicationinsights':
+        case 'appinsights': {
+          const client = context.createApplicationInsightsClient && context.createApplicationInsightsClient();
+          return client ? new ApplicationInsightsExporter(client) : null;
+        }
+        case 'otlp':
+        case 'opentelemetry':
+          return new OTLPHttpExporter(context);
+        case 'console':
+          return new ConsoleJsonExporter(context);
+        case 'memory':
+          return new InMemoryExporter(context);
+        case '':
+          return null;
+        default:
+          throw new Error(`Unknown telemetry exporter: ${spec}`);
+      }
+    })
+    .filter(Boolean);
+}
+
+function parseHeaderList(value) {
+  if (!value) return {};
+
+  return value.split(',').reduce((headers, pair) => {
+    const separator = pair.indexOf('=');
+    if (separator > 0) {
+      headers[pair.slice(0, separator).trim()] = decodeURIComponent(pair.slice(separator + 1).trim());
+    }
+    return headers;
+  }, {});
+}
+
+// Items without a valid timestamp are stamped with the export time instead of failing the batch
+function toUnixNano(date) {
+  const time = date instanceof Date ? date.getTime() : new Date(date).getTime();
+  return `${BigInt(Number.isFinite(time) ? time : Date.now()) * 1000000n}`;
+}
+
+function prefixKeys(values, prefix) {
+  if (!values) return {};
+
+  return Object.keys(values).reduce((prefixed, key) => {
+    prefixed[`${prefix}${key}`] = values[key];
+    return prefixed;
+  }, {});
+}
+
+function toOTLPAttributes(values) {
+  if (!values) return [];
+
+  return Object.keys(values)
+    .filter(key => values[key] !== undefined && values[key] !== null)
+    .map(key => {
+      const value = values[key];
+      if (typeof value === 'boolean') return { key, value: { boolValue: value } };
+      if (typeof value === 'number') return { key, value: { doubleValue: value } };
+      return { key, value: { stringValue: typeof value === 'string' ? value : JSON.stringify(value) } };
+    });
+}
+
+module.exports = {
+  TelemetryExporter,
+  ApplicationInsightsExporter,
+  OTLPHttpExporter,
+  ConsoleJsonExporter,
+  InMemoryExporter,
+  TelemetryDispatcher,
+  createExporters
+};
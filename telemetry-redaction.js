@@ -0,0 +1,202 @@
+/**
+ * Telemetry Redaction for Prospect Intelligence Engine
+ * Data-classification pipeline applied to every telemetry item before export
+ * Defaults follow the Information Classification table in soc2-compliance-documentation.md:
+ * Restricted (PII) is hashed, truncated or dropped; Confidential free text is scrubbed of PII patterns
+ */
+
+const crypto = require('crypto');
+
+const DATA_CLASSIFICATIONS = ['public', 'internal', 'confidential', 'restricted'];
+
+const REDACTION_ACTIONS = ['allow', 'hash', 'truncate', 'truncate_ip', 'scrub', 'drop'];
+
+// Per-property policy - property names match the track* methods in application-insights-config.js
+const DEFAULT_PROPERTY_POLICIES = {
+  userId: { classification: 'restricted', action: 'hash' },
+  email: { classification: 'restricted', action: 'hash' },
+  leadEmail: { classification: 'restricted', action: 'hash' },
+  recipientEmail: { classification: 'restricted', action: 'hash' },
+  contactEmail: { classification: 'restricted', action: 'hash' },
+  ipAddress: { classification: 'restricted', action: 'truncate_ip' },
+  userAgent: { classification: 'confidential', action: 'truncate', maxLength: 64 },
+  errorStack: { classification: 'confidential', action: 'drop' },
+  errorMessage: { classification: 'confidential', action: 'scrub', maxLength: 512 },
+  details: { classification: 'confidential', action: 'scrub', maxLength: 1024 },
+  companyId: { classification: 'internal', action: 'allow' },
+  tenantId: { classification: 'internal', action: 'allow' },
+  workflowExecutionId: { classification: 'internal', action: 'allow' },
+  executionId: { classification: 'internal', action: 'allow' }
+};
+
+// Automated PII detection for free text (C1.2) - applied by the 'scrub' action
+const PII_PATTERNS = [
+  { name: 'EMAIL', pattern: /[A-Z0-9._%+-]+@[A-Z0-9.-]+\.[A-Z]{2,}/gi },
+  { name: 'BEARER_TOKEN', pattern: /Bearer\s+[A-Za-z0-9\-._~+/]+=*/g },
+  { name: 'API_KEY', pattern: /((?:api[_-]?key|secret|password|token)["']?\s*[:=]\s*["']?)[^"'\s,}]+/gi, keepPrefix: true },
+  { name: 'IPV4', pattern: /\b(?:\d{1,3}\.){3}\d{1,3}\b/g },
+  { name: 'PHONE', pattern: /(?:\+\d{1,3}[\s.-]?)?\(?\d{3}\)?[\s.-]\d{3}[\s.-]\d{4}\b/g }
+];
+
+// Used when TELEMETRY_REDACTION_SALT is unset: hashes stay unguessable but only correlate within this process
+let processSalt = null;
+
+function defaultSalt() {
+  if (!processSalt) {
+    processSalt = crypto.randomBytes(32).toString('hex');
+    console.warn('TELEMETRY_REDACTION_SALT is not set - hashing with a random per-process salt, so hashed values will not match across restarts or instances');
+  }
+  return processSalt;
+}
+
+class TelemetryRedactor {
+  /**
+   * options.properties   - per-property overrides merged over DEFAULT_PROPERTY_POLICIES
+   * options.mode         - 'denylist' (unlisted properties get defaultAction) or 'allowlist' (unlisted are dropped)
+   * options.defaultAction - action for unlisted properties in denylist mode (default 'scrub')
+   * options.salt         - HMAC salt for the 'hash' action (TELEMETRY_REDACTION_SALT, else random per process)
+   */
+  constructor(options = {}) {
+    this.mode = options.mode || process.env.TELEMETRY_REDACTION_MODE || 'denylist';
+    this.defaultAction = options.defaultAction || 'scrub';
+    this.salt = options.salt || process.env.TELEMETRY_REDACTION_SALT || defaultSalt();
+    this.properties = { ...DEFAULT_PROPERTY_POLICIES, ...options.properties };
+
+    if (!['denylist', 'allowlist'].includes(this.mode)) {
+      throw new Error(`Invalid telemetry redaction mode: ${this.mode}`);
+    }
+
+    Object.keys(this.properties).forEach(name => {
+      const policy = this.properties[name];
+      if (!REDACTION_ACTIONS.includes(policy.action)) {
+        throw new Error(`Invalid redaction action for ${name}: ${policy.action}`);
+      }
+      if (policy.classification && !DATA_CLASSIFICATIONS.includes(policy.classification)) {
+        throw new Error(`Invalid data classification for ${name}: ${policy.classification}`);
+      }
+    });
+  }
+
+  /**
+   * Redact a dispatcher telemetry item ({ type, time, data }) in place of the original
+   */
+  redactItem(item) {
+    const data = { ...item.data, properties: this.redactProperties(item.data.properties) };
+
+    if (data.message !== undefined) data.message = this.scrub(data.message);
+    if (item.type === 'dependency' && data.data !== undefined) data.data = this.scrub(data.data);
+    if (item.type === 'request' && data.url !== undefined) data.url = this.scrub(data.url);
+
+    if (item.type === 'exception' && data.exception) {
+      const exception = new Error(this.scrub(data.exception.message));
+      exception.name = data.exception.name;
+      data.exception = exception;
+    }
+
+    return { ...item, data };
+  }
+
+  redactProperties(properties) {
+    if (!properties) return properties;
+
+    return Object.keys(properties).reduce((redacted, name) => {
+      const value = this.redactValue(name, properties[name]);
+      if (value !== undefined) redacted[name] = value;
+      return redacted;
+    }, {});
+  }
+
+  redactValue(name, value) {
+    if (value === undefined || value === null) return value;
+
+    const policy = this.properties[name]
+      || (this.mode === 'allowlist' ? { action: 'drop' } : { action: this.defaultAction });
+    const text = typeof value === 'string' ? value : String(value);
+
+    switch (policy.action) {
+      case 'allow':
+        return value;
+      case 'drop':
+        return undefined;
+      case 'hash':
+        return this.hash(text);
+      case 'truncate_ip':
+        return truncateIpAddress(text);
+      case 'truncate':
+        return truncate(text, policy.maxLength || 64);
+      case 'scrub':
+        return policy.maxLength ? truncate(this.scrub(text), policy.maxLength) : this.scrub(text);
+      default:
+        return undefined;
+    }
+  }
+
+  hash(value) {
+    return `h:${crypto.createHmac('sha256', this.salt).update(value).digest('hex').slice(0, 16)}`;
+  }
+
+  scrub(value) {
+    if (typeof value !== 'string') return value;
+
+    return PII_PATTERNS.reduce((text, { name, pattern, keepPrefix }) =>
+      text.replace(pattern, (match, prefix) => (keepPrefix ? `${prefix}[REDACTED_${name}]` : `[REDACTED_${name}]`)),
+    value);
+  }
+
+  /**
+   * Application Insights telemetry processor for auto-collected telemetry
+   * Items already redacted by the dispatcher are flagged through contextObjects and skipped
+   */
+  createApplicationInsightsProcessor() {
+    return (envelope, contextObjects) => {
+      if (contextObjects && contextObjects.redacted) return true;
+
+      const baseData = envelope.data && envelope.data.baseData;
+      if (!baseData) return true;
+
+      baseData.properties = this.redactProperties(baseData.properties);
+      if (baseData.message !== undefined) baseData.message = this.scrub(baseData.message);
+      if (baseData.url !== undefined) baseData.url = this.scrub(baseData.url);
+      if (baseData.data !== undefined) baseData.data = this.scrub(baseData.data);
+
+      (baseData.exceptions || []).forEach(exception => {
+        exception.message = this.scrub(exception.message);
+        exception.parsedStack = undefined;
+        exception.stack = undefined;
+      });
+
+      // Drop the client IP that App Insights attaches to auto-collected requests
+      if (envelope.tags) {
+        Object.keys(envelope.tags)
+          .filter(tag => tag.endsWith('location.ip'))
+          .forEach(tag => {
+            envelope.tags[tag] = truncateIpAddress(envelope.tags[tag]);
+          });
+      }
+
+      return true;
+    };
+  }
+}
+
+function truncate(value, maxLength) {
+  return value.length > maxLength ? `${value.slice(0, maxLength)}...` : value;
+}
+
+function truncateIpAddress(value) {
+  // IPv4 keeps the /24 network, IPv6 keeps the /48 prefix
+  if (/^\d{1,3}(\.\d{1,3}){3}$/.test(value)) {
+    return value.replace(/\.\d{1,3}$/, '.0');
+  }
+  if (value.includes(':')) {
+    return `${value.split(':').slice(0, 3).join(':')}::`;
+  }
+  return '[REDACTED_IP]';
+}
+
+module.exports = {
+  TelemetryRedactor,
+  DEFAULT_PROPERTY_POLICIES,
+  DATA_CLASSIFICATIONS,
+  REDACTION_ACTIONS
+};
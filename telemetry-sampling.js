@@ -0,0 +1,264 @@
+/**
+ * Telemetry Volume Controls for Prospect Intelligence Engine
+ * Dispatcher processors that keep ingestion cost flat as prospect volume grows:
+ * - MetricAggregator pre-aggregates metrics (count/sum/min/max per dimension set per interval)
+ * - AdaptiveSampler samples events, traces, requests and dependencies towards a target rate
+ * - TelemetryRateLimiter caps items emitted per second
+ * Errors and high-severity security events are always retained
+ */
+
+const crypto = require('crypto');
+
+// Application Insights SeverityLevel.Error and above
+const RETAINED_TRACE_SEVERITY = 3;
+const RETAINED_SECURITY_SEVERITIES = ['high', 'critical'];
+const DEFAULT_ALWAYS_KEEP_EVENTS = ['OpenAIBudgetAlert', 'DeliverabilityAlert'];
+
+/**
+ * True for telemetry that must survive sampling and rate limiting
+ */
+function isRetained(item, alwaysKeepEvents = DEFAULT_ALWAYS_KEEP_EVENTS) {
+  const { data } = item;
+  const properties = data.properties || {};
+
+  if (item.type === 'exception') return true;
+  if (item.type === 'trace' && data.severity >= RETAINED_TRACE_SEVERITY) return true;
+  if (data.success === false || properties.success === 'false') return true;
+  if (RETAINED_SECURITY_SEVERITIES.includes(properties.severity)) return true;
+  if (item.type === 'event' && alwaysKeepEvents.includes(data.name)) return true;
+
+  return false;
+}
+
+class MetricAggregator {
+  /**
+   * options.intervalMs - aggregation interval (TELEMETRY_AGGREGATION_INTERVAL_MS, default 60s)
+   * options.metrics    - metric names to aggregate (default: all)
+   */
+  constructor(options = {}) {
+    this.intervalMs = options.intervalMs || Number(process.env.TELEMETRY_AGGREGATION_INTERVAL_MS) || 60000;
+    this.metrics = options.metrics || null;
+    this.series = new Map();
+    this.timer = null;
+    this.sink = null;
+  }
+
+  attach(dispatcher) {
+    this.sink = item => dispatcher.exportItem(item);
+
+    if (!this.timer) {
+      this.timer = setInterval(() => this.flush(), this.intervalMs);
+      this.timer.unref();
+    }
+  }
+
+  process(item) {
+    // Pass through non-metrics, already aggregated metrics and metrics outside the configured set
+    if (item.type !== 'metric' || item.data.count !== undefined) return item;
+    if (this.metrics && !this.metrics.includes(item.data.name)) return item;
+
+    const value = Number(item.data.value) || 0;
+    const key = `${item.data.name}|${seriesKey(item.data.properties)}`;
+    const series = this.series.get(key);
+
+    if (series) {
+      series.count += 1;
+      series.sum += value;
+      series.min = Math.min(series.min, value);
+      series.max = Math.max(series.max, value);
+    } else {
+      this.series.set(key, {
+        name: item.data.name,
+        properties: item.data.properties,
+        redacted: item.redacted,
+        startTime: item.time,
+        count: 1,
+        sum: value,
+        min: value,
+        max: value
+      });
+    }
+
+    return null;
+  }
+
+  /**
+   * Emit one aggregated metric per series - value is the sum, as Application Insights expects
+   */
+  flush() {
+    if (!this.sink) return;
+
+    const series = Array.from(this.series.values());
+    this.series.clear();
+
+    series.forEach(entry => {
+      this.sink({
+        type: 'metric',
+        time: entry.startTime,
+        redacted: entry.redacted,
+        data: {
+          name: entry.name,
+          value: entry.sum,
+          count: entry.count,
+          min: entry.min,
+          max: entry.max,
+          properties: entry.properties
+        }
+      });
+    });
+  }
+
+  shutdown() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+    this.flush();
+  }
+}
+
+class AdaptiveSampler {
+  /**
+   * options.targetItemsPerSecond - sampled item rate to converge on (TELEMETRY_SAMPLING_TARGET_PER_SECOND, default 20)
+   * options.minPercentage        - floor for the sampling percentage (default 1)
+   * options.evaluationIntervalMs - how often the percentage is recalculated (default 15s)
+   * options.alwaysKeepEvents     - event names that are never sampled out
+   */
+  constructor(options = {}) {
+    this.targetItemsPerSecond = options.targetItemsPerSecond
+      || Number(process.env.TELEMETRY_SAMPLING_TARGET_PER_SECOND) || 20;
+    this.minPercentage = options.minPercentage || 1;
+    this.evaluationIntervalMs = options.evaluationIntervalMs || 15000;
+    this.alwaysKeepEvents = options.alwaysKeepEvents || DEFAULT_ALWAYS_KEEP_EVENTS;
+
+    this.percentage = 100;
+    this.windowStart = Date.now();
+    this.windowCount = 0;
+  }
+
+  process(item) {
+    if (item.type === 'metric' || isRetained(item, this.alwaysKeepEvents)) return item;
+
+    this.windowCount += 1;
+    this.evaluate();
+
+    if (this.percentage >= 100) return item;
+    if (samplingScore(item) >= this.percentage) return null;
+
+    // Sampled items carry their percentage so dashboards can re-weight counts
+    return {
+      ...item,
+      data: {
+        ...item.data,
+        properties: { ...item.data.properties, samplingPercentage: String(this.percentage) }
+      }
+    };
+  }
+
+  evaluate(now = Date.now()) {
+    const elapsedMs = now - this.windowStart;
+    if (elapsedMs < this.evaluationIntervalMs) return;
+
+    const observedPerSecond = this.windowCount / (elapsedMs / 1000);
+    const percentage = observedPerSecond > 0 ? (this.targetItemsPerSecond / observedPerSecond) * 100 : 100;
+
+    this.percentage = Math.round(Math.min(100, Math.max(this.minPercentage, percentage)) * 100) / 100;
+    this.windowStart = now;
+    this.windowCount = 0;
+  }
+}
+
+class TelemetryRateLimiter {
+  /**
+   * options.maxItemsPerSecond - emit cap for non-retained items (TELEMETRY_MAX_ITEMS_PER_SECOND, default 200)
+   */
+  constructor(options = {}) {
+    this.maxItemsPerSecond = options.maxItemsPerSecond || Number(process.env.TELEMETRY_MAX_ITEMS_PER_SECOND) || 200;
+    this.alwaysKeepEvents = options.alwaysKeepEvents || DEFAULT_ALWAYS_KEEP_EVENTS;
+    this.currentSecond = null;
+    this.emitted = 0;
+    this.dropped = 0;
+    this.sink = null;
+  }
+
+  attach(dispatcher) {
+    this.sink = item => dispatcher.exportItem(item);
+  }
+
+  process(item, now = Date.now()) {
+    const second = Math.floor(now / 1000);
+    if (second !== this.currentSecond) {
+      this.reportDropped();
+      this.currentSecond = second;
+      this.emitted = 0;
+    }
+
+    if (isRetained(item, this.alwaysKeepEvents)) return item;
+
+    if (this.emitted >= this.maxItemsPerSecond) {
+      this.dropped += 1;
+      return null;
+    }
+
+    this.emitted += 1;
+    return item;
+  }
+
+  reportDropped() {
+    if (this.dropped === 0 || !this.sink) return;
+
+    this.sink({
+      type: 'metric',
+      time: new Date(),
+      data: {
+        name: 'Telemetry_Items_Dropped',
+        value: this.dropped,
+        properties: { reason: 'rate_limit' }
+      }
+    });
+    this.dropped = 0;
+  }
+
+  flush() {
+    this.reportDropped();
+  }
+}
+
+/**
+ * Build the default volume-control processors (options.aggregation/sampling/rateLimit: false disables each)
+ * Aggregation runs first so metrics never count against the sampler or the emit cap
+ */
+function createVolumeControls(options = {}) {
+  return [
+    options.aggregation === false ? null : new MetricAggregator(options.aggregation),
+    options.sampling === false ? null : new AdaptiveSampler(options.sampling),
+    options.rateLimit === false ? null : new TelemetryRateLimiter(options.rateLimit)
+  ].filter(Boolean);
+}
+
+function seriesKey(properties) {
+  if (!properties) return '';
+
+  return Object.keys(properties)
+    .sort()
+    .map(key => `${key}=${properties[key]}`)
+    .join(',');
+}
+
+/**
+ * Score in [0, 100) - items of the same trace share a score so traces are sampled as a whole
+ */
+function samplingScore(item) {
+  const traceId = item.data.tagOverrides && item.data.tagOverrides['ai.operation.id'];
+  if (!traceId) return Math.random() * 100;
+
+  return (crypto.createHash('sha256').update(traceId).digest().readUInt32BE(0) % 10000) / 100;
+}
+
+module.exports = {
+  MetricAggregator,
+  AdaptiveSampler,
+  TelemetryRateLimiter,
+  createVolumeControls,
+  isRetained
+};
@@ -0,0 +1,328 @@
+/**
+ * Test Data Factory for Prospect Intelligence Engine load tests
+ * Generates tenants, companies, website_analyses and automation_opportunities that satisfy the
+ * constraints in prospect_intelligence_schema.sql, so load tests exercise real rows instead of error paths
+ * Output is deterministic for a given seed: every k6 VU builds the same ids in the init context
+ *
+ * Usage: node test-data-factory.js sql [--seed <seed>] | psql "$POSTGRES_CONNECTION_STRING"
+ *        node test-data-factory.js cleanup-sql [--seed <seed>] | psql "$POSTGRES_CONNECTION_STRING"
+ */
+
+const INDUSTRIES = {
+  'Professional Services': ['Accounting', 'Legal', 'Consulting'],
+  'Marketing Agency': ['Digital Marketing', 'Content Marketing', 'SEO'],
+  'Technology': ['SaaS', 'IT Services', 'Managed Services'],
+  'Real Estate': ['Residential Brokerage', 'Property Management'],
+  'Healthcare': ['Dental Practice', 'Physiotherapy Clinic']
+};
+
+const COMPANY_SIZES = {
+  startup: { employees: [1, 10], revenue: [50000, 500000] },
+  small: { employees: [11, 50], revenue: [500000, 5000000] },
+  medium: { employees: [51, 250], revenue: [5000000, 50000000] },
+  large: { employees: [251, 1000], revenue: [50000000, 250000000] }
+};
+
+const AUTOMATION_LEVELS = ['minimal', 'basic', 'moderate', 'advanced'];
+const SUBSCRIPTION_TIERS = ['basic', 'professional', 'enterprise'];
+const TOOLS = ['HubSpot', 'Salesforce', 'Zapier', 'QuickBooks', 'Google Workspace', 'Slack', 'Calendly', 'Mailchimp', 'Asana', 'WordPress'];
+
+const PROCESSES = [
+  { name: 'Lead intake and qualification', category: 'sales', method: 'manual_email', frequency: 'daily', automationType: 'crm_workflow' },
+  { name: 'Client onboarding paperwork', category: 'operations', method: 'spreadsheet', frequency: 'weekly', automationType: 'document_automation' },
+  { name: 'Invoice generation and follow-up', category: 'finance', method: 'manual_entry', frequency: 'weekly', automationType: 'accounting_integration' },
+  { name: 'Appointment scheduling', category: 'operations', method: 'phone', frequency: 'daily', automationType: 'scheduling_integration' },
+  { name: 'Monthly client reporting', category: 'reporting', method: 'spreadsheet', frequency: 'monthly', automationType: 'report_generation' },
+  { name: 'Social media publishing', category: 'marketing', method: 'manual_posting', frequency: 'daily', automationType: 'content_scheduling' }
+];
+
+// Package price per service_tier, matching service_packages
+const SERVICE_TIERS = {
+  basic_2_5k: { price: 2500, complexity: 'low', weeks: [2, 4] },
+  professional_7_5k: { price: 7500, complexity: 'medium', weeks: [4, 8] },
+  enterprise_15k: { price: 15000, complexity: 'high', weeks: [8, 16] }
+};
+
+class TestDataFactory {
+  /**
+   * options.seed                    - any string/number; same seed => same ids (TEST_DATA_SEED)
+   * options.tenants                 - tenants to create (TEST_DATA_TENANTS, default 2)
+   * options.companiesPerTenant      - companies per tenant (TEST_DATA_COMPANIES_PER_TENANT, default 25)
+   * options.opportunitiesPerCompany - automation_opportunities per company (default 3)
+   */
+  constructor(options = {}) {
+    this.seed = String(options.seed || 'prospect-load-test');
+    this.tenantCount = options.tenants || 2;
+    this.companiesPerTenant = options.companiesPerTenant || 25;
+    this.opportunitiesPerCompany = options.opportunitiesPerCompany || 3;
+    this.createdAt = options.createdAt || new Date().toISOString();
+    this.random = mulberry32(hashSeed(this.seed));
+    // Keeps tenants.domain unique between runs with different seeds
+    this.runTag = hashSeed(this.seed).toString(36);
+    this.dataset = null;
+  }
+
+  static fromEnv(env) {
+    return new TestDataFactory({
+      seed: env.TEST_DATA_SEED,
+      tenants: parseInt(env.TEST_DATA_TENANTS || '0', 10) || undefined,
+      companiesPerTenant: parseInt(env.TEST_DATA_COMPANIES_PER_TENANT || '0', 10) || undefined
+    });
+  }
+
+  /**
+   * { tenants, companies, website_analyses, automation_opportunities } - rows keyed by column name
+   */
+  build() {
+    if (this.dataset) return this.dataset;
+
+    const dataset = { tenants: [], companies: [], website_analyses: [], automation_opportunities: [] };
+
+    for (let t = 0; t < this.tenantCount; t++) {
+      const tenant = this.buildTenant(t);
+      dataset.tenants.push(tenant);
+
+      for (let c = 0; c < this.companiesPerTenant; c++) {
+        const company = this.buildCompany(tenant, c);
+        const analysis = this.buildWebsiteAnalysis(company);
+        dataset.companies.push(company);
+        dataset.website_analyses.push(analysis);
+
+        this.sample(PROCESSES, this.opportunitiesPerCompany).forEach(template => {
+          dataset.automation_opportunities.push(this.buildOpportunity(company, analysis, template));
+        });
+      }
+    }
+
+    this.dataset = dataset;
+    return dataset;
+  }
+
+  buildTenant(index) {
+    return {
+      id: this.uuid(),
+      name: `Load Test Tenant ${index + 1}`,
+      domain: `loadtest-${this.runTag}-${index + 1}.example.com`,
+      subscription_tier: SUBSCRIPTION_TIERS[index % SUBSCRIPTION_TIERS.length],
+      status: 'active',
+      settings: { load_test: true, seed: this.seed },
+      created_at: this.createdAt
+    };
+  }
+
+  buildCompany(tenant, index) {
+    const industry = this.pick(Object.keys(INDUSTRIES));
+    const sizeCategory = this.pick(Object.keys(COMPANY_SIZES));
+    const size = COMPANY_SIZES[sizeCategory];
+    const employeeMin = this.integer(size.employees[0], size.employees[1]);
+    const revenueMin = this.integer(size.revenue[0], size.revenue[1] / 2);
+    const slug = `${industry.toLowerCase().replace(/[^a-z]+/g, '-')}-${this.runTag}-${index + 1}`;
+    const domain = `${slug}.example.com`;
+
+    return {
+      id: this.uuid(),
+      tenant_id: tenant.id,
+      name: `${industry} Prospect ${index + 1}`,
+      website: `https://${domain}`,
+      domain,
+      industry,
+      sub_industry: this.pick(INDUSTRIES[industry]),
+      country: 'United States',
+      company_size_category: sizeCategory,
+      employee_count_min: employeeMin,
+      employee_count_max: Math.min(employeeMin * 2, size.employees[1]),
+      annual_revenue_min: revenueMin,
+      annual_revenue_max: revenueMin * 2,
+      founded_year: this.integer(1985, 2022),
+      business_model: this.pick(['B2B', 'B2C', 'B2B2C']),
+      tech_stack: this.sample(TOOLS, this.integer(2, 5)),
+      status: 'analyzed',
+      source: 'load_test',
+      created_at: this.createdAt
+    };
+  }
+
+  buildWebsiteAnalysis(company) {
+    return {
+      id: this.uuid(),
+      tenant_id: company.tenant_id,
+      company_id: company.id,
+      analysis_version: 1,
+      url_analyzed: company.website,
+      scraping_status: 'completed',
+      services_identified: [`${company.sub_industry} services`],
+      service_categories: [company.industry],
+      current_automation_level: this.pick(AUTOMATION_LEVELS),
+      tools_detected: company.tech_stack,
+      content_quality_score: this.integer(40, 95),
+      page_load_time_ms: this.integer(400, 4000),
+      mobile_friendly: this.random() > 0.2,
+      ssl_enabled: true,
+      created_at: this.createdAt
+    };
+  }
+
+  buildOpportunity(company, analysis, template) {
+    const tier = this.pick(Object.keys(SERVICE_TIERS));
+    const { price, complexity, weeks } = SERVICE_TIERS[tier];
+    const hoursPerWeek = this.integer(3, 30);
+    const hourlyCost = this.integer(35, 120);
+    const annualCost = hoursPerWeek * hourlyCost * 52;
+    const annualSavings = Math.round(annualCost * (0.4 + this.random() * 0.4));
+
+    return {
+      id: this.uuid(),
+      tenant_id: company.tenant_id,
+      company_id: company.id,
+      analysis_version: analysis.analysis_version,
+      process_name: template.name,
+      process_category: template.category,
+      current_method: template.method,
+      frequency: template.frequency,
+      time_spent_hours_per_week: hoursPerWeek,
+      hourly_cost: hourlyCost,
+      annual_cost_current: annualCost,
+      error_rate_percentage: this.integer(1, 15),
+      automation_type: template.automationType,
+      automation_complexity: complexity,
+      recommended_tools: this.sample(TOOLS, 2),
+      implementation_timeline_weeks: this.integer(weeks[0], weeks[1]),
+      implementation_cost: price,
+      annual_savings: annualSavings,
+      roi_percentage: round2(((annualSavings - price) / price) * 100),
+      payback_period_months: Math.min(round2(price / (annualSavings / 12)), 9999.99),
+      service_tier: tier,
+      package_fit_score: this.integer(50, 100),
+      priority_score: this.integer(30, 100),
+      confidence_level: this.pick(['low', 'medium', 'high']),
+      status: 'identified',
+      created_at: this.createdAt
+    };
+  }
+
+  /**
+   * Compact per-company records for k6 SharedArray - what a VU needs to build requests
+   */
+  toFixtures() {
+    const { companies, website_analyses: analyses, automation_opportunities: opportunities } = this.build();
+
+    return companies.map(company => ({
+      tenantId: company.tenant_id,
+      companyId: company.id,
+      companyName: company.name,
+      website: company.website,
+      analysisId: analyses.find(analysis => analysis.company_id === company.id).id,
+      opportunityIds: opportunities.filter(opportunity => opportunity.company_id === company.id).map(opportunity => opportunity.id)
+    }));
+  }
+
+  getTenantIds() {
+    return this.build().tenants.map(tenant => tenant.id);
+  }
+
+  /**
+   * INSERT statements in foreign-key order, in a single transaction
+   */
+  toSql() {
+    const dataset = this.build();
+    const statements = ['BEGIN;'];
+
+    ['tenants', 'companies', 'website_analyses', 'automation_opportunities'].forEach(table => {
+      dataset[table].forEach(row => {
+        const columns = Object.keys(row);
+        statements.push(`INSERT INTO ${table} (${columns.join(', ')}) VALUES (${columns.map(column => sqlLiteral(row[column])).join(', ')});`);
+      });
+    });
+
+    statements.push('COMMIT;');
+    return `${statements.join('\n')}\n`;
+  }
+
+  /**
+   * Deleting the tenants cascades to every seeded row
+   */
+  toCleanupSql() {
+    return `DELETE FROM tenants WHERE id IN (${this.getTenantIds().map(sqlLiteral).join(', ')});\n`;
+  }
+
+  uuid() {
+    const hex = [];
+    for (let i = 0; i < 16; i++) {
+      let byte = Math.floor(this.random() * 256);
+      if (i === 6) byte = (byte & 0x0f) | 0x40;
+      if (i === 8) byte = (byte & 0x3f) | 0x80;
+      hex.push(byte.toString(16).padStart(2, '0'));
+    }
+
+    const value = hex.join('');
+    return `${value.slice(0, 8)}-${value.slice(8, 12)}-${value.slice(12, 16)}-${value.slice(16, 20)}-${value.slice(20)}`;
+  }
+
+  integer(min, max) {
+    return Math.floor(min + this.random() * (max - min + 1));
+  }
+
+  pick(values) {
+    return values[Math.floor(this.random() * values.length)];
+  }
+
+  sample(values, count) {
+    const pool = values.slice();
+    const picked = [];
+    while (picked.length < count && pool.length > 0) {
+      picked.push(pool.splice(Math.floor(this.random() * pool.length), 1)[0]);
+    }
+    return picked;
+  }
+}
+
+// FNV-1a - turns any seed string into a 32-bit PRNG seed
+function hashSeed(seed) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < seed.length; i++) {
+    hash ^= seed.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+function mulberry32(seed) {
+  let state = seed;
+  return function random() {
+    state = (state + 0x6d2b79f5) | 0;
+    let t = Math.imul(state ^ (state >>> 15), 1 | state);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function round2(value) {
+  return Math.round(value * 100) / 100;
+}
+
+function sqlLiteral(value) {
+  if (value === null || value === undefined) return 'NULL';
+  if (typeof value === 'number' || typeof value === 'boolean') return String(value);
+  if (typeof value === 'object') return `'${JSON.stringify(value).replace(/'/g, "''")}'::jsonb`;
+  return `'${String(value).replace(/'/g, "''")}'`;
+}
+
+module.exports = {
+  TestDataFactory
+};
+
+// Emit seed or cleanup SQL: node test-data-factory.js sql|cleanup-sql [--seed <seed>]
+if (typeof require !== 'undefined' && require.main === module) {
+  const [command, ...args] = process.argv.slice(2);
+  const seedIndex = args.indexOf('--seed');
+  const factory = TestDataFactory.fromEnv({ ...process.env, ...(seedIndex >= 0 ? { TEST_DATA_SEED: args[seedIndex + 1] } : {}) });
+
+  if (command === 'sql') {
+    process.stdout.write(factory.toSql());
+  } else if (command === 'cleanup-sql') {
+    process.stdout.write(factory.toCleanupSql());
+  } else {
+    console.error('Usage: node test-data-factory.js sql|cleanup-sql [--seed <seed>]');
+    process.exit(2);
+  }
+}
@@ -0,0 +1,303 @@
+/**
+ * Test Report Generator for Prospect Intelligence Engine
+ * Converts k6 summaries and SecurityTestSuite results into machine-readable artifacts
+ * JUnit XML (performance checks and thresholds), SARIF 2.1.0 (OWASP findings) and a versioned JSON report
+ * Runs inside k6 handleSummary as well as Node, so it avoids Node built-ins
+ */
+
+const REPORT_SCHEMA_VERSION = '1.0.0';
+const TOOL_NAME = 'prospect-intelligence-security-suite';
+
+// OWASP rule metadata keyed by SecurityTestSuite method name
+const OWASP_RULES = {
+  testSQLInjection: { id: 'OWASP-A1', title: 'SQL Injection' },
+  testXSS: { id: 'OWASP-A2', title: 'Cross-Site Scripting (XSS)' },
+  testAuthenticationBypass: { id: 'OWASP-A3', title: 'Authentication Bypass' },
+  testInsecureDirectObjectReferences: { id: 'OWASP-A4', title: 'Insecure Direct Object References' },
+  testSecurityMisconfiguration: { id: 'OWASP-A5', title: 'Security Misconfiguration' },
+  testSensitiveDataExposure: { id: 'OWASP-A6', title: 'Sensitive Data Exposure' },
+  testAccessControlFlaws: { id: 'OWASP-A7', title: 'Broken Access Control' },
+  testCSRF: { id: 'OWASP-A8', title: 'Cross-Site Request Forgery (CSRF)' },
+  testInsecureComponents: { id: 'OWASP-A9', title: 'Components with Known Vulnerabilities' },
+  testUnvalidatedRedirects: { id: 'OWASP-A10', title: 'Unvalidated Redirects and Forwards' }
+};
+
+// SARIF level and GitHub code scanning security-severity per test severity
+const SEVERITY_LEVELS = {
+  critical: { level: 'error', securitySeverity: '9.0' },
+  high: { level: 'error', securitySeverity: '7.0' },
+  medium: { level: 'warning', securitySeverity: '5.0' },
+  low: { level: 'note', securitySeverity: '3.0' }
+};
+
+const ENDPOINT_DURATION_METRIC = /^http_req_duration\{endpoint:(.+)\}$/;
+
+class TestReportGenerator {
+  constructor(options = {}) {
+    this.environment = options.environment || 'staging';
+    this.scenario = options.scenario || 'smoke';
+    this.targetUrl = options.targetUrl;
+    this.toolVersion = options.toolVersion || '2.1.0';
+    this.outputDir = (options.outputDir || 'reports').replace(/\/$/, '');
+  }
+
+  /**
+   * Build all artifacts as a k6 handleSummary result ({ path: content })
+   */
+  generateSummaryOutputs(summaryData, securityResults) {
+    const report = this.buildJSONReport(summaryData, securityResults);
+    const outputs = {
+      stdout: `${this.formatTextSummary(report)}\n`,
+      [`${this.outputDir}/test-report.json`]: JSON.stringify(report, null, 2),
+      [`${this.outputDir}/performance-junit.xml`]: this.buildJUnitXML(summaryData)
+    };
+
+    if (securityResults && securityResults.owasp_tests) {
+      outputs[`${this.outputDir}/security-results.sarif`] = JSON.stringify(this.buildSARIF(securityResults.owasp_tests), null, 2);
+    }
+
+    return outputs;
+  }
+
+  /**
+   * Stable JSON report - bump REPORT_SCHEMA_VERSION on any breaking shape change
+   */
+  buildJSONReport(summaryData, securityResults) {
+    const metrics = (summaryData && summaryData.metrics) || {};
+    const requests = metrics.http_reqs ? metrics.http_reqs.values : {};
+    const failed = metrics.http_req_failed ? metrics.http_req_failed.values : {};
+    const checks = metrics.checks ? metrics.checks.values : {};
+
+    return {
+      schema_version: REPORT_SCHEMA_VERSION,
+      generated_at: new Date().toISOString(),
+      environment: this.environment,
+      scenario: this.scenario,
+      target_url: this.targetUrl,
+      summary: {
+        duration_ms: summaryData && summaryData.state ? summaryData.state.testRunDurationMs : null,
+        total_requests: requests.count || 0,
+        requests_per_second: requests.rate || 0,
+        failed_request_rate: failed.rate || 0,
+        checks_passed: checks.passes || 0,
+        checks_failed: checks.fails || 0,
+        thresholds_passed: this.collectThresholds(metrics).every(threshold => threshold.ok)
+      },
+      endpoints: this.collectEndpointStats(metrics),
+      thresholds: this.collectThresholds(metrics),
+      checks: this.collectChecks(summaryData && summaryData.root_group),
+      security: securityResults || null
+    };
+  }
+
+  /**
+   * Per-endpoint latency percentiles from the endpoint-tagged http_req_duration sub-metrics
+   */
+  collectEndpointStats(metrics) {
+    return Object.keys(metrics)
+      .filter(name => ENDPOINT_DURATION_METRIC.test(name))
+      .map(name => {
+        const endpoint = name.match(ENDPOINT_DURATION_METRIC)[1];
+        const values = metrics[name].values;
+        const count = metrics[`http_reqs{endpoint:${endpoint}}`];
+
+        return {
+          endpoint,
+          requests: count ? count.values.count : null,
+          avg_ms: round(values.avg),
+          p50_ms: round(values.med),
+          p95_ms: round(values['p(95)']),
+          p99_ms: round(values['p(99)']),
+          max_ms: round(values.max)
+        };
+      })
+      .sort((a, b) => a.endpoint.localeCompare(b.endpoint));
+  }
+
+  collectThresholds(metrics) {
+    const thresholds = [];
+
+    Object.keys(metrics).forEach(metric => {
+      const metricThresholds = metrics[metric].thresholds || {};
+      Object.keys(metricThresholds).forEach(expression => {
+        thresholds.push({ metric, expression, ok: metricThresholds[expression].ok });
+      });
+    });
+
+    return thresholds;
+  }
+
+  collectChecks(group, checks = []) {
+    if (!group) return checks;
+
+    (group.checks || []).forEach(check => {
+      checks.push({
+        name: check.name,
+        group: group.path || '',
+        passes: check.passes,
+        fails: check.fails
+      });
+    });
+    (group.groups || []).forEach(child => this.collectChecks(child, checks));
+
+    return checks;
+  }
+
+  /**
+   * JUnit XML - one testcase per threshold and per check
+   */
+  buildJUnitXML(summaryData) {
+    const metrics = (summaryData && summaryData.metrics) || {};
+    const thresholds = this.collectThresholds(metrics);
+    const checks = this.collectChecks(summaryData && summaryData.root_group);
+    const durationSeconds = summaryData && summaryData.state ? summaryData.state.testRunDurationMs / 1000 : 0;
+
+    const thresholdCases = thresholds.map(threshold => testCase(
+      `thresholds.${threshold.metric}`,
+      threshold.expression,
+      threshold.ok ? null : `Threshold ${threshold.expression} crossed for ${threshold.metric}`
+    ));
+
+    const checkCases = checks.map(check => testCase(
+      `checks${check.group ? check.group.replace(/::/g, '.') : ''}`,
+      check.name,
+      check.fails > 0 ? `${check.fails} of ${check.passes + check.fails} checks failed` : null
+    ));
+
+    const suites = [
+      testSuite(`${this.scenario}.thresholds`, thresholdCases, thresholds.filter(t => !t.ok).length),
+      testSuite(`${this.scenario}.checks`, checkCases, checks.filter(c => c.fails > 0).length)
+    ];
+
+    const failures = thresholds.filter(t => !t.ok).length + checks.filter(c => c.fails > 0).length;
+
+    return [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      `<testsuites name="prospect-intelligence-performance" tests="${thresholds.length + checks.length}" failures="${failures}" time="${durationSeconds}">`,
+      ...suites,
+      '</testsuites>'
+    ].join('\n');
+  }
+
+  /**
+   * SARIF 2.1.0 log for OWASP results
+   * Failed tests become results; errored and not_implemented tests become tool notifications
+   */
+  buildSARIF(owaspResults) {
+    const rules = owaspResults.map(result => {
+      const rule = OWASP_RULES[result.name] || { id: result.test, title: result.name };
+      const severity = SEVERITY_LEVELS[result.severity] || SEVERITY_LEVELS.medium;
+      return {
+        id: rule.id,
+        name: result.name,
+        shortDescription: { text: rule.title },
+        defaultConfiguration: { level: severity.level },
+        properties: { 'security-severity': severity.securitySeverity, severity: result.severity }
+      };
+    });
+
+    const results = owaspResults
+      .filter(result => result.status === 'failed')
+      .map(result => {
+        const rule = OWASP_RULES[result.name] || { id: result.test, title: result.name };
+        return {
+          ruleId: rule.id,
+          level: (SEVERITY_LEVELS[result.severity] || SEVERITY_LEVELS.medium).level,
+          message: { text: `${rule.title} vulnerability detected by ${result.name}` },
+          locations: [{
+            physicalLocation: { artifactLocation: { uri: this.targetUrl || 'unknown' } },
+            logicalLocations: [{ name: result.name, kind: 'function' }]
+          }],
+          properties: { details: result.details || [] }
+        };
+      });
+
+    const notifications = owaspResults
+      .filter(result => result.status === 'errored' || result.status === 'not_implemented')
+      .map(result => ({
+        level: result.status === 'errored' ? 'error' : 'note',
+        message: {
+          text: result.status === 'errored'
+            ? `${result.name} failed to run: ${result.error}`
+            : `${result.name} is not implemented`
+        },
+        associatedRule: { id: (OWASP_RULES[result.name] || { id: result.test }).id }
+      }));
+
+    return {
+      $schema: 'https://json.schemastore.org/sarif-2.1.0.json',
+      version: '2.1.0',
+      runs: [{
+        tool: {
+          driver: {
+            name: TOOL_NAME,
+            version: this.toolVersion,
+            rules
+          }
+        },
+        invocations: [{
+          executionSuccessful: notifications.every(notification => notification.level !== 'error'),
+          toolExecutionNotifications: notifications
+        }],
+        results
+      }]
+    };
+  }
+
+  formatTextSummary(report) {
+    const lines = [
+      `Scenario: ${report.scenario} (${report.environment})`,
+      `Requests: ${report.summary.total_requests}, failed rate: ${(report.summary.failed_request_rate * 100).toFixed(2)}%`,
+      `Checks: ${report.summary.checks_passed} passed, ${report.summary.checks_failed} failed`,
+      `Thresholds: ${report.summary.thresholds_passed ? 'all passed' : 'FAILED'}`
+    ];
+
+    report.endpoints.forEach(endpoint => {
+      lines.push(`  ${endpoint.endpoint}: p50=${endpoint.p50_ms}ms p95=${endpoint.p95_ms}ms p99=${endpoint.p99_ms}ms`);
+    });
+
+    if (report.security) {
+      const coverage = report.security.coverage;
+      lines.push(`Security score: ${report.security.overall_security_score === null ? 'n/a' : report.security.overall_security_score}`);
+      if (coverage) {
+        lines.push(`Security coverage: ${coverage.scored_tests}/${coverage.total_tests} tests scored (${coverage.not_implemented.length} not implemented, ${coverage.errored.length} errored)`);
+      }
+    }
+
+    return lines.join('\n');
+  }
+}
+
+function testSuite(name, cases, failures) {
+  return [
+    `  <testsuite name="${escapeXml(name)}" tests="${cases.length}" failures="${failures}">`,
+    ...cases,
+    '  </testsuite>'
+  ].join('\n');
+}
+
+function testCase(classname, name, failureMessage) {
+  const open = `    <testcase classname="${escapeXml(classname)}" name="${escapeXml(name)}"`;
+  if (!failureMessage) return `${open}/>`;
+
+  return `${open}>\n      <failure message="${escapeXml(failureMessage)}"/>\n    </testcase>`;
+}
+
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+function round(value) {
+  return value === undefined ? null : Math.round(value * 100) / 100;
+}
+
+module.exports = {
+  TestReportGenerator,
+  REPORT_SCHEMA_VERSION,
+  OWASP_RULES
+};
@@ -0,0 +1,131 @@
+/**
+ * W3C Trace Context for Prospect Intelligence Engine
+ * Correlates one company's analysis across chained n8n workflows
+ * (website scraper -> opportunity detection -> report generation / CRM integration)
+ *
+ * n8n workflows forward `traceparent: 00-<traceId>-<execution span>-01` on every internal webhook call:
+ * - traceId is the incoming trace id, or the analysis UUID without dashes when the chain starts
+ * - the span id is the n8n execution id zero-padded to 16 digits (see spanIdForExecution)
+ */
+
+const crypto = require('crypto');
+
+const TRACEPARENT_PATTERN = /^([0-9a-f]{2})-([0-9a-f]{32})-([0-9a-f]{16})-([0-9a-f]{2})$/;
+const INVALID_TRACE_ID = '0'.repeat(32);
+const INVALID_SPAN_ID = '0'.repeat(16);
+
+class TraceContext {
+  constructor({ traceId, spanId, parentSpanId = null, sampled = true, tracestate } = {}) {
+    this.traceId = traceId || generateTraceId();
+    this.spanId = spanId || generateSpanId();
+    this.parentSpanId = parentSpanId;
+    this.sampled = sampled;
+    this.tracestate = tracestate;
+  }
+
+  /**
+   * New root trace, optionally keyed by an analysis UUID so every workflow derives the same trace id
+   */
+  static start({ analysisId } = {}) {
+    return new TraceContext({ traceId: analysisId ? traceIdFromUuid(analysisId) : undefined });
+  }
+
+  /**
+   * Continue a remote trace - the header's span becomes the parent of a new local span
+   * Returns null when the header is missing or malformed
+   */
+  static fromTraceparent(traceparent, options = {}) {
+    const parsed = parseTraceparent(traceparent);
+    if (!parsed) return null;
+
+    return new TraceContext({
+      traceId: parsed.traceId,
+      spanId: options.spanId,
+      parentSpanId: parsed.spanId,
+      sampled: parsed.sampled,
+      tracestate: options.tracestate
+    });
+  }
+
+  child(spanId) {
+    return new TraceContext({
+      traceId: this.traceId,
+      spanId: spanId || generateSpanId(),
+      parentSpanId: this.spanId,
+      sampled: this.sampled,
+      tracestate: this.tracestate
+    });
+  }
+
+  toTraceparent() {
+    return `00-${this.traceId}-${this.spanId}-${this.sampled ? '01' : '00'}`;
+  }
+
+  /**
+   * Headers for outgoing webhook calls
+   */
+  toHeaders() {
+    const headers = { traceparent: this.toTraceparent() };
+    if (this.tracestate) headers.tracestate = this.tracestate;
+    return headers;
+  }
+
+  /**
+   * Application Insights operation tags - traceId is the operation id, the parent span the parent id
+   */
+  toTagOverrides() {
+    const tags = { 'ai.operation.id': this.traceId };
+    if (this.parentSpanId) tags['ai.operation.parentId'] = this.parentSpanId;
+    return tags;
+  }
+}
+
+function parseTraceparent(traceparent) {
+  if (typeof traceparent !== 'string') return null;
+
+  const match = traceparent.trim().toLowerCase().match(TRACEPARENT_PATTERN);
+  if (!match) return null;
+
+  const [, version, traceId, spanId, flags] = match;
+  if (version === 'ff' || traceId === INVALID_TRACE_ID || spanId === INVALID_SPAN_ID) return null;
+
+  return {
+    version,
+    traceId,
+    spanId,
+    sampled: (parseInt(flags, 16) & 1) === 1
+  };
+}
+
+function generateTraceId() {
+  return crypto.randomBytes(16).toString('hex');
+}
+
+function generateSpanId() {
+  return crypto.randomBytes(8).toString('hex');
+}
+
+function traceIdFromUuid(uuid) {
+  const hex = String(uuid).replace(/-/g, '').toLowerCase();
+  return /^[0-9a-f]{32}$/.test(hex) && hex !== INVALID_TRACE_ID ? hex : generateTraceId();
+}
+
+/**
+ * Deterministic span id for an n8n execution - must match the workflows'
+ * String($execution.id).padStart(16, '0') so downstream parents resolve to this span
+ */
+function spanIdForExecution(executionId) {
+  const id = String(executionId);
+  if (/^\d{1,16}$/.test(id)) return id.padStart(16, '0');
+
+  return crypto.createHash('sha256').update(id).digest('hex').slice(0, 16);
+}
+
+module.exports = {
+  TraceContext,
+  parseTraceparent,
+  generateTraceId,
+  generateSpanId,
+  traceIdFromUuid,
+  spanIdForExecution
+};
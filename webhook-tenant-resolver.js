@@ -0,0 +1,124 @@
+/**
+ * Webhook Tenant Resolution for Prospect Intelligence Engine
+ * Attributes Instantly webhook events to a tenant before anything is written: the tenant named by the
+ * per-tenant webhook path or secret, checked against the instantly_integrations rows for the event's lead,
+ * or - on the shared webhook - the single tenant that owns the lead
+ *
+ * Used by the email activity monitor's "Verify Webhook Signature" and "Resolve Tenant Context" nodes;
+ * events that cannot be attributed are rejected with a reason instead of landing in a default tenant
+ */
+
+const crypto = require('crypto');
+
+const REJECTION_REASONS = {
+  invalid_signature: 'Webhook signature does not match the tenant or shared webhook secret',
+  lead_not_found: 'No Instantly integration found for this lead',
+  tenant_mismatch: 'Lead belongs to a different tenant than the webhook',
+  ambiguous_lead: 'Lead id is used by more than one tenant; use the per-tenant webhook URL'
+};
+
+/**
+ * Per-tenant webhook secrets ({ "<tenant uuid>": "<secret>" }) as an object or JSON string
+ */
+function parseTenantSecrets(value) {
+  if (!value) return {};
+  if (typeof value === 'object') return value;
+
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    throw new Error('INSTANTLY_TENANT_WEBHOOK_SECRETS is not valid JSON');
+  }
+}
+
+/**
+ * Constant-time secret comparison (digests first, so lengths never leak)
+ */
+function secretMatches(expected, provided) {
+  if (!expected || !provided) return false;
+
+  const digest = value => crypto.createHash('sha256').update(String(value)).digest();
+  return crypto.timingSafeEqual(digest(expected), digest(provided));
+}
+
+/**
+ * Signature-only check run before the lead lookup: the path tenant's secret (or the shared secret),
+ * otherwise the shared secret or any tenant secret
+ * event: { pathTenantId, signature }
+ */
+function isSignedWebhook(event, options = {}) {
+  const tenantSecrets = parseTenantSecrets(options.tenantSecrets);
+  const { pathTenantId, signature } = event;
+
+  if (pathTenantId) {
+    return secretMatches(tenantSecrets[pathTenantId] || options.sharedSecret, signature);
+  }
+
+  return secretMatches(options.sharedSecret, signature) ||
+    Object.values(tenantSecrets).some(secret => secretMatches(secret, signature));
+}
+
+/**
+ * Resolve the tenant for one webhook event
+ * event: { pathTenantId, signature, campaignId }
+ * integrations: instantly_integrations rows for the event's lead id, newest first (empty rows are ignored)
+ * options: { tenantSecrets, sharedSecret }
+ * Returns { resolved: true, tenantId, integration, source } or { resolved: false, reason, message, tenantId }
+ */
+function resolveActivityTenant(event, integrations = [], options = {}) {
+  const tenantSecrets = parseTenantSecrets(options.tenantSecrets);
+  const { pathTenantId, signature, campaignId } = event;
+
+  // Which tenant the webhook itself names, if any
+  let claimedTenantId = null;
+  let source;
+
+  if (pathTenantId) {
+    const secret = tenantSecrets[pathTenantId] || options.sharedSecret;
+    if (!secretMatches(secret, signature)) return reject('invalid_signature', pathTenantId);
+
+    claimedTenantId = pathTenantId;
+    source = 'webhook_path';
+  } else {
+    const signedBy = Object.keys(tenantSecrets).filter(tenantId => secretMatches(tenantSecrets[tenantId], signature));
+
+    if (signedBy.length === 1) {
+      claimedTenantId = signedBy[0];
+      source = 'webhook_secret';
+    } else if (signedBy.length === 0 && !secretMatches(options.sharedSecret, signature)) {
+      return reject('invalid_signature', null);
+    } else {
+      source = 'lead_lookup';
+    }
+  }
+
+  const rows = integrations.filter(row => row && row.id && row.tenant_id);
+  // Instantly lead ids are per workspace; the campaign narrows collisions between tenants
+  const campaignRows = campaignId ? rows.filter(row => row.instantly_campaign_id === campaignId) : [];
+  const candidates = campaignRows.length > 0 ? campaignRows : rows;
+
+  if (claimedTenantId) {
+    const integration = candidates.find(row => row.tenant_id === claimedTenantId);
+    if (!integration) return reject(candidates.length > 0 ? 'tenant_mismatch' : 'lead_not_found', claimedTenantId);
+
+    return { resolved: true, tenantId: claimedTenantId, integration, source };
+  }
+
+  const tenantIds = [...new Set(candidates.map(row => row.tenant_id))];
+  if (tenantIds.length === 0) return reject('lead_not_found', null);
+  if (tenantIds.length > 1) return reject('ambiguous_lead', null);
+
+  return { resolved: true, tenantId: tenantIds[0], integration: candidates[0], source };
+}
+
+function reject(reason, tenantId) {
+  return { resolved: false, reason, message: REJECTION_REASONS[reason], tenantId };
+}
+
+module.exports = {
+  REJECTION_REASONS,
+  parseTenantSecrets,
+  secretMatches,
+  isSignedWebhook,
+  resolveActivityTenant
+};
@@ -0,0 +1,127 @@
+/**
+ * Webhook Tenant Resolver Tests
+ * Each way an Instantly event is attributed to a tenant (webhook path, tenant secret, lead lookup)
+ * and each way it is rejected instead of landing in the wrong tenant
+ *
+ * Run: node --test webhook-tenant-resolver.test.js
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  parseTenantSecrets,
+  isSignedWebhook,
+  resolveActivityTenant
+} = require('./webhook-tenant-resolver');
+
+const TENANT_A = '550e8400-e29b-41d4-a716-446655440001';
+const TENANT_B = '550e8400-e29b-41d4-a716-446655440002';
+
+const OPTIONS = {
+  tenantSecrets: JSON.stringify({ [TENANT_A]: 'secret-a', [TENANT_B]: 'secret-b' }),
+  sharedSecret: 'shared-secret'
+};
+
+// instantly_integrations rows as returned by "Fetch Lead Integration", newest first
+function integration(id, tenantId, campaignId = 'campaign-1') {
+  return { id, tenant_id: tenantId, company_id: `company-${id}`, instantly_campaign_id: campaignId, lead_temperature: 'cold' };
+}
+
+test('the per-tenant webhook path resolves to its tenant when the lead belongs to it', () => {
+  const result = resolveActivityTenant(
+    { pathTenantId: TENANT_A, signature: 'secret-a' },
+    [integration('int-b', TENANT_B), integration('int-a', TENANT_A)],
+    OPTIONS
+  );
+
+  assert.equal(result.resolved, true);
+  assert.equal(result.tenantId, TENANT_A);
+  assert.equal(result.integration.id, 'int-a');
+  assert.equal(result.source, 'webhook_path');
+});
+
+test('the webhook path rejects another tenant\'s secret and leads of another tenant', () => {
+  const wrongSecret = resolveActivityTenant({ pathTenantId: TENANT_A, signature: 'secret-b' }, [integration('int-a', TENANT_A)], OPTIONS);
+  assert.equal(wrongSecret.resolved, false);
+  assert.equal(wrongSecret.reason, 'invalid_signature');
+
+  const otherTenantsLead = resolveActivityTenant({ pathTenantId: TENANT_A, signature: 'secret-a' }, [integration('int-b', TENANT_B)], OPTIONS);
+  assert.equal(otherTenantsLead.reason, 'tenant_mismatch');
+
+  const unknownLead = resolveActivityTenant({ pathTenantId: TENANT_A, signature: 'secret-a' }, [], OPTIONS);
+  assert.equal(unknownLead.reason, 'lead_not_found');
+  assert.equal(unknownLead.tenantId, TENANT_A);
+});
+
+test('a tenant path without its own secret accepts the shared secret', () => {
+  const result = resolveActivityTenant(
+    { pathTenantId: TENANT_A, signature: 'shared-secret' },
+    [integration('int-a', TENANT_A)],
+    { sharedSecret: 'shared-secret' }
+  );
+
+  assert.equal(result.resolved, true);
+  assert.equal(result.source, 'webhook_path');
+});
+
+test('a tenant secret on the shared webhook names the tenant', () => {
+  const result = resolveActivityTenant(
+    { signature: 'secret-b' },
+    [integration('int-a', TENANT_A), integration('int-b', TENANT_B)],
+    OPTIONS
+  );
+
+  assert.equal(result.resolved, true);
+  assert.equal(result.tenantId, TENANT_B);
+  assert.equal(result.integration.id, 'int-b');
+  assert.equal(result.source, 'webhook_secret');
+});
+
+test('the shared secret resolves to the single tenant owning the lead', () => {
+  const result = resolveActivityTenant(
+    { signature: 'shared-secret' },
+    [integration('int-new', TENANT_A), integration('int-old', TENANT_A), null, {}],
+    OPTIONS
+  );
+
+  assert.equal(result.resolved, true);
+  assert.equal(result.tenantId, TENANT_A);
+  assert.equal(result.integration.id, 'int-new');
+  assert.equal(result.source, 'lead_lookup');
+});
+
+test('unsigned events and unknown leads are rejected', () => {
+  assert.equal(resolveActivityTenant({ signature: 'guess' }, [integration('int-a', TENANT_A)], OPTIONS).reason, 'invalid_signature');
+  assert.equal(resolveActivityTenant({}, [integration('int-a', TENANT_A)], OPTIONS).reason, 'invalid_signature');
+  assert.equal(resolveActivityTenant({ signature: 'shared-secret' }, [], OPTIONS).reason, 'lead_not_found');
+});
+
+test('a lead id used by two tenants is ambiguous unless the campaign tells them apart', () => {
+  const rows = [integration('int-a', TENANT_A, 'campaign-a'), integration('int-b', TENANT_B, 'campaign-b')];
+
+  const ambiguous = resolveActivityTenant({ signature: 'shared-secret' }, rows, OPTIONS);
+  assert.equal(ambiguous.resolved, false);
+  assert.equal(ambiguous.reason, 'ambiguous_lead');
+
+  const byCampaign = resolveActivityTenant({ signature: 'shared-secret', campaignId: 'campaign-b' }, rows, OPTIONS);
+  assert.equal(byCampaign.resolved, true);
+  assert.equal(byCampaign.tenantId, TENANT_B);
+
+  // An unknown campaign does not narrow the rows, so the lead stays ambiguous
+  const unknownCampaign = resolveActivityTenant({ signature: 'shared-secret', campaignId: 'campaign-x' }, rows, OPTIONS);
+  assert.equal(unknownCampaign.reason, 'ambiguous_lead');
+});
+
+test('isSignedWebhook checks the signature before the lead lookup', () => {
+  assert.equal(isSignedWebhook({ pathTenantId: TENANT_A, signature: 'secret-a' }, OPTIONS), true);
+  assert.equal(isSignedWebhook({ pathTenantId: TENANT_A, signature: 'secret-b' }, OPTIONS), false);
+  assert.equal(isSignedWebhook({ signature: 'secret-b' }, OPTIONS), true);
+  assert.equal(isSignedWebhook({ signature: 'shared-secret' }, OPTIONS), true);
+  assert.equal(isSignedWebhook({ signature: undefined }, OPTIONS), false);
+});
+
+test('tenant secrets must be valid JSON', () => {
+  assert.deepEqual(parseTenantSecrets(undefined), {});
+  assert.deepEqual(parseTenantSecrets({ [TENANT_A]: 'secret-a' }), { [TENANT_A]: 'secret-a' });
+  assert.throws(() => parseTenantSecrets('{'), /INSTANTLY_TENANT_WEBHOOK_SECRETS is not valid JSON/);
+});